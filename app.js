@@ -4,304 +4,6082 @@ const { useState, useEffect, useContext, createContext, useRef, useCallback, use
 // Context for global application state
 const ThermoSenseContext = createContext();
 
-// Custom hook for battery monitoring
-const useBattery = () => {
-  const [batteryData, setBatteryData] = useState(null);
-  const [batteryStatus, setBatteryStatus] = useState('disconnected');
-  const [retryCount, setRetryCount] = useState(0);
-  const batteryRef = useRef(null);
-
-  const initializeBattery = useCallback(async () => {
+// Application version recorded in exported files
+const APP_VERSION = '1.0.0';
+
+// Default application settings
+const SETTINGS_STORAGE_KEY = 'thermosense-settings';
+const SETTINGS_PROFILE_VERSION = 1;
+
+const DEFAULT_SETTINGS = {
+  batteryInterval: 5000,
+  weatherInterval: 120000,
+  chartInterval: 30000,
+  performanceInterval: 10000,
+  temperatureInterval: 15000,
+  tempWarning: 35,
+  tempCritical: 40,
+  batteryLow: 15,
+  ambientHigh: 30,
+  ambientLow: 10,
+  cpuHigh: 80,
+  enableTempAlerts: true,
+  enableBatteryAlerts: true,
+  enableWeatherAlerts: true,
+  enableAnomalyAlerts: true,
+  enableSoundAlerts: false,
+  enableSystemNotifications: false,
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+  enableRemoteAdvisory: false,
+  advisoryApiUrl: 'https://thermosense-api.onrender.com',
+  advisoryTimeout: 8000,
+  advisoryRetries: 2,
+  advisoryInterval: 60000,
+  batteryProvider: 'browser',
+  weatherProvider: 'browser',
+  performanceProvider: 'browser',
+  remoteAgentUrl: 'http://localhost:8787',
+  simulatorScenario: 'gaming-heat',
+  simulatorSeed: 42,
+  simulatorSpeed: 10,
+  customScenarios: [],
+  whatIfScenarios: [],
+  deviceProfile: 'phone',
+  enableChargingReminders: false,
+  language: 'en',
+  temperatureUnit: 'celsius',
+  speedUnit: 'kmh'
+};
+
+// Settings validation and persistence utilities
+const settingsUtils = {
+  // Returns an object mapping setting keys to error messages; empty when valid
+  validate: (settings, format = i18n.create(settings)) => {
+    const errors = {};
+    const { t } = format;
+    const inRange = (key, min, max, show = String) => {
+      const value = settings[key];
+      if (typeof value !== 'number' || Number.isNaN(value)) {
+        errors[key] = t('validation.number');
+      } else if (value < min || value > max) {
+        errors[key] = t('validation.range', { min: show(min), max: show(max) });
+      }
+    };
+    const temp = (value) => format.temp(value, 0);
+
+    ['batteryInterval', 'weatherInterval', 'chartInterval', 'performanceInterval', 'temperatureInterval', 'advisoryInterval'].forEach(key => {
+      inRange(key, 1000, 3600000);
+    });
+    inRange('advisoryTimeout', 1000, 60000);
+    inRange('advisoryRetries', 0, 5);
+    inRange('tempWarning', 30, 45, temp);
+    inRange('tempCritical', 35, 50, temp);
+    inRange('batteryLow', 5, 30);
+    inRange('ambientHigh', 20, 45, temp);
+    inRange('ambientLow', -10, 20, temp);
+    inRange('cpuHigh', 50, 100);
+    inRange('simulatorSeed', 0, 4294967295);
+
+    if (!errors.tempWarning && !errors.tempCritical && settings.tempWarning >= settings.tempCritical) {
+      errors.tempWarning = t('validation.warningBelowCritical');
+    }
+    if (!errors.ambientLow && !errors.ambientHigh && settings.ambientLow >= settings.ambientHigh) {
+      errors.ambientLow = t('validation.coldBelowHot');
+    }
+
+    ['quietHoursStart', 'quietHoursEnd'].forEach(key => {
+      if (typeof settings[key] !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(settings[key])) {
+        errors[key] = t('validation.time');
+      }
+    });
+
+    ['advisoryApiUrl', 'remoteAgentUrl'].forEach(key => {
+      if (typeof settings[key] !== 'string' || !/^https?:\/\/[^\s]+$/.test(settings[key])) {
+        errors[key] = t('validation.url');
+      }
+    });
+
+    Object.keys(SENSOR_METRICS).forEach(metric => {
+      const key = `${metric}Provider`;
+      if (!sensorRegistry.get(metric, settings[key])) {
+        errors[key] = t('validation.unknownProvider', { id: settings[key] });
+      }
+    });
+
+    if (!THERMAL_PROFILES[settings.deviceProfile]) {
+      errors.deviceProfile = t('validation.unknownProfile', { id: settings.deviceProfile });
+    }
+    if (!SIMULATOR_SPEEDS.includes(settings.simulatorSpeed)) {
+      errors.simulatorSpeed = t('validation.oneOf', { options: SIMULATOR_SPEEDS.join(', ') });
+    }
+    if (!Array.isArray(settings.customScenarios)) {
+      errors.customScenarios = t('validation.scenarioList');
+    } else {
+      const invalid = settings.customScenarios.map(scenario => scenarioUtils.validate(scenario, t)).find(Boolean);
+      if (invalid) errors.customScenarios = invalid;
+      else if (!scenarioUtils.find(settings, settings.simulatorScenario)) {
+        errors.simulatorScenario = t('validation.unknownScenario', { id: settings.simulatorScenario });
+      }
+    }
+
+    if (!Array.isArray(settings.whatIfScenarios)) {
+      errors.whatIfScenarios = t('whatIf.error.list');
+    } else if (settings.whatIfScenarios.length > WHAT_IF_MAX_SAVED) {
+      errors.whatIfScenarios = t('whatIf.error.limit', { max: WHAT_IF_MAX_SAVED });
+    } else {
+      const invalid = settings.whatIfScenarios.map(scenario => whatIfUtils.validate(scenario, t)).find(Boolean);
+      if (invalid) errors.whatIfScenarios = invalid;
+    }
+
+    [['language', LANGUAGES], ['temperatureUnit', TEMPERATURE_UNITS], ['speedUnit', SPEED_UNITS]].forEach(([key, options]) => {
+      if (!options[settings[key]]) {
+        errors[key] = t('validation.oneOf', { options: Object.keys(options).join(', ') });
+      }
+    });
+
+    Object.keys(DEFAULT_SETTINGS)
+      .filter(key => typeof DEFAULT_SETTINGS[key] === 'boolean' && typeof settings[key] !== 'boolean')
+      .forEach(key => {
+        errors[key] = t('validation.boolean');
+      });
+
+    return errors;
+  },
+
+  // Keeps only known keys, filling anything missing from the defaults
+  normalize: (settings) => Object.keys(DEFAULT_SETTINGS).reduce((result, key) => {
+    result[key] = settings && key in settings ? settings[key] : DEFAULT_SETTINGS[key];
+    return result;
+  }, {}),
+
+  load: () => {
     try {
-      if ('getBattery' in navigator) {
-        const battery = await navigator.getBattery();
-        batteryRef.current = battery;
-        
-        const updateBatteryData = () => {
-          setBatteryData({
-            level: Math.round(battery.level * 100),
-            charging: battery.charging,
-            chargingTime: battery.chargingTime,
-            dischargingTime: battery.dischargingTime,
-            lastUpdate: new Date()
+      const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+      const settings = settingsUtils.normalize(stored);
+      return Object.keys(settingsUtils.validate(settings)).length === 0 ? settings : { ...DEFAULT_SETTINGS };
+    } catch (error) {
+      console.error('Settings load error:', error);
+      return { ...DEFAULT_SETTINGS };
+    }
+  },
+
+  save: (settings) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  },
+
+  toProfile: (settings) => ({
+    type: 'thermosense-settings',
+    version: SETTINGS_PROFILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  }),
+
+  // Accepts an exported profile or a bare settings object; errors are in the current language
+  fromProfile: (profile, current = DEFAULT_SETTINGS) => {
+    const format = i18n.create(current);
+    const { t } = format;
+    if (!profile || typeof profile !== 'object') {
+      return { success: false, error: t('settings.profileNotObject') };
+    }
+    if (profile.type === 'thermosense-settings' && profile.version > SETTINGS_PROFILE_VERSION) {
+      return { success: false, error: t('settings.profileVersion', { version: profile.version }) };
+    }
+
+    const settings = settingsUtils.normalize(profile.settings || profile);
+    const errors = settingsUtils.validate(settings, format);
+    if (Object.keys(errors).length > 0) {
+      const [key, message] = Object.entries(errors)[0];
+      return { success: false, error: t('settings.profileInvalid', { key, message }) };
+    }
+
+    return { success: true, settings };
+  }
+};
+
+// Shared file download helper
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
+
+// Custom hook for persisted settings
+const useSettings = () => {
+  const [settings, setSettings] = useState(settingsUtils.load);
+
+  useEffect(() => {
+    settingsUtils.save(settings);
+  }, [settings]);
+
+  // Only valid settings are applied; callers get the validation errors back
+  const updateSettings = useCallback((changes) => {
+    const next = { ...settings, ...changes };
+    const errors = settingsUtils.validate(next);
+    if (Object.keys(errors).length === 0) {
+      setSettings(next);
+    }
+    return { success: Object.keys(errors).length === 0, errors };
+  }, [settings]);
+
+  const resetSettings = useCallback(() => {
+    setSettings({ ...DEFAULT_SETTINGS });
+  }, []);
+
+  const importSettings = useCallback((profile) => {
+    const result = settingsUtils.fromProfile(profile, settings);
+    if (result.success) {
+      setSettings(result.settings);
+    }
+    return result;
+  }, [settings]);
+
+  const exportSettings = useCallback(() => {
+    const blob = new Blob([JSON.stringify(settingsUtils.toProfile(settings), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `thermosense-settings-${new Date().toISOString().split('T')[0]}.json`);
+  }, [settings]);
+
+  return { settings, updateSettings, resetSettings, importSettings, exportSettings };
+};
+
+// Units and locale - readings, history and settings always hold metric values (°C, km/h);
+// conversion to the preferred units happens only when values are shown or typed in
+const LANGUAGES = {
+  en: { label: 'English', locale: 'en-US' },
+  de: { label: 'Deutsch', locale: 'de-DE' }
+};
+
+const TEMPERATURE_UNITS = {
+  celsius: { symbol: '°C', fromCelsius: (value) => value, toCelsius: (value) => value, scale: 1 },
+  fahrenheit: { symbol: '°F', fromCelsius: (value) => value * 9 / 5 + 32, toCelsius: (value) => (value - 32) * 5 / 9, scale: 9 / 5 }
+};
+
+const SPEED_UNITS = {
+  kmh: { symbol: 'km/h', fromKmh: (value) => value },
+  mph: { symbol: 'mph', fromKmh: (value) => value / 1.609344 }
+};
+
+// Message catalogue - `{name}` placeholders are filled from params, and keys with `.one`/`.other`
+// variants are pluralized on params.count. Missing keys fall back to English, then to the key itself.
+const MESSAGES = {
+  en: {
+    'validation.number': 'Must be a number',
+    'validation.range': 'Must be between {min} and {max}',
+    'validation.warningBelowCritical': 'Warning must be below critical',
+    'validation.coldBelowHot': 'Cold threshold must be below hot threshold',
+    'validation.time': 'Must be a time in HH:MM format',
+    'validation.url': 'Must be an http(s) URL',
+    'validation.unknownProvider': 'Unknown provider "{id}"',
+    'validation.unknownProfile': 'Unknown device profile "{id}"',
+    'validation.oneOf': 'Must be one of {options}',
+    'validation.scenarioList': 'Must be a list of scenarios',
+    'validation.unknownScenario': 'Unknown scenario "{id}"',
+    'validation.boolean': 'Must be true or false',
+    'settings.profileNotObject': 'Profile is not a JSON object',
+    'settings.profileVersion': 'Unsupported profile version {version}',
+    'settings.profileInvalid': 'Invalid {key}: {message}',
+    'sensor.battery': 'Battery',
+    'sensor.weather': 'Weather',
+    'sensor.performance': 'Performance',
+    'provider.browserBattery': 'Browser Battery API',
+    'provider.simulated': 'Simulated',
+    'provider.openMeteo': 'Geolocation + Open-Meteo',
+    'provider.browserPerformance': 'Browser Performance APIs',
+    'provider.replay': 'Replay recorded history',
+    'provider.remote': 'Remote agent',
+    'provider.manual': 'Manual entry',
+    'provider.batteryUnsupported': 'Battery API not supported - using simulated data',
+    'provider.noHistory': 'No recorded history to replay',
+    'provider.invalidReading': 'Invalid {metric} reading from remote agent',
+    'provider.noManualReading': 'No manual reading entered',
+    'profile.phone': 'Phone',
+    'profile.tablet': 'Tablet',
+    'profile.laptop': 'Laptop',
+    'calibration.referenceRange': 'Reference temperature must be between {min} and {max}',
+    'calibration.noEstimate': 'No live temperature estimate to compare with yet',
+    'calibration.noPoints': 'Add at least one reference reading first',
+    'scenario.gamingHeat.name': 'Gaming in 35°C heat while charging',
+    'scenario.gamingHeat.description': 'Heavy load on a hot afternoon with the charger plugged in',
+    'scenario.overnightIdle.name': 'Overnight idle',
+    'scenario.overnightIdle.description': 'Phone left on the nightstand, charging to full and then trickling',
+    'scenario.coldCommute.name': 'Cold morning commute',
+    'scenario.coldCommute.description': 'Navigation and music outdoors at near-freezing temperatures',
+    'scenario.error.object': 'Scenario must be a JSON object',
+    'scenario.error.id': 'id must use lowercase letters, digits and dashes',
+    'scenario.error.name': 'name is required',
+    'scenario.error.range': '{field} must be between {min} and {max}',
+    'scenario.error.number': '{field} must be a number',
+    'scenario.error.boolean': '{field} must be true or false',
+    'scenario.error.timeline': 'timeline needs at least one keyframe',
+    'scenario.error.order': '{field} must be after the previous keyframe',
+    'scenario.error.json': 'Scenario is not valid JSON',
+    'recommendation.tempCritical': '🚨 CRITICAL: Device temperature too high! Cool down immediately!',
+    'recommendation.tempWarning': '⚠️ WARNING: Device running hot. Reduce intensive tasks.',
+    'recommendation.tempOptimal': '✅ Temperature levels are optimal.',
+    'recommendation.chargingHot': '⚠️ Charging while hot affects battery longevity.',
+    'recommendation.chargingGood': '🔋 Charging conditions are good.',
+    'recommendation.batteryLow': '🔋 Battery low. Consider charging soon.',
+    'recommendation.ambientHigh': '🌡️ High ambient temperature affects device cooling.',
+    'recommendation.ambientLow': '❄️ Cold weather can temporarily reduce battery capacity.',
+    'recommendation.cpuHigh': '📊 High CPU load detected. Monitor for heat buildup.',
+    'weather.code.0': 'Clear sky',
+    'weather.code.1': 'Mainly clear',
+    'weather.code.2': 'Partly cloudy',
+    'weather.code.3': 'Overcast',
+    'weather.code.45': 'Foggy',
+    'weather.code.48': 'Depositing rime fog',
+    'weather.code.51': 'Light drizzle',
+    'weather.code.53': 'Moderate drizzle',
+    'weather.code.55': 'Dense drizzle',
+    'weather.code.61': 'Slight rain',
+    'weather.code.63': 'Moderate rain',
+    'weather.code.65': 'Heavy rain',
+    'weather.code.71': 'Slight snow',
+    'weather.code.73': 'Moderate snow',
+    'weather.code.75': 'Heavy snow',
+    'weather.code.95': 'Thunderstorm',
+    'weather.code.unknown': 'Unknown',
+    'forecast.when.today': 'at {time}',
+    'forecast.when.tomorrow': 'tomorrow at {time}',
+    'forecast.when.date': 'on {date} at {time}',
+    'forecast.advisory.heat': '🌡️ Ambient will reach {temperature} {when} - avoid charging then.',
+    'forecast.advisory.heatPeak': '🌡️ Ambient will reach {temperature} {when}, peaking at {peak} {peakWhen} - charge before then.',
+    'forecast.advisory.cold': '❄️ Ambient will drop to {temperature} {when} - expect reduced battery capacity outdoors.',
+    'forecast.advisory.uv': '☀️ UV index {uvIndex} expected {when} - keep the device out of direct sun.',
+    'session.factor.peak': 'Peaked at {temperature}',
+    'session.factor.hotAmbient': 'Hot surroundings ({temperature})',
+    'session.factor.chargedTo': 'Charged to {level}',
+    'session.factor.fastHot': 'Fast charging while hot',
+    'plan.reason.coolAmbient': 'Cool ambient ({temperature})',
+    'plan.reason.hotAmbient': 'Hot ambient ({temperature}) - keep the device ventilated',
+    'plan.reason.lightUsage': 'Light usage expected',
+    'plan.reason.habit': 'Matches when you usually plug in',
+    'plan.reason.longDay': 'Long day ahead - unplug soon after reaching full',
+    'plan.reminder': '🔌 Good time to charge: {ambient} ambient - charge to {level} by {time}',
+    'alert.tempCritical': '🚨 Critical device temperature: {value} (limit {limit})',
+    'alert.tempCriticalRecovered': '✅ Device temperature back below critical: {value}',
+    'alert.tempWarning': '⚠️ Device running hot: {value} (warning at {limit})',
+    'alert.tempRising': '📈 Device temperature rising fast: +{rate}/min',
+    'alert.tempSustained': '🔥 Device above {limit} for {minutes} minutes',
+    'alert.chargingHot': '⚠️ Charging while hot ({value}) - consider unplugging',
+    'alert.batteryCritical': '🪫 Battery critically low: {level}',
+    'alert.batteryLow': '🔋 Battery low: {level} - consider charging soon',
+    'alert.ambientHot': '🌡️ High ambient temperature: {value} - keep the device out of direct sun',
+    'alert.ambientCold': '❄️ Cold ambient temperature: {value} - battery capacity may drop temporarily',
+    'advisory.error.object': 'Response is not a JSON object',
+    'advisory.error.alertLevel': 'Unexpected alert_level: {value}',
+    'advisory.error.impact': 'predicted_health_impact must be a number, string or null',
+    'advisory.error.action': 'optional_action must be a string or null',
+    'advisory.error.invalid': 'Invalid advisory response: {error}',
+    'advisory.error.failed': 'Advisory request failed',
+    'session.error.json': 'File is not valid JSON',
+    'session.error.type': 'Not a ThermoSense session recording',
+    'session.error.version': 'Unsupported session version {version}',
+    'session.error.incomplete': 'Session recording is incomplete',
+    'common.speed': '{speed}x',
+    'status.connected': 'connected',
+    'status.limited': 'limited',
+    'status.retrying': 'retrying',
+    'status.disconnected': 'disconnected',
+    'loading.starting': 'Starting ThermoSense...',
+    'loading.compatibility': 'Checking browser compatibility...',
+    'loading.location': 'Requesting location access...',
+    'loading.weather': 'Connecting to weather service...',
+    'loading.battery': 'Initializing battery monitoring...',
+    'loading.updates': 'Setting up real-time updates...',
+    'nav.subtitle': 'React Real-Time Monitoring',
+    'nav.online': 'Online',
+    'nav.offline': 'Offline',
+    'nav.theme': 'Toggle dark mode',
+    'nav.stopRecording': '⏹ Stop Recording',
+    'nav.record': '⏺ Record',
+    'nav.replay': '📂 Replay',
+    'nav.export': '📊 Export',
+    'replay.title': 'Replaying session',
+    'replay.recorded': 'Recorded {time}',
+    'replay.alerts': 'Alerts: {recorded} recorded / {replayed} replayed / {matching} matching',
+    'replay.pause': 'Pause',
+    'replay.play': 'Play',
+    'replay.exit': 'Exit Replay',
+    'replay.compare': 'Compare recorded and replayed alerts',
+    'replay.compare.rule': 'Rule',
+    'replay.compare.change': 'Change',
+    'replay.compare.recorded': 'Recorded',
+    'replay.compare.replayed': 'Replayed',
+    'replay.compare.raised': 'raised',
+    'replay.compare.cleared': 'cleared',
+    'simulator.title': 'Simulating: {name}',
+    'simulator.details': 'Seed {seed} · {speed} speed',
+    'simulator.finished': 'finished',
+    'simulator.restart': 'Restart',
+    'simulator.stop': 'Stop Simulation',
+    'tab.dashboard': '📊 Live Dashboard',
+    'tab.monitoring': '📈 Real-Time Chart',
+    'tab.analytics': '🔍 Analytics',
+    'tab.advisory': '🤖 AI Advisory',
+    'tab.notifications': '🔔 Alerts',
+    'tab.settings': '⚙️ Settings',
+    'common.notAvailable': 'N/A',
+    'common.hoursMinutes': '{hours}h {minutes}m',
+    'common.retryConnection': 'Retry Connection',
+    'battery.title': 'Battery Status',
+    'battery.status': 'Status: {status}',
+    'battery.charging': 'Charging',
+    'battery.discharging': 'Discharging',
+    'battery.source': 'Source: {source}',
+    'battery.api': 'Battery API',
+    'weather.title': 'Live Weather',
+    'weather.defaultLocation': 'Default Location',
+    'weather.currentLocation': 'Current Location',
+    'weather.humidity': 'Humidity',
+    'weather.wind': 'Wind',
+    'weather.uvIndex': 'UV Index',
+    'weather.forecast': '{count}-hour forecast',
+    'weather.forecastHour': '{description} · humidity {humidity} · UV {uvIndex}',
+    'weather.loading': 'Loading weather data...',
+    'common.unknown': 'Unknown',
+    'level.high': 'High',
+    'level.medium': 'Medium',
+    'level.low': 'Low',
+    'device.title': 'System Performance',
+    'device.memory': 'Memory Usage',
+    'device.megabytes': '{value} MB',
+    'device.cpuLoad': 'CPU Load Est.',
+    'device.cpuSource.computePressure': 'Compute Pressure API blended with main-thread busy time',
+    'device.cpuSource.eventLoop': 'Main-thread busy time from event-loop lag and long tasks',
+    'device.cpuSource.provider': 'Reported by the selected provider',
+    'device.throttling': 'Thermal Throttling',
+    'device.benchmarkBaseline': 'Benchmark baseline {value} ms',
+    'device.network': 'Network',
+    'device.cores': 'CPU Cores',
+    'throttling.learning': 'Learning baseline',
+    'throttling.none': 'Not detected',
+    'throttling.possible': 'Possible',
+    'throttling.likely': 'Likely',
+    'health.title': 'Battery Health Impact',
+    'health.caption': 'Current risk score',
+    'health.capacity': 'Estimated Capacity',
+    'health.learning': 'Learning - needs {required} min of monitoring ({monitored} min so far)',
+    'health.aging': 'Calendar aging −{calendar}% · cycle aging −{cycle}% ({cycles} cycles)',
+    'health.trend': 'Trend {sign}{slope}% per month',
+    'health.endOfLife': '{level} in about {days} days',
+    'chart.title': 'Live Temperature & Performance Monitor',
+    'chart.deviceTemp': 'Device Temperature',
+    'chart.ambientTemp': 'Ambient Temperature',
+    'chart.batteryLevel': 'Battery Level',
+    'chart.temperatureAxis': 'Temperature ({unit})',
+    'chart.batteryAxis': 'Battery Level (%)',
+    'chart.reset': 'Reset Chart',
+    'chart.resume': 'Resume',
+    'chart.pause': 'Pause',
+    'chart.legendDevice': 'Device Temperature (Estimated)',
+    'chart.legendAmbient': 'Ambient Temperature (Weather)',
+    'alertLevel.safe': 'Safe',
+    'alertLevel.low': 'Low',
+    'alertLevel.normal': 'Normal',
+    'alertLevel.warning': 'Warning',
+    'alertLevel.medium': 'Medium',
+    'alertLevel.danger': 'Danger',
+    'alertLevel.high': 'High',
+    'alertLevel.critical': 'Critical',
+    'advisory.title': 'AI-Powered Battery Advisory',
+    'advisory.subtitle': 'Get personalized recommendations based on real-time data',
+    'advisory.service': 'ThermoSense Advisory Service',
+    'advisory.requesting': 'Requesting...',
+    'advisory.refresh': 'Refresh',
+    'advisory.alertLevel': 'Alert Level: {level}',
+    'advisory.impact': 'Predicted health impact: {impact}',
+    'advisory.action': 'Suggested action: {action}',
+    'advisory.noAction': 'No action needed',
+    'advisory.source': 'Source: {source}',
+    'advisory.sourceRemote': 'Advisory API',
+    'advisory.sourceLocal': 'Local model',
+    'advisory.unavailable': '(API unavailable: {error})',
+    'advisory.disabled': '(remote advisory disabled in Settings)',
+    'plan.title': 'Smart Charging Plan',
+    'plan.remind': 'Remind me when a window opens',
+    'plan.waiting': 'Waiting for battery data...',
+    'plan.target': 'Recommended charge target:',
+    'plan.covered': 'current level already covers it',
+    'plan.chargeRate': 'Typical charge rate: {rate}%/h',
+    'plan.startNow': 'Start now',
+    'plan.start': 'Start {when}',
+    'plan.doneBy': 'done by {time}',
+    'plan.best': 'Best',
+    'plan.avgAmbient': 'avg {temperature}',
+    'plan.noneNeeded': 'No charging needed in the next {hours} hours',
+    'analysis.title': 'Current System Analysis',
+    'analysis.riskLevel': 'Risk Level: {level}',
+    'analysis.healthScore': 'Current health score: {score}',
+    'analysis.status': 'System Status: {status}',
+    'analysis.status.danger': 'Immediate attention required',
+    'analysis.status.warning': 'Monitor closely',
+    'analysis.status.safe': 'Operating normally',
+    'analysis.recommendations': 'Real-time Recommendations:',
+    'custom.title': 'Custom Scenario Analysis',
+    'custom.deviceTemp': 'Device Temperature ({unit})',
+    'custom.ambientTemp': 'Ambient Temperature ({unit})',
+    'custom.batteryLevel': 'Battery Level (%)',
+    'custom.usage': 'Usage Scenario',
+    'custom.usage.select': 'Select scenario...',
+    'custom.usage.idle': 'Idle',
+    'custom.usage.light': 'Light Usage',
+    'custom.usage.moderate': 'Moderate Usage',
+    'custom.usage.heavy': 'Heavy Usage',
+    'custom.usage.gaming': 'Gaming/Intensive',
+    'custom.usage.charging': 'Charging',
+    'custom.analyze': '🤖 Analyze Scenario',
+    'custom.result': 'Analysis Result',
+    'custom.actionItems': 'Action Items:',
+    'recommendation.action.stopTasks': 'Stop all intensive tasks immediately',
+    'recommendation.action.powerDown': 'Power down device if possible',
+    'recommendation.action.moveCool': 'Move to cool, ventilated area',
+    'recommendation.action.reduceApps': 'Reduce intensive applications',
+    'recommendation.action.ventilate': 'Improve ventilation',
+    'recommendation.action.avoidCharging': 'Avoid charging while hot',
+    'recommendation.action.monitor': 'Monitor periodically',
+    'custom.impact.high': 'High risk of permanent damage',
+    'custom.impact.medium': 'Moderate impact on battery health',
+    'custom.impact.low': 'Minimal impact on battery health',
+    'notifications.title': 'Alert & Notification Center',
+    'notifications.clearAll': 'Clear All',
+    'notifications.test': 'Test Alert',
+    'notifications.filter.all': 'All',
+    'notifications.filter.critical': 'Critical',
+    'notifications.filter.warning': 'Warning',
+    'notifications.filter.info': 'Info',
+    'notifications.empty': 'No notifications yet',
+    'notifications.empty.critical': 'No critical notifications',
+    'notifications.empty.warning': 'No warning notifications',
+    'notifications.empty.info': 'No info notifications',
+    'common.apply': 'Apply',
+    'common.clear': 'Clear',
+    'common.remove': 'Remove',
+    'common.no': 'No',
+    'common.minutesShort': '{minutes}m',
+    'common.seconds.one': '{count} second',
+    'common.seconds.other': '{count} seconds',
+    'common.minutes.one': '{count} minute',
+    'common.minutes.other': '{count} minutes',
+    'unit.celsius': 'Celsius',
+    'unit.fahrenheit': 'Fahrenheit',
+    'settings.title': 'Settings & Configuration',
+    'settings.importProfile': 'Import Profile',
+    'settings.exportProfile': 'Export Profile',
+    'settings.reset': 'Reset to Defaults',
+    'settings.restored': '⚙️ Settings restored to defaults',
+    'settings.imported': '⚙️ Settings profile "{name}" imported',
+    'settings.importFailed': '⚠️ Could not import settings: {error}',
+    'settings.regional': 'Language & Units',
+    'settings.language': 'Language',
+    'settings.temperatureUnit': 'Temperature Unit',
+    'settings.speedUnit': 'Wind Speed Unit',
+    'settings.regionalHint': 'Numbers, dates and times follow the selected language, e.g. {example}',
+    'settings.monitoring': 'Monitoring Settings',
+    'settings.batteryInterval': 'Battery Update Interval',
+    'settings.weatherInterval': 'Weather Update Interval',
+    'settings.performanceInterval': 'Performance Update Interval',
+    'settings.temperatureInterval': 'Temperature Estimate Interval',
+    'settings.deviceProfile': 'Device Profile',
+    'settings.chartInterval': 'Chart Update Interval',
+    'settings.dataSources': 'Data Sources',
+    'settings.provider': '{metric} Provider',
+    'settings.remoteAgentUrl': 'Remote Agent URL',
+    'settings.manualBattery': 'Manual Battery Reading',
+    'settings.manualLevel': 'Level %',
+    'settings.manualWeather': 'Manual Weather Reading',
+    'settings.manualTemperature': 'Temperature {unit}',
+    'settings.manualHumidity': 'Humidity %',
+    'settings.manualCpu': 'Manual CPU Load (%)',
+    'settings.manualInvalid.battery': '⚠️ Enter numeric battery values first',
+    'settings.manualInvalid.weather': '⚠️ Enter numeric weather values first',
+    'settings.manualInvalid.performance': '⚠️ Enter numeric performance values first',
+    'settings.thresholds': 'Alert Thresholds',
+    'settings.tempWarning': 'Temperature Warning ({unit})',
+    'settings.tempCritical': 'Temperature Critical ({unit})',
+    'settings.ambientHigh': 'Hot Ambient ({unit})',
+    'settings.ambientLow': 'Cold Ambient ({unit})',
+    'settings.batteryLow': 'Battery Low (%)',
+    'settings.cpuHigh': 'High CPU Load (%)',
+    'settings.notifications': 'Notification Preferences',
+    'settings.tempAlerts': 'Temperature alerts',
+    'settings.batteryAlerts': 'Battery level alerts',
+    'settings.weatherAlerts': 'Weather-based alerts',
+    'settings.soundAlerts': 'Sound notifications',
+    'settings.systemNotifications': 'System notifications (while in background)',
+    'settings.notificationsUnsupported': '⚠️ System notifications are not supported in this browser',
+    'settings.notificationsDenied': '⚠️ Notification permission was denied - system notifications stay off',
+    'settings.permission': 'Browser permission: {permission}',
+    'settings.permission.granted': 'granted',
+    'settings.permission.denied': 'denied',
+    'settings.permission.default': 'not requested',
+    'settings.permission.unsupported': 'not supported',
+    'settings.quietHours': 'Quiet hours (no sounds or system notifications)',
+    'settings.quietFrom': 'Quiet From',
+    'settings.quietUntil': 'Quiet Until',
+    'settings.previewWarning': 'Preview Warning Tone',
+    'settings.previewCritical': 'Preview Critical Tone',
+    'settings.advisory': 'Advisory API',
+    'settings.remoteAdvisory': 'Use remote advisory service',
+    'settings.baseUrl': 'Base URL',
+    'settings.timeout': 'Timeout',
+    'settings.retries': 'Retries',
+    'settings.refreshInterval': 'Refresh Interval',
+    'privacy.title': 'Data & Privacy',
+    'privacy.local': '✅ All data is processed locally on your device unless the remote advisory is turned on',
+    'privacy.weather': '✅ Weather data from Open-Meteo (anonymous)',
+    'privacy.personal': '✅ No personal data is stored or sent to third parties',
+    'privacy.location': '✅ Location used only for weather (not stored)',
+    'privacy.advisory': 'ℹ️ The advisory API is off until enabled above; it then receives only temperatures and device state',
+    'calibration.title': 'Temperature Calibration',
+    'calibration.hint': 'Enter the temperature reported by an OS tool or thermal probe at several moments, then fit the {profile} estimator to them.',
+    'calibration.overdue': 'Calibration is over {days} days old - add fresh readings and refit',
+    'calibration.overdueNotice': '🎯 {profile} temperature calibration is over {days} days old - recalibrate in Settings',
+    'calibration.reference': 'Reference Temperature ({unit}) - estimate now {estimate}',
+    'calibration.add': 'Add Reading',
+    'calibration.liveOnly': 'Readings can only be taken from live sensors',
+    'calibration.point': 'Reference {reference} · uncalibrated model {estimate}',
+    'calibration.error.one': 'Error {before} before → {after} after ({count} reading)',
+    'calibration.error.other': 'Error {before} before → {after} after ({count} readings)',
+    'calibration.parameters': 'Offset {offset} · gain {gain} · time constant {timeConstant} s',
+    'calibration.calibratedAt': 'Calibrated {date}',
+    'calibration.fit': 'Fit Calibration',
+    'calibration.fitting': 'Fitting...',
+    'calibration.clear': 'Clear Calibration',
+    'calibration.fitted': '🎯 Calibration fitted - error {before} → {after}',
+    'calibration.fitFailed': '⚠️ Could not fit calibration: {error}',
+    'simulator.section': 'Scenario Simulator',
+    'simulator.scenario': 'Scenario',
+    'simulator.seed': 'Random Seed',
+    'simulator.speed': 'Speed',
+    'simulator.realTime': 'Real time',
+    'simulator.run': 'Run Scenario',
+    'simulator.script': 'Scenario Script (JSON)',
+    'simulator.save': 'Save as Custom Scenario',
+    'simulator.delete': 'Delete Scenario',
+    'simulator.started': '🎬 Simulating "{name}" with seed {seed}',
+    'simulator.stopped': '🎬 Simulation stopped - back to live sensors',
+    'scenario.saved': '🎬 Scenario "{name}" saved',
+    'scenario.error.builtIn': 'Built-in scenarios cannot be overwritten - give the script a new id',
+    'analytics.title': 'Historical Analytics',
+    'analytics.refresh': 'Refresh',
+    'analytics.refreshing': 'Refreshing...',
+    'analytics.lastRefreshed.one': 'Last refreshed: {time} · {count} sample',
+    'analytics.lastRefreshed.other': 'Last refreshed: {time} · {count} samples',
+    'analytics.noData': 'No recorded data in this time range yet',
+    'analytics.rate': '{rate}%/h',
+    'analytics.temperatureTrends': 'Temperature Trends',
+    'analytics.avgDeviceTemp': 'Avg Device Temp',
+    'analytics.peakTemp': 'Peak Temperature',
+    'analytics.warningEvents': 'Warning Events',
+    'analytics.criticalEvents': 'Critical Events',
+    'analytics.timeByLevel': 'Time by Alert Level',
+    'analytics.batteryPerformance': 'Battery Performance',
+    'analytics.drainRate': 'Drain Rate',
+    'analytics.chargeRate': 'Charge Rate',
+    'analytics.environmentalImpact': 'Environmental Impact',
+    'analytics.avgAmbientTemp': 'Avg Ambient Temp',
+    'analytics.avgAmbientDelta': 'Avg Device vs Ambient',
+    'analytics.maxAmbientDelta': 'Max Device vs Ambient',
+    'analytics.chargingSessions': 'Charging Sessions',
+    'analytics.chargeCycles': 'Charge Cycles',
+    'analytics.sessions': 'Sessions',
+    'analytics.chargingNow': 'Charging Now',
+    'analytics.noSessions': 'No charging sessions recorded yet',
+    'analytics.sessionRange': '{from} → {to} in {duration}',
+    'analytics.sessionConditions': 'Peak {peak} · ambient {ambient}',
+    'analytics.noStressFactors': 'No stress factors',
+    'analytics.impact': '{level} impact ({score})',
+    'dashboard.title': 'Real-Time Battery Health Dashboard',
+    'dashboard.operational': 'System Operational',
+    'dashboard.monitor': 'Monitor Required',
+    'dashboard.actionRequired': 'Immediate Action Required',
+    'dashboard.lastUpdated': 'Last updated: {time}',
+    'dashboard.source': 'Source: React Hooks & APIs',
+    'dashboard.temperature': 'Temperature Status',
+    'dashboard.estimatedDevice': 'Estimated Device',
+    'dashboard.ambient': 'Ambient Weather',
+    'dashboard.tempCritical': 'Critical temperature',
+    'dashboard.tempElevated': 'Elevated temperature',
+    'dashboard.tempNormal': 'Normal range',
+    'dashboard.thermalModel': '{profile} thermal model',
+    'dashboard.modelSummary': 'Confidence {confidence} · settling toward {steadyState}',
+    'dashboard.calibrated': ' · calibrated',
+    'dashboard.uncalibrated': ' · uncalibrated',
+    'dashboard.recalibrate': 'Recalibration overdue',
+    'dashboard.activeAlerts': 'Active Alerts',
+    'dashboard.alertCritical': '🚨 Critical temperature detected - immediate action required!',
+    'dashboard.alertWarning': '⚠️ Device temperature elevated - monitor closely',
+    'dashboard.noAlerts': 'No active alerts',
+    'permission.title': 'Enable Real-Time Monitoring',
+    'permission.intro': 'ThermoSense needs access to:',
+    'permission.location': '📍 Your location for weather data',
+    'permission.battery': '🔋 Battery information (if supported)',
+    'permission.performance': '📊 System performance metrics',
+    'permission.privacy': 'All data stays on your device unless you enable the remote advisory, and is used only for monitoring.',
+    'permission.deny': 'Use Without',
+    'permission.allow': 'Enable Monitoring',
+    'permission.enabled': '✅ Monitoring permissions enabled successfully',
+    'permission.partial': '⚠️ Some permissions could not be enabled - running in limited mode',
+    'permission.limited': '⚠️ Running in limited mode - Enable permissions for full functionality',
+    'session.recordingStarted': '⏺ Session recording started',
+    'session.saved.one': '⏺ Session saved - {count} event over {duration}',
+    'session.saved.other': '⏺ Session saved - {count} events over {duration}',
+    'session.replaying': '📂 Replaying session "{name}"',
+    'session.loadFailed': '⚠️ Could not load session: {error}',
+    'analytics.range.1h': 'Last Hour',
+    'analytics.range.6h': 'Last 6 Hours',
+    'analytics.range.24h': 'Last 24 Hours',
+    'analytics.range.7d': 'Last 7 Days',
+    'common.cancel': 'Cancel',
+    'export.title': 'Export Data',
+    'export.range': 'Time Range',
+    'export.range.all': 'All recorded data',
+    'export.range.custom': 'Custom range',
+    'export.from': 'From',
+    'export.to': 'To (empty = now)',
+    'export.series': 'Series',
+    'export.series.deviceTemp': 'Device temperature',
+    'export.series.ambientTemp': 'Ambient temperature',
+    'export.series.battery': 'Battery level',
+    'export.series.cpu': 'CPU load',
+    'export.series.memory': 'Memory usage',
+    'export.series.alerts': 'Alert state changes',
+    'export.series.notifications': 'Notifications',
+    'export.format': 'Format',
+    'export.formatHint.csv': 'One row per reading, for spreadsheets. Temperatures in °C.',
+    'export.formatHint.ndjson': 'One JSON object per line with metadata first, for scripts and log tools.',
+    'export.formatHint.json': 'Versioned ThermoSense export with metadata, readable by the import feature.',
+    'export.start': 'Export',
+    'export.exporting': 'Exporting...',
+    'export.progress.one': '{count} record written...',
+    'export.progress.other': '{count} records written...',
+    'export.done.one': '📊 Exported {count} record to {filename}',
+    'export.done.other': '📊 Exported {count} records to {filename}',
+    'export.error.format': 'Unknown export format',
+    'export.error.series': 'Select at least one series',
+    'export.error.range': 'The start of the range must be before its end',
+    'export.error.failed': 'Export failed: {error}',
+    'nav.import': '📂 Review',
+    'analytics.range.all': 'All recorded data',
+    'review.title': 'Reviewing {name}',
+    'review.range': '{from} – {to}',
+    'review.counts': '{samples} samples, {notifications} notifications',
+    'review.source': 'Exported {exportedAt} by ThermoSense {app} · {profile} profile',
+    'review.legacy': 'Snapshot from an older ThermoSense version (current state only)',
+    'review.flag.simulated': 'includes simulated data',
+    'review.flag.replaying': 'exported during a session replay',
+    'review.readOnly': 'Read-only - Chart, Analytics and Alerts show this file',
+    'review.exit': 'Close Review',
+    'review.loaded': '📂 Reviewing "{name}" - live monitoring continues in the background',
+    'review.loadFailed': '⚠️ Could not import file: {error}',
+    'review.error.type': 'Not a ThermoSense data export',
+    'review.error.version': 'Unsupported export version {version}',
+    'review.error.records': 'Export has no records list',
+    'review.error.record': 'Record {index}: {error}',
+    'review.error.recordObject': 'not an object',
+    'review.error.recordField': 'invalid {field}',
+    'review.error.recordSeries': 'unknown series "{series}"',
+    'recommendation.action.unplug': 'Unplug the charger until the device cools down',
+    'recommendation.action.charge': 'Connect a charger soon',
+    'recommendation.action.powerSaving': 'Turn on power saving mode',
+    'recommendation.action.shade': 'Keep the device out of direct sunlight',
+    'recommendation.action.keepWarm': 'Keep the device close to your body outdoors',
+    'recommendation.action.chargeEarly': 'Charge before the hot hours',
+    'recommendation.reading.deviceTemp': 'Device {value} (limit {limit})',
+    'recommendation.reading.ambientTemp': 'Ambient {value} (limit {limit})',
+    'recommendation.reading.batteryLevel': 'Battery {value} (limit {limit})',
+    'recommendation.reading.cpuLoad': 'CPU {value} (limit {limit})',
+    'recommendation.detail.tempCritical': 'Above the critical limit, lithium-ion cells age several times faster and the system may throttle or shut down to protect itself.',
+    'recommendation.detail.tempWarning': 'Sustained heat speeds up battery wear. Lighter workloads and better airflow usually bring the temperature back within a few minutes.',
+    'recommendation.detail.chargingHot': 'Charging adds heat of its own. Charging a warm battery, especially near full, is one of the main causes of capacity loss.',
+    'recommendation.detail.ambientLow': 'Cold slows the chemistry inside the battery, so it reports less charge. The capacity returns once the device warms up.',
+    'recommendation.detail.uv': 'Direct sun can heat a device far above the air temperature, even when it is idle.',
+    'recommendation.learnMore': 'Learn more',
+    'recommendation.filter': 'Filter recommendations by category',
+    'recommendation.none': 'No recommendations in this category.',
+    'recommendation.category.all': 'All categories',
+    'recommendation.category.thermal': 'Thermal',
+    'recommendation.category.charging': 'Charging',
+    'recommendation.category.environment': 'Environment',
+    'recommendation.category.performance': 'Performance',
+    'health.factor.temperature': 'Device temperature',
+    'health.factor.chargingHot': 'Charging while hot',
+    'health.factor.battery': 'Battery level',
+    'health.factor.ambient': 'Ambient temperature',
+    'health.factor.cpu': 'CPU load',
+    'health.points': '−{points} pts',
+    'health.noImpact': 'No impact',
+    'health.notApplicable': 'n/a',
+    'health.why': 'Why this score?',
+    'health.formula': 'Score {score} = 100 − {deductions} points deducted by the factors below. Each factor deducts the points of the first threshold its input crosses.',
+    'health.input.value': 'input {value}',
+    'health.input.noData': 'No data',
+    'health.requires.charging': 'only counts while charging',
+    'health.check.above': 'above {limit}',
+    'health.check.below': 'below {limit}',
+    'health.fired': 'fired',
+    'common.yes': 'Yes',
+    'whatIf.variable.ambientTemp': 'Ambient temperature ({unit})',
+    'whatIf.variable.deviceTemp': 'Device temperature ({unit})',
+    'whatIf.variable.batteryLevel': 'Battery level ({unit})',
+    'whatIf.variable.cpuLoad': 'CPU load ({unit})',
+    'whatIf.impactAxis': 'Health impact (%)',
+    'whatIf.sweepTitle': 'Risk curve',
+    'whatIf.sweepVariable': 'Vary',
+    'whatIf.sweepFrom': 'From',
+    'whatIf.sweepTo': 'To',
+    'whatIf.sweepHint': 'The other inputs stay as in the scenario above. Impact is 100 minus the health score, using your current thresholds.',
+    'whatIf.compareTitle': 'Compare with live state',
+    'whatIf.compareEmpty': 'Analyze a scenario and save it to compare it here.',
+    'whatIf.live': 'Live',
+    'whatIf.save': '💾 Save scenario',
+    'whatIf.namePlaceholder': 'Scenario name',
+    'whatIf.defaultName': 'Scenario {number}',
+    'whatIf.saved': '💾 What-if scenario "{name}" saved',
+    'whatIf.remove': 'Remove {name}',
+    'whatIf.error.list': 'Saved what-if scenarios must be a list',
+    'whatIf.error.limit': 'At most {max} what-if scenarios can be saved',
+    'whatIf.error.object': 'What-if scenario must be an object',
+    'whatIf.error.id': 'What-if scenario needs an id',
+    'whatIf.error.name': 'What-if scenario needs a name',
+    'whatIf.error.number': 'What-if scenario {field} must be a number',
+    'whatIf.error.range': 'What-if scenario {field} must be between {min} and {max}',
+    'whatIf.error.usage': 'Unknown what-if usage "{usage}"',
+    'chart.anomaly': 'Anomaly',
+    'chart.recentAnomalies': 'Recent anomalies',
+    'settings.anomalyAlerts': 'Unusual behaviour (anomaly) alerts',
+    'anomaly.metric.tempRate': 'the temperature trend',
+    'anomaly.metric.deviceTemp': 'the device temperature',
+    'anomaly.metric.drainRate': 'the battery drain',
+    'anomaly.usage.idle': 'while idle',
+    'anomaly.usage.light': 'under light use',
+    'anomaly.usage.moderate': 'under moderate use',
+    'anomaly.usage.heavy': 'under heavy use',
+    'anomaly.usage.charging': 'while charging',
+    'anomaly.baseline.bucket': 'normal for this time of day',
+    'anomaly.baseline.overall': 'normal overall',
+    'anomaly.tempRate': '📈 Unusual temperature change of {value}/min {usage} - {baseline} is {expected}/min ± {deviation}/min ({z}σ)',
+    'anomaly.deviceTemp': '🌡️ Device unusually warm at {value} {usage} - {baseline} is {expected} ± {deviation} ({z}σ)',
+    'anomaly.drainRate': '🔋 Battery draining unusually fast at {value}/h {usage} - {baseline} is {expected}/h ± {deviation}/h ({z}σ)',
+    'anomaly.shift': '📊 Sustained shift in {metric} {usage}: now {value}, while {baseline} is {expected}',
+    'chart.projection': 'Projection',
+    'chart.projectionBand': 'Projection range',
+    'chart.forecastEnd': 'In {minutes} min: {value} (±{band})',
+    'chart.forecastCrossing': 'Expected to reach {limit} in ~{minutes} min',
+    'chart.forecastSteady': 'No limit expected to be reached in the next {minutes} min',
+    'alert.tempProjected': '📈 Projected to hit {limit} in ~{minutes} min at the current trend',
+    'battery.timeToFull': 'Time to full:',
+    'battery.timeToEmpty': 'Time to empty:',
+    'battery.timeToLow': 'Time to {level}:',
+    'dashboard.tempEta': 'Reaches {limit} in',
+    'eta.api': 'API {time}',
+    'eta.estimate': 'trend {time}',
+    'eta.estimateOnly': '~{time}',
+    'eta.confidence.high': 'high confidence',
+    'eta.confidence.medium': 'medium confidence',
+    'eta.confidence.low': 'low confidence'
+  },
+  de: {
+    'validation.number': 'Muss eine Zahl sein',
+    'validation.range': 'Muss zwischen {min} und {max} liegen',
+    'validation.warningBelowCritical': 'Warnschwelle muss unter der kritischen Schwelle liegen',
+    'validation.coldBelowHot': 'Kälteschwelle muss unter der Hitzeschwelle liegen',
+    'validation.time': 'Muss eine Uhrzeit im Format HH:MM sein',
+    'validation.url': 'Muss eine http(s)-URL sein',
+    'validation.unknownProvider': 'Unbekannte Quelle „{id}“',
+    'validation.unknownProfile': 'Unbekanntes Geräteprofil „{id}“',
+    'validation.oneOf': 'Muss einer der Werte {options} sein',
+    'validation.scenarioList': 'Muss eine Liste von Szenarien sein',
+    'validation.unknownScenario': 'Unbekanntes Szenario „{id}“',
+    'validation.boolean': 'Muss wahr oder falsch sein',
+    'settings.profileNotObject': 'Profil ist kein JSON-Objekt',
+    'settings.profileVersion': 'Nicht unterstützte Profilversion {version}',
+    'settings.profileInvalid': 'Ungültiger Wert für {key}: {message}',
+    'sensor.battery': 'Akku',
+    'sensor.weather': 'Wetter',
+    'sensor.performance': 'Leistung',
+    'provider.browserBattery': 'Browser-Battery-API',
+    'provider.simulated': 'Simuliert',
+    'provider.openMeteo': 'Standort + Open-Meteo',
+    'provider.browserPerformance': 'Browser-Performance-APIs',
+    'provider.replay': 'Aufgezeichneten Verlauf abspielen',
+    'provider.remote': 'Remote-Agent',
+    'provider.manual': 'Manuelle Eingabe',
+    'provider.batteryUnsupported': 'Battery-API nicht unterstützt - simulierte Daten werden verwendet',
+    'provider.noHistory': 'Kein aufgezeichneter Verlauf zum Abspielen',
+    'provider.invalidReading': 'Ungültiger {metric}-Messwert vom Remote-Agent',
+    'provider.noManualReading': 'Kein manueller Messwert eingegeben',
+    'profile.phone': 'Smartphone',
+    'profile.tablet': 'Tablet',
+    'profile.laptop': 'Laptop',
+    'calibration.referenceRange': 'Referenztemperatur muss zwischen {min} und {max} liegen',
+    'calibration.noEstimate': 'Noch keine Live-Temperaturschätzung zum Vergleich vorhanden',
+    'calibration.noPoints': 'Zuerst mindestens einen Referenzwert hinzufügen',
+    'scenario.gamingHeat.name': 'Gaming bei 35 °C Hitze während des Ladens',
+    'scenario.gamingHeat.description': 'Hohe Last an einem heißen Nachmittag mit eingestecktem Ladegerät',
+    'scenario.overnightIdle.name': 'Ruhezustand über Nacht',
+    'scenario.overnightIdle.description': 'Smartphone auf dem Nachttisch, lädt voll und dann mit Erhaltungsladung',
+    'scenario.coldCommute.name': 'Kalter Arbeitsweg am Morgen',
+    'scenario.coldCommute.description': 'Navigation und Musik im Freien bei Temperaturen um den Gefrierpunkt',
+    'scenario.error.object': 'Szenario muss ein JSON-Objekt sein',
+    'scenario.error.id': 'id darf nur Kleinbuchstaben, Ziffern und Bindestriche enthalten',
+    'scenario.error.name': 'name ist erforderlich',
+    'scenario.error.range': '{field} muss zwischen {min} und {max} liegen',
+    'scenario.error.number': '{field} muss eine Zahl sein',
+    'scenario.error.boolean': '{field} muss true oder false sein',
+    'scenario.error.timeline': 'timeline braucht mindestens einen Keyframe',
+    'scenario.error.order': '{field} muss nach dem vorherigen Keyframe liegen',
+    'scenario.error.json': 'Szenario ist kein gültiges JSON',
+    'recommendation.tempCritical': '🚨 KRITISCH: Gerätetemperatur zu hoch! Sofort abkühlen lassen!',
+    'recommendation.tempWarning': '⚠️ WARNUNG: Gerät läuft heiß. Rechenintensive Aufgaben reduzieren.',
+    'recommendation.tempOptimal': '✅ Die Temperaturwerte sind optimal.',
+    'recommendation.chargingHot': '⚠️ Laden bei Hitze verkürzt die Lebensdauer des Akkus.',
+    'recommendation.chargingGood': '🔋 Die Ladebedingungen sind gut.',
+    'recommendation.batteryLow': '🔋 Akku schwach. Bald aufladen.',
+    'recommendation.ambientHigh': '🌡️ Hohe Umgebungstemperatur beeinträchtigt die Kühlung des Geräts.',
+    'recommendation.ambientLow': '❄️ Kälte kann die Akkukapazität vorübergehend verringern.',
+    'recommendation.cpuHigh': '📊 Hohe CPU-Last erkannt. Auf Wärmeentwicklung achten.',
+    'weather.code.0': 'Klarer Himmel',
+    'weather.code.1': 'Überwiegend klar',
+    'weather.code.2': 'Teilweise bewölkt',
+    'weather.code.3': 'Bedeckt',
+    'weather.code.45': 'Nebel',
+    'weather.code.48': 'Raureifnebel',
+    'weather.code.51': 'Leichter Nieselregen',
+    'weather.code.53': 'Mäßiger Nieselregen',
+    'weather.code.55': 'Starker Nieselregen',
+    'weather.code.61': 'Leichter Regen',
+    'weather.code.63': 'Mäßiger Regen',
+    'weather.code.65': 'Starker Regen',
+    'weather.code.71': 'Leichter Schneefall',
+    'weather.code.73': 'Mäßiger Schneefall',
+    'weather.code.75': 'Starker Schneefall',
+    'weather.code.95': 'Gewitter',
+    'weather.code.unknown': 'Unbekannt',
+    'forecast.when.today': 'um {time}',
+    'forecast.when.tomorrow': 'morgen um {time}',
+    'forecast.when.date': 'am {date} um {time}',
+    'forecast.advisory.heat': '🌡️ Die Umgebungstemperatur erreicht {when} {temperature} - dann nicht laden.',
+    'forecast.advisory.heatPeak': '🌡️ Die Umgebungstemperatur erreicht {when} {temperature}, mit einem Höchstwert von {peak} {peakWhen} - vorher laden.',
+    'forecast.advisory.cold': '❄️ Die Umgebungstemperatur fällt {when} auf {temperature} - im Freien ist mit geringerer Akkukapazität zu rechnen.',
+    'forecast.advisory.uv': '☀️ UV-Index {uvIndex} erwartet {when} - Gerät vor direkter Sonne schützen.',
+    'session.factor.peak': 'Spitzenwert {temperature}',
+    'session.factor.hotAmbient': 'Heiße Umgebung ({temperature})',
+    'session.factor.chargedTo': 'Geladen auf {level}',
+    'session.factor.fastHot': 'Schnellladen bei Hitze',
+    'plan.reason.coolAmbient': 'Kühle Umgebung ({temperature})',
+    'plan.reason.hotAmbient': 'Heiße Umgebung ({temperature}) - Gerät gut belüften',
+    'plan.reason.lightUsage': 'Geringe Nutzung erwartet',
+    'plan.reason.habit': 'Passt zu deinen üblichen Ladezeiten',
+    'plan.reason.longDay': 'Langer Tag voraus - nach dem Vollladen bald abstecken',
+    'plan.reminder': '🔌 Guter Zeitpunkt zum Laden: {ambient} Umgebungstemperatur - bis {time} auf {level} laden',
+    'alert.tempCritical': '🚨 Kritische Gerätetemperatur: {value} (Grenze {limit})',
+    'alert.tempCriticalRecovered': '✅ Gerätetemperatur wieder unter dem kritischen Wert: {value}',
+    'alert.tempWarning': '⚠️ Gerät läuft heiß: {value} (Warnung ab {limit})',
+    'alert.tempRising': '📈 Gerätetemperatur steigt schnell: +{rate}/min',
+    'alert.tempSustained': '🔥 Gerät seit {minutes} Minuten über {limit}',
+    'alert.chargingHot': '⚠️ Laden bei Hitze ({value}) - Abstecken erwägen',
+    'alert.batteryCritical': '🪫 Akku kritisch niedrig: {level}',
+    'alert.batteryLow': '🔋 Akku schwach: {level} - bald aufladen',
+    'alert.ambientHot': '🌡️ Hohe Umgebungstemperatur: {value} - Gerät vor direkter Sonne schützen',
+    'alert.ambientCold': '❄️ Niedrige Umgebungstemperatur: {value} - Akkukapazität kann vorübergehend sinken',
+    'advisory.error.object': 'Antwort ist kein JSON-Objekt',
+    'advisory.error.alertLevel': 'Unerwarteter alert_level: {value}',
+    'advisory.error.impact': 'predicted_health_impact muss eine Zahl, ein String oder null sein',
+    'advisory.error.action': 'optional_action muss ein String oder null sein',
+    'advisory.error.invalid': 'Ungültige Antwort des Beratungsdienstes: {error}',
+    'advisory.error.failed': 'Anfrage an den Beratungsdienst fehlgeschlagen',
+    'session.error.json': 'Datei ist kein gültiges JSON',
+    'session.error.type': 'Keine ThermoSense-Sitzungsaufzeichnung',
+    'session.error.version': 'Nicht unterstützte Sitzungsversion {version}',
+    'session.error.incomplete': 'Sitzungsaufzeichnung ist unvollständig',
+    'common.speed': '{speed}×',
+    'status.connected': 'verbunden',
+    'status.limited': 'eingeschränkt',
+    'status.retrying': 'neuer Versuch',
+    'status.disconnected': 'getrennt',
+    'loading.starting': 'ThermoSense wird gestartet...',
+    'loading.compatibility': 'Browser-Kompatibilität wird geprüft...',
+    'loading.location': 'Standortzugriff wird angefragt...',
+    'loading.weather': 'Verbindung zum Wetterdienst wird hergestellt...',
+    'loading.battery': 'Akkuüberwachung wird initialisiert...',
+    'loading.updates': 'Echtzeit-Aktualisierungen werden eingerichtet...',
+    'nav.subtitle': 'React-Echtzeitüberwachung',
+    'nav.online': 'Online',
+    'nav.offline': 'Offline',
+    'nav.theme': 'Dunkelmodus umschalten',
+    'nav.stopRecording': '⏹ Aufnahme beenden',
+    'nav.record': '⏺ Aufnehmen',
+    'nav.replay': '📂 Abspielen',
+    'nav.export': '📊 Exportieren',
+    'replay.title': 'Sitzung wird abgespielt',
+    'replay.recorded': 'Aufgenommen am {time}',
+    'replay.alerts': 'Warnungen: {recorded} aufgezeichnet / {replayed} wiedergegeben / {matching} übereinstimmend',
+    'replay.pause': 'Pause',
+    'replay.play': 'Abspielen',
+    'replay.exit': 'Wiedergabe beenden',
+    'replay.compare': 'Aufgezeichnete und wiedergegebene Warnungen vergleichen',
+    'replay.compare.rule': 'Regel',
+    'replay.compare.change': 'Änderung',
+    'replay.compare.recorded': 'Aufgezeichnet',
+    'replay.compare.replayed': 'Wiedergegeben',
+    'replay.compare.raised': 'ausgelöst',
+    'replay.compare.cleared': 'aufgehoben',
+    'simulator.title': 'Simulation: {name}',
+    'simulator.details': 'Seed {seed} · {speed} Geschwindigkeit',
+    'simulator.finished': 'beendet',
+    'simulator.restart': 'Neu starten',
+    'simulator.stop': 'Simulation beenden',
+    'tab.dashboard': '📊 Live-Dashboard',
+    'tab.monitoring': '📈 Echtzeit-Diagramm',
+    'tab.analytics': '🔍 Analysen',
+    'tab.advisory': '🤖 KI-Beratung',
+    'tab.notifications': '🔔 Warnungen',
+    'tab.settings': '⚙️ Einstellungen',
+    'common.notAvailable': 'k. A.',
+    'common.hoursMinutes': '{hours} h {minutes} min',
+    'common.retryConnection': 'Verbindung erneut versuchen',
+    'battery.title': 'Akkustatus',
+    'battery.status': 'Status: {status}',
+    'battery.charging': 'Lädt',
+    'battery.discharging': 'Entlädt',
+    'battery.source': 'Quelle: {source}',
+    'battery.api': 'Battery-API',
+    'weather.title': 'Live-Wetter',
+    'weather.defaultLocation': 'Standardstandort',
+    'weather.currentLocation': 'Aktueller Standort',
+    'weather.humidity': 'Luftfeuchtigkeit',
+    'weather.wind': 'Wind',
+    'weather.uvIndex': 'UV-Index',
+    'weather.forecast': '{count}-Stunden-Vorhersage',
+    'weather.forecastHour': '{description} · Luftfeuchtigkeit {humidity} · UV {uvIndex}',
+    'weather.loading': 'Wetterdaten werden geladen...',
+    'common.unknown': 'Unbekannt',
+    'level.high': 'Hoch',
+    'level.medium': 'Mittel',
+    'level.low': 'Niedrig',
+    'device.title': 'Systemleistung',
+    'device.memory': 'Speichernutzung',
+    'device.megabytes': '{value} MB',
+    'device.cpuLoad': 'CPU-Last (geschätzt)',
+    'device.cpuSource.computePressure': 'Compute-Pressure-API kombiniert mit der Auslastung des Hauptthreads',
+    'device.cpuSource.eventLoop': 'Auslastung des Hauptthreads aus Event-Loop-Verzögerung und langen Tasks',
+    'device.cpuSource.provider': 'Von der gewählten Quelle gemeldet',
+    'device.throttling': 'Thermische Drosselung',
+    'device.benchmarkBaseline': 'Benchmark-Referenz {value} ms',
+    'device.network': 'Netzwerk',
+    'device.cores': 'CPU-Kerne',
+    'throttling.learning': 'Referenz wird gelernt',
+    'throttling.none': 'Nicht erkannt',
+    'throttling.possible': 'Möglich',
+    'throttling.likely': 'Wahrscheinlich',
+    'health.title': 'Auswirkung auf die Akkugesundheit',
+    'health.caption': 'Aktueller Risikowert',
+    'health.capacity': 'Geschätzte Kapazität',
+    'health.learning': 'Lernphase - benötigt {required} min Überwachung (bisher {monitored} min)',
+    'health.aging': 'Kalendarische Alterung −{calendar} % · Zyklenalterung −{cycle} % ({cycles} Zyklen)',
+    'health.trend': 'Trend {sign}{slope} % pro Monat',
+    'health.endOfLife': '{level} in etwa {days} Tagen',
+    'chart.title': 'Live-Überwachung von Temperatur und Leistung',
+    'chart.deviceTemp': 'Gerätetemperatur',
+    'chart.ambientTemp': 'Umgebungstemperatur',
+    'chart.batteryLevel': 'Akkustand',
+    'chart.temperatureAxis': 'Temperatur ({unit})',
+    'chart.batteryAxis': 'Akkustand (%)',
+    'chart.reset': 'Diagramm zurücksetzen',
+    'chart.resume': 'Fortsetzen',
+    'chart.pause': 'Pause',
+    'chart.legendDevice': 'Gerätetemperatur (geschätzt)',
+    'chart.legendAmbient': 'Umgebungstemperatur (Wetter)',
+    'alertLevel.safe': 'Sicher',
+    'alertLevel.low': 'Niedrig',
+    'alertLevel.normal': 'Normal',
+    'alertLevel.warning': 'Warnung',
+    'alertLevel.medium': 'Mittel',
+    'alertLevel.danger': 'Gefahr',
+    'alertLevel.high': 'Hoch',
+    'alertLevel.critical': 'Kritisch',
+    'advisory.title': 'KI-gestützte Akkuberatung',
+    'advisory.subtitle': 'Persönliche Empfehlungen auf Basis von Echtzeitdaten',
+    'advisory.service': 'ThermoSense-Beratungsdienst',
+    'advisory.requesting': 'Wird angefragt...',
+    'advisory.refresh': 'Aktualisieren',
+    'advisory.alertLevel': 'Warnstufe: {level}',
+    'advisory.impact': 'Erwartete Auswirkung auf die Akkugesundheit: {impact}',
+    'advisory.action': 'Empfohlene Maßnahme: {action}',
+    'advisory.noAction': 'Keine Maßnahme nötig',
+    'advisory.source': 'Quelle: {source}',
+    'advisory.sourceRemote': 'Beratungs-API',
+    'advisory.sourceLocal': 'Lokales Modell',
+    'advisory.unavailable': '(API nicht erreichbar: {error})',
+    'advisory.disabled': '(Remote-Beratung in den Einstellungen deaktiviert)',
+    'plan.title': 'Intelligenter Ladeplan',
+    'plan.remind': 'Erinnern, wenn ein Ladefenster beginnt',
+    'plan.waiting': 'Warte auf Akkudaten...',
+    'plan.target': 'Empfohlenes Ladeziel:',
+    'plan.covered': 'der aktuelle Stand reicht bereits aus',
+    'plan.chargeRate': 'Typische Laderate: {rate} %/h',
+    'plan.startNow': 'Jetzt starten',
+    'plan.start': 'Start {when}',
+    'plan.doneBy': 'fertig bis {time}',
+    'plan.best': 'Beste Wahl',
+    'plan.avgAmbient': 'Ø {temperature}',
+    'plan.noneNeeded': 'In den nächsten {hours} Stunden ist kein Laden nötig',
+    'analysis.title': 'Aktuelle Systemanalyse',
+    'analysis.riskLevel': 'Risikostufe: {level}',
+    'analysis.healthScore': 'Aktueller Gesundheitswert: {score}',
+    'analysis.status': 'Systemstatus: {status}',
+    'analysis.status.danger': 'Sofortiges Handeln erforderlich',
+    'analysis.status.warning': 'Genau beobachten',
+    'analysis.status.safe': 'Normaler Betrieb',
+    'analysis.recommendations': 'Echtzeit-Empfehlungen:',
+    'custom.title': 'Analyse eigener Szenarien',
+    'custom.deviceTemp': 'Gerätetemperatur ({unit})',
+    'custom.ambientTemp': 'Umgebungstemperatur ({unit})',
+    'custom.batteryLevel': 'Akkustand (%)',
+    'custom.usage': 'Nutzungsszenario',
+    'custom.usage.select': 'Szenario auswählen...',
+    'custom.usage.idle': 'Leerlauf',
+    'custom.usage.light': 'Leichte Nutzung',
+    'custom.usage.moderate': 'Mittlere Nutzung',
+    'custom.usage.heavy': 'Intensive Nutzung',
+    'custom.usage.gaming': 'Gaming/Hohe Last',
+    'custom.usage.charging': 'Laden',
+    'custom.analyze': '🤖 Szenario analysieren',
+    'custom.result': 'Analyseergebnis',
+    'custom.actionItems': 'Maßnahmen:',
+    'recommendation.action.stopTasks': 'Alle rechenintensiven Aufgaben sofort beenden',
+    'recommendation.action.powerDown': 'Gerät nach Möglichkeit ausschalten',
+    'recommendation.action.moveCool': 'An einen kühlen, belüfteten Ort bringen',
+    'recommendation.action.reduceApps': 'Rechenintensive Apps reduzieren',
+    'recommendation.action.ventilate': 'Belüftung verbessern',
+    'recommendation.action.avoidCharging': 'Nicht laden, solange das Gerät heiß ist',
+    'recommendation.action.monitor': 'Regelmäßig beobachten',
+    'custom.impact.high': 'Hohes Risiko dauerhafter Schäden',
+    'custom.impact.medium': 'Mäßige Auswirkung auf die Akkugesundheit',
+    'custom.impact.low': 'Minimale Auswirkung auf die Akkugesundheit',
+    'notifications.title': 'Warn- und Benachrichtigungszentrale',
+    'notifications.clearAll': 'Alle löschen',
+    'notifications.test': 'Testwarnung',
+    'notifications.filter.all': 'Alle',
+    'notifications.filter.critical': 'Kritisch',
+    'notifications.filter.warning': 'Warnung',
+    'notifications.filter.info': 'Info',
+    'notifications.empty': 'Noch keine Benachrichtigungen',
+    'notifications.empty.critical': 'Keine kritischen Benachrichtigungen',
+    'notifications.empty.warning': 'Keine Warnungen',
+    'notifications.empty.info': 'Keine Info-Benachrichtigungen',
+    'common.apply': 'Übernehmen',
+    'common.clear': 'Leeren',
+    'common.remove': 'Entfernen',
+    'common.no': 'Nein',
+    'common.minutesShort': '{minutes} min',
+    'common.seconds.one': '{count} Sekunde',
+    'common.seconds.other': '{count} Sekunden',
+    'common.minutes.one': '{count} Minute',
+    'common.minutes.other': '{count} Minuten',
+    'unit.celsius': 'Celsius',
+    'unit.fahrenheit': 'Fahrenheit',
+    'settings.title': 'Einstellungen & Konfiguration',
+    'settings.importProfile': 'Profil importieren',
+    'settings.exportProfile': 'Profil exportieren',
+    'settings.reset': 'Auf Standard zurücksetzen',
+    'settings.restored': '⚙️ Einstellungen auf Standard zurückgesetzt',
+    'settings.imported': '⚙️ Einstellungsprofil „{name}“ importiert',
+    'settings.importFailed': '⚠️ Einstellungen konnten nicht importiert werden: {error}',
+    'settings.regional': 'Sprache & Einheiten',
+    'settings.language': 'Sprache',
+    'settings.temperatureUnit': 'Temperatureinheit',
+    'settings.speedUnit': 'Einheit für Windgeschwindigkeit',
+    'settings.regionalHint': 'Zahlen, Datum und Uhrzeit folgen der gewählten Sprache, z. B. {example}',
+    'settings.monitoring': 'Überwachung',
+    'settings.batteryInterval': 'Aktualisierungsintervall Akku',
+    'settings.weatherInterval': 'Aktualisierungsintervall Wetter',
+    'settings.performanceInterval': 'Aktualisierungsintervall Leistung',
+    'settings.temperatureInterval': 'Intervall der Temperaturschätzung',
+    'settings.deviceProfile': 'Geräteprofil',
+    'settings.chartInterval': 'Aktualisierungsintervall Diagramm',
+    'settings.dataSources': 'Datenquellen',
+    'settings.provider': 'Quelle für {metric}',
+    'settings.remoteAgentUrl': 'URL des Remote-Agenten',
+    'settings.manualBattery': 'Manueller Akkuwert',
+    'settings.manualLevel': 'Ladestand %',
+    'settings.manualWeather': 'Manueller Wetterwert',
+    'settings.manualTemperature': 'Temperatur {unit}',
+    'settings.manualHumidity': 'Luftfeuchtigkeit %',
+    'settings.manualCpu': 'Manuelle CPU-Last (%)',
+    'settings.manualInvalid.battery': '⚠️ Bitte zuerst numerische Akkuwerte eingeben',
+    'settings.manualInvalid.weather': '⚠️ Bitte zuerst numerische Wetterwerte eingeben',
+    'settings.manualInvalid.performance': '⚠️ Bitte zuerst numerische Leistungswerte eingeben',
+    'settings.thresholds': 'Alarmschwellen',
+    'settings.tempWarning': 'Temperaturwarnung ({unit})',
+    'settings.tempCritical': 'Kritische Temperatur ({unit})',
+    'settings.ambientHigh': 'Heiße Umgebung ({unit})',
+    'settings.ambientLow': 'Kalte Umgebung ({unit})',
+    'settings.batteryLow': 'Akku niedrig (%)',
+    'settings.cpuHigh': 'Hohe CPU-Last (%)',
+    'settings.notifications': 'Benachrichtigungen',
+    'settings.tempAlerts': 'Temperaturwarnungen',
+    'settings.batteryAlerts': 'Akkustandswarnungen',
+    'settings.weatherAlerts': 'Wetterbasierte Warnungen',
+    'settings.soundAlerts': 'Tonsignale',
+    'settings.systemNotifications': 'Systembenachrichtigungen (im Hintergrund)',
+    'settings.notificationsUnsupported': '⚠️ Systembenachrichtigungen werden von diesem Browser nicht unterstützt',
+    'settings.notificationsDenied': '⚠️ Benachrichtigungen wurden abgelehnt - Systembenachrichtigungen bleiben aus',
+    'settings.permission': 'Browser-Berechtigung: {permission}',
+    'settings.permission.granted': 'erteilt',
+    'settings.permission.denied': 'abgelehnt',
+    'settings.permission.default': 'nicht angefragt',
+    'settings.permission.unsupported': 'nicht unterstützt',
+    'settings.quietHours': 'Ruhezeiten (keine Töne oder Systembenachrichtigungen)',
+    'settings.quietFrom': 'Ruhe ab',
+    'settings.quietUntil': 'Ruhe bis',
+    'settings.previewWarning': 'Warnton anhören',
+    'settings.previewCritical': 'Alarmton anhören',
+    'settings.advisory': 'Beratungs-API',
+    'settings.remoteAdvisory': 'Externen Beratungsdienst verwenden',
+    'settings.baseUrl': 'Basis-URL',
+    'settings.timeout': 'Zeitlimit',
+    'settings.retries': 'Wiederholungen',
+    'settings.refreshInterval': 'Aktualisierungsintervall',
+    'privacy.title': 'Daten & Datenschutz',
+    'privacy.local': '✅ Alle Daten werden lokal auf Ihrem Gerät verarbeitet, solange die Online-Beratung ausgeschaltet ist',
+    'privacy.weather': '✅ Wetterdaten von Open-Meteo (anonym)',
+    'privacy.personal': '✅ Es werden keine persönlichen Daten gespeichert oder an Dritte gesendet',
+    'privacy.location': '✅ Standort wird nur für das Wetter genutzt (nicht gespeichert)',
+    'privacy.advisory': 'ℹ️ Die Beratungs-API ist aus, bis sie oben aktiviert wird; dann erhält sie nur Temperaturen und Gerätezustand',
+    'calibration.title': 'Temperaturkalibrierung',
+    'calibration.hint': 'Geben Sie zu mehreren Zeitpunkten die Temperatur eines Systemtools oder Temperaturfühlers ein und passen Sie dann den Schätzer für {profile} daran an.',
+    'calibration.overdue': 'Die Kalibrierung ist älter als {days} Tage - neue Messwerte hinzufügen und neu anpassen',
+    'calibration.overdueNotice': '🎯 Die Temperaturkalibrierung für {profile} ist älter als {days} Tage - bitte in den Einstellungen neu kalibrieren',
+    'calibration.reference': 'Referenztemperatur ({unit}) - aktuelle Schätzung {estimate}',
+    'calibration.add': 'Messwert hinzufügen',
+    'calibration.liveOnly': 'Messwerte können nur von Live-Sensoren übernommen werden',
+    'calibration.point': 'Referenz {reference} · unkalibriertes Modell {estimate}',
+    'calibration.error.one': 'Fehler {before} vorher → {after} nachher ({count} Messwert)',
+    'calibration.error.other': 'Fehler {before} vorher → {after} nachher ({count} Messwerte)',
+    'calibration.parameters': 'Versatz {offset} · Verstärkung {gain} · Zeitkonstante {timeConstant} s',
+    'calibration.calibratedAt': 'Kalibriert am {date}',
+    'calibration.fit': 'Kalibrierung anpassen',
+    'calibration.fitting': 'Wird angepasst...',
+    'calibration.clear': 'Kalibrierung löschen',
+    'calibration.fitted': '🎯 Kalibrierung angepasst - Fehler {before} → {after}',
+    'calibration.fitFailed': '⚠️ Kalibrierung konnte nicht angepasst werden: {error}',
+    'simulator.section': 'Szenario-Simulator',
+    'simulator.scenario': 'Szenario',
+    'simulator.seed': 'Zufalls-Seed',
+    'simulator.speed': 'Geschwindigkeit',
+    'simulator.realTime': 'Echtzeit',
+    'simulator.run': 'Szenario starten',
+    'simulator.script': 'Szenario-Skript (JSON)',
+    'simulator.save': 'Als eigenes Szenario speichern',
+    'simulator.delete': 'Szenario löschen',
+    'simulator.started': '🎬 Simuliere „{name}“ mit Seed {seed}',
+    'simulator.stopped': '🎬 Simulation beendet - zurück zu Live-Sensoren',
+    'scenario.saved': '🎬 Szenario „{name}“ gespeichert',
+    'scenario.error.builtIn': 'Eingebaute Szenarien können nicht überschrieben werden - vergeben Sie eine neue ID',
+    'analytics.title': 'Verlaufsanalyse',
+    'analytics.refresh': 'Aktualisieren',
+    'analytics.refreshing': 'Wird aktualisiert...',
+    'analytics.lastRefreshed.one': 'Zuletzt aktualisiert: {time} · {count} Messpunkt',
+    'analytics.lastRefreshed.other': 'Zuletzt aktualisiert: {time} · {count} Messpunkte',
+    'analytics.noData': 'In diesem Zeitraum wurden noch keine Daten aufgezeichnet',
+    'analytics.rate': '{rate} %/h',
+    'analytics.temperatureTrends': 'Temperaturverlauf',
+    'analytics.avgDeviceTemp': 'Ø Gerätetemperatur',
+    'analytics.peakTemp': 'Höchsttemperatur',
+    'analytics.warningEvents': 'Warnereignisse',
+    'analytics.criticalEvents': 'Kritische Ereignisse',
+    'analytics.timeByLevel': 'Zeit je Alarmstufe',
+    'analytics.batteryPerformance': 'Akkuleistung',
+    'analytics.drainRate': 'Entladerate',
+    'analytics.chargeRate': 'Laderate',
+    'analytics.environmentalImpact': 'Umgebungseinfluss',
+    'analytics.avgAmbientTemp': 'Ø Umgebungstemperatur',
+    'analytics.avgAmbientDelta': 'Ø Gerät vs. Umgebung',
+    'analytics.maxAmbientDelta': 'Max. Gerät vs. Umgebung',
+    'analytics.chargingSessions': 'Ladevorgänge',
+    'analytics.chargeCycles': 'Ladezyklen',
+    'analytics.sessions': 'Vorgänge',
+    'analytics.chargingNow': 'Lädt gerade',
+    'analytics.noSessions': 'Noch keine Ladevorgänge aufgezeichnet',
+    'analytics.sessionRange': '{from} → {to} in {duration}',
+    'analytics.sessionConditions': 'Spitze {peak} · Umgebung {ambient}',
+    'analytics.noStressFactors': 'Keine Belastungsfaktoren',
+    'analytics.impact': 'Belastung {level} ({score})',
+    'dashboard.title': 'Echtzeit-Dashboard Akkuzustand',
+    'dashboard.operational': 'System betriebsbereit',
+    'dashboard.monitor': 'Beobachtung erforderlich',
+    'dashboard.actionRequired': 'Sofortiges Handeln erforderlich',
+    'dashboard.lastUpdated': 'Zuletzt aktualisiert: {time}',
+    'dashboard.source': 'Quelle: React Hooks & APIs',
+    'dashboard.temperature': 'Temperaturstatus',
+    'dashboard.estimatedDevice': 'Geschätztes Gerät',
+    'dashboard.ambient': 'Umgebung (Wetter)',
+    'dashboard.tempCritical': 'Kritische Temperatur',
+    'dashboard.tempElevated': 'Erhöhte Temperatur',
+    'dashboard.tempNormal': 'Normalbereich',
+    'dashboard.thermalModel': 'Thermisches Modell {profile}',
+    'dashboard.modelSummary': 'Konfidenz {confidence} · strebt gegen {steadyState}',
+    'dashboard.calibrated': ' · kalibriert',
+    'dashboard.uncalibrated': ' · nicht kalibriert',
+    'dashboard.recalibrate': 'Neukalibrierung fällig',
+    'dashboard.activeAlerts': 'Aktive Warnungen',
+    'dashboard.alertCritical': '🚨 Kritische Temperatur erkannt - sofort handeln!',
+    'dashboard.alertWarning': '⚠️ Gerätetemperatur erhöht - genau beobachten',
+    'dashboard.noAlerts': 'Keine aktiven Warnungen',
+    'permission.title': 'Echtzeitüberwachung aktivieren',
+    'permission.intro': 'ThermoSense benötigt Zugriff auf:',
+    'permission.location': '📍 Ihren Standort für Wetterdaten',
+    'permission.battery': '🔋 Akkuinformationen (falls unterstützt)',
+    'permission.performance': '📊 Systemleistungsdaten',
+    'permission.privacy': 'Alle Daten bleiben auf Ihrem Gerät, solange Sie die Online-Beratung nicht aktivieren, und dienen nur der Überwachung.',
+    'permission.deny': 'Ohne fortfahren',
+    'permission.allow': 'Überwachung aktivieren',
+    'permission.enabled': '✅ Überwachungsberechtigungen erfolgreich aktiviert',
+    'permission.partial': '⚠️ Einige Berechtigungen konnten nicht aktiviert werden - eingeschränkter Modus',
+    'permission.limited': '⚠️ Eingeschränkter Modus - Berechtigungen für den vollen Funktionsumfang aktivieren',
+    'session.recordingStarted': '⏺ Sitzungsaufzeichnung gestartet',
+    'session.saved.one': '⏺ Sitzung gespeichert - {count} Ereignis über {duration}',
+    'session.saved.other': '⏺ Sitzung gespeichert - {count} Ereignisse über {duration}',
+    'session.replaying': '📂 Sitzung „{name}“ wird abgespielt',
+    'session.loadFailed': '⚠️ Sitzung konnte nicht geladen werden: {error}',
+    'analytics.range.1h': 'Letzte Stunde',
+    'analytics.range.6h': 'Letzte 6 Stunden',
+    'analytics.range.24h': 'Letzte 24 Stunden',
+    'analytics.range.7d': 'Letzte 7 Tage',
+    'common.cancel': 'Abbrechen',
+    'export.title': 'Daten exportieren',
+    'export.range': 'Zeitraum',
+    'export.range.all': 'Alle aufgezeichneten Daten',
+    'export.range.custom': 'Eigener Zeitraum',
+    'export.from': 'Von',
+    'export.to': 'Bis (leer = jetzt)',
+    'export.series': 'Datenreihen',
+    'export.series.deviceTemp': 'Gerätetemperatur',
+    'export.series.ambientTemp': 'Umgebungstemperatur',
+    'export.series.battery': 'Akkustand',
+    'export.series.cpu': 'CPU-Last',
+    'export.series.memory': 'Speichernutzung',
+    'export.series.alerts': 'Alarmzustandswechsel',
+    'export.series.notifications': 'Benachrichtigungen',
+    'export.format': 'Format',
+    'export.formatHint.csv': 'Eine Zeile pro Messwert, für Tabellenkalkulationen. Temperaturen in °C.',
+    'export.formatHint.ndjson': 'Ein JSON-Objekt pro Zeile, Metadaten zuerst, für Skripte und Log-Werkzeuge.',
+    'export.formatHint.json': 'Versionierter ThermoSense-Export mit Metadaten, lesbar für die Importfunktion.',
+    'export.start': 'Exportieren',
+    'export.exporting': 'Wird exportiert...',
+    'export.progress.one': '{count} Datensatz geschrieben...',
+    'export.progress.other': '{count} Datensätze geschrieben...',
+    'export.done.one': '📊 {count} Datensatz nach {filename} exportiert',
+    'export.done.other': '📊 {count} Datensätze nach {filename} exportiert',
+    'export.error.format': 'Unbekanntes Exportformat',
+    'export.error.series': 'Mindestens eine Datenreihe auswählen',
+    'export.error.range': 'Der Beginn des Zeitraums muss vor dem Ende liegen',
+    'export.error.failed': 'Export fehlgeschlagen: {error}',
+    'nav.import': '📂 Prüfen',
+    'analytics.range.all': 'Alle aufgezeichneten Daten',
+    'review.title': 'Prüfung: {name}',
+    'review.range': '{from} – {to}',
+    'review.counts': '{samples} Messpunkte, {notifications} Benachrichtigungen',
+    'review.source': 'Exportiert am {exportedAt} von ThermoSense {app} · Profil {profile}',
+    'review.legacy': 'Momentaufnahme einer älteren ThermoSense-Version (nur aktueller Zustand)',
+    'review.flag.simulated': 'enthält simulierte Daten',
+    'review.flag.replaying': 'während einer Sitzungswiedergabe exportiert',
+    'review.readOnly': 'Nur lesen - Diagramm, Analysen und Warnungen zeigen diese Datei',
+    'review.exit': 'Prüfung schließen',
+    'review.loaded': '📂 Prüfe „{name}“ - die Live-Überwachung läuft im Hintergrund weiter',
+    'review.loadFailed': '⚠️ Datei konnte nicht importiert werden: {error}',
+    'review.error.type': 'Kein ThermoSense-Datenexport',
+    'review.error.version': 'Nicht unterstützte Exportversion {version}',
+    'review.error.records': 'Export enthält keine Datensatzliste',
+    'review.error.record': 'Datensatz {index}: {error}',
+    'review.error.recordObject': 'kein Objekt',
+    'review.error.recordField': 'ungültiges Feld {field}',
+    'review.error.recordSeries': 'unbekannte Datenreihe „{series}“',
+    'recommendation.action.unplug': 'Ladegerät trennen, bis das Gerät abgekühlt ist',
+    'recommendation.action.charge': 'Bald ein Ladegerät anschließen',
+    'recommendation.action.powerSaving': 'Energiesparmodus einschalten',
+    'recommendation.action.shade': 'Gerät vor direkter Sonne schützen',
+    'recommendation.action.keepWarm': 'Gerät im Freien nah am Körper tragen',
+    'recommendation.action.chargeEarly': 'Vor den heißen Stunden laden',
+    'recommendation.reading.deviceTemp': 'Gerät {value} (Grenze {limit})',
+    'recommendation.reading.ambientTemp': 'Umgebung {value} (Grenze {limit})',
+    'recommendation.reading.batteryLevel': 'Akku {value} (Grenze {limit})',
+    'recommendation.reading.cpuLoad': 'CPU {value} (Grenze {limit})',
+    'recommendation.detail.tempCritical': 'Oberhalb der kritischen Grenze altern Lithium-Ionen-Zellen um ein Vielfaches schneller, und das System kann drosseln oder sich zum Schutz abschalten.',
+    'recommendation.detail.tempWarning': 'Anhaltende Wärme beschleunigt den Akkuverschleiß. Weniger Last und bessere Belüftung senken die Temperatur meist innerhalb weniger Minuten.',
+    'recommendation.detail.chargingHot': 'Laden erzeugt selbst Wärme. Einen warmen Akku zu laden, besonders kurz vor voll, ist eine der Hauptursachen für Kapazitätsverlust.',
+    'recommendation.detail.ambientLow': 'Kälte verlangsamt die Chemie im Akku, daher zeigt er weniger Ladung an. Die Kapazität kehrt zurück, sobald sich das Gerät erwärmt.',
+    'recommendation.detail.uv': 'Direkte Sonne kann ein Gerät weit über die Lufttemperatur erhitzen, selbst im Leerlauf.',
+    'recommendation.learnMore': 'Mehr erfahren',
+    'recommendation.filter': 'Empfehlungen nach Kategorie filtern',
+    'recommendation.none': 'Keine Empfehlungen in dieser Kategorie.',
+    'recommendation.category.all': 'Alle Kategorien',
+    'recommendation.category.thermal': 'Temperatur',
+    'recommendation.category.charging': 'Laden',
+    'recommendation.category.environment': 'Umgebung',
+    'recommendation.category.performance': 'Leistung',
+    'health.factor.temperature': 'Gerätetemperatur',
+    'health.factor.chargingHot': 'Laden bei Hitze',
+    'health.factor.battery': 'Akkustand',
+    'health.factor.ambient': 'Umgebungstemperatur',
+    'health.factor.cpu': 'CPU-Last',
+    'health.points': '−{points} Pkt.',
+    'health.noImpact': 'Kein Einfluss',
+    'health.notApplicable': 'k. A.',
+    'health.why': 'Wie kommt dieser Wert zustande?',
+    'health.formula': 'Wert {score} = 100 − {deductions} Punkte Abzug durch die folgenden Faktoren. Jeder Faktor zieht die Punkte der ersten Schwelle ab, die sein Eingangswert überschreitet.',
+    'health.input.value': 'Eingangswert {value}',
+    'health.input.noData': 'Keine Daten',
+    'health.requires.charging': 'zählt nur beim Laden',
+    'health.check.above': 'über {limit}',
+    'health.check.below': 'unter {limit}',
+    'health.fired': 'ausgelöst',
+    'common.yes': 'Ja',
+    'whatIf.variable.ambientTemp': 'Umgebungstemperatur ({unit})',
+    'whatIf.variable.deviceTemp': 'Gerätetemperatur ({unit})',
+    'whatIf.variable.batteryLevel': 'Akkustand ({unit})',
+    'whatIf.variable.cpuLoad': 'CPU-Last ({unit})',
+    'whatIf.impactAxis': 'Auswirkung auf die Gesundheit (%)',
+    'whatIf.sweepTitle': 'Risikokurve',
+    'whatIf.sweepVariable': 'Variieren',
+    'whatIf.sweepFrom': 'Von',
+    'whatIf.sweepTo': 'Bis',
+    'whatIf.sweepHint': 'Die übrigen Eingaben bleiben wie im Szenario oben. Die Auswirkung ist 100 minus Gesundheitswert, mit Ihren aktuellen Schwellenwerten.',
+    'whatIf.compareTitle': 'Mit dem Live-Zustand vergleichen',
+    'whatIf.compareEmpty': 'Analysieren und speichern Sie ein Szenario, um es hier zu vergleichen.',
+    'whatIf.live': 'Live',
+    'whatIf.save': '💾 Szenario speichern',
+    'whatIf.namePlaceholder': 'Name des Szenarios',
+    'whatIf.defaultName': 'Szenario {number}',
+    'whatIf.saved': '💾 Was-wäre-wenn-Szenario „{name}“ gespeichert',
+    'whatIf.remove': '{name} entfernen',
+    'whatIf.error.list': 'Gespeicherte Was-wäre-wenn-Szenarien müssen eine Liste sein',
+    'whatIf.error.limit': 'Es können höchstens {max} Was-wäre-wenn-Szenarien gespeichert werden',
+    'whatIf.error.object': 'Was-wäre-wenn-Szenario muss ein Objekt sein',
+    'whatIf.error.id': 'Was-wäre-wenn-Szenario benötigt eine ID',
+    'whatIf.error.name': 'Was-wäre-wenn-Szenario benötigt einen Namen',
+    'whatIf.error.number': '{field} im Was-wäre-wenn-Szenario muss eine Zahl sein',
+    'whatIf.error.range': '{field} im Was-wäre-wenn-Szenario muss zwischen {min} und {max} liegen',
+    'whatIf.error.usage': 'Unbekannte Nutzung „{usage}“ im Was-wäre-wenn-Szenario',
+    'chart.anomaly': 'Anomalie',
+    'chart.recentAnomalies': 'Letzte Anomalien',
+    'settings.anomalyAlerts': 'Warnungen bei ungewöhnlichem Verhalten (Anomalien)',
+    'anomaly.metric.tempRate': 'dem Temperaturverlauf',
+    'anomaly.metric.deviceTemp': 'der Gerätetemperatur',
+    'anomaly.metric.drainRate': 'dem Akkuverbrauch',
+    'anomaly.usage.idle': 'im Leerlauf',
+    'anomaly.usage.light': 'bei leichter Nutzung',
+    'anomaly.usage.moderate': 'bei mittlerer Nutzung',
+    'anomaly.usage.heavy': 'bei intensiver Nutzung',
+    'anomaly.usage.charging': 'beim Laden',
+    'anomaly.baseline.bucket': 'normal für diese Tageszeit',
+    'anomaly.baseline.overall': 'normal',
+    'anomaly.tempRate': '📈 Ungewöhnliche Temperaturänderung von {value}/min {usage} - {baseline} sind {expected}/min ± {deviation}/min ({z}σ)',
+    'anomaly.deviceTemp': '🌡️ Gerät ungewöhnlich warm mit {value} {usage} - {baseline} sind {expected} ± {deviation} ({z}σ)',
+    'anomaly.drainRate': '🔋 Akku entlädt sich ungewöhnlich schnell mit {value}/h {usage} - {baseline} sind {expected}/h ± {deviation}/h ({z}σ)',
+    'anomaly.shift': '📊 Anhaltende Veränderung bei {metric} {usage}: jetzt {value}, {baseline} sind {expected}',
+    'chart.projection': 'Prognose',
+    'chart.projectionBand': 'Prognosebereich',
+    'chart.forecastEnd': 'In {minutes} Min.: {value} (±{band})',
+    'chart.forecastCrossing': 'Erreicht voraussichtlich {limit} in ~{minutes} Min.',
+    'chart.forecastSteady': 'Kein Grenzwert in den nächsten {minutes} Min. erwartet',
+    'alert.tempProjected': '📈 Erreicht beim aktuellen Trend voraussichtlich {limit} in ~{minutes} Min.',
+    'battery.timeToFull': 'Bis voll:',
+    'battery.timeToEmpty': 'Bis leer:',
+    'battery.timeToLow': 'Bis {level}:',
+    'dashboard.tempEta': 'Erreicht {limit} in',
+    'eta.api': 'API {time}',
+    'eta.estimate': 'Trend {time}',
+    'eta.estimateOnly': '~{time}',
+    'eta.confidence.high': 'hohe Sicherheit',
+    'eta.confidence.medium': 'mittlere Sicherheit',
+    'eta.confidence.low': 'geringe Sicherheit'
+  }
+};
+
+const i18n = {
+  // Formatting helpers bound to the language and unit preferences in settings
+  create: (settings = DEFAULT_SETTINGS) => {
+    const language = LANGUAGES[settings.language] ? settings.language : 'en';
+    const locale = LANGUAGES[language].locale;
+    const temperatureUnit = TEMPERATURE_UNITS[settings.temperatureUnit] || TEMPERATURE_UNITS.celsius;
+    const speedUnit = SPEED_UNITS[settings.speedUnit] || SPEED_UNITS.kmh;
+    const pluralRules = new Intl.PluralRules(locale);
+    const defaultNumberFormat = new Intl.NumberFormat(locale);
+    const numberFormats = {};
+
+    const lookup = (key) => MESSAGES[language][key] ?? MESSAGES.en[key];
+
+    const number = (value, digits = 0) => {
+      if (!numberFormats[digits]) {
+        numberFormats[digits] = new Intl.NumberFormat(locale, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+      }
+      return numberFormats[digits].format(value);
+    };
+
+    const t = (key, params = {}) => {
+      const plural = typeof params.count === 'number'
+        ? lookup(`${key}.${pluralRules.select(params.count)}`) ?? lookup(`${key}.other`)
+        : undefined;
+      const template = plural ?? lookup(key);
+      if (typeof template !== 'string') return key;
+      return template.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        return typeof params[name] === 'number' ? defaultNumberFormat.format(params[name]) : String(params[name]);
+      });
+    };
+
+    const tempValue = (celsius) => temperatureUnit.fromCelsius(celsius);
+
+    return {
+      language,
+      locale,
+      t,
+      has: (key) => lookup(key) !== undefined || lookup(`${key}.other`) !== undefined,
+      number,
+      percent: (value, digits = 0) => `${number(value, digits)}%`,
+      tempUnit: temperatureUnit.symbol,
+      speedUnit: speedUnit.symbol,
+      tempValue,
+      // Converts a value typed in the preferred unit back to °C
+      tempInput: (value) => temperatureUnit.toCelsius(value),
+      temp: (celsius, digits = 1) => `${number(tempValue(celsius), digits)}${temperatureUnit.symbol}`,
+      // Temperature differences scale but do not shift
+      tempDelta: (delta, digits = 1) => `${number(delta * temperatureUnit.scale, digits)}${temperatureUnit.symbol}`,
+      speed: (kmh, digits = 0) => `${number(speedUnit.fromKmh(kmh), digits)} ${speedUnit.symbol}`,
+      time: (value, options = {}) => new Date(value).toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit', ...options }),
+      date: (value, options = {}) => new Date(value).toLocaleDateString(locale, options),
+      dateTime: (value) => new Date(value).toLocaleString(locale)
+    };
+  }
+};
+
+// Custom hook for the formatters matching the current settings
+const useI18n = () => {
+  const { settings } = useContext(ThermoSenseContext);
+  return useMemo(() => i18n.create(settings), [settings.language, settings.temperatureUnit, settings.speedUnit]);
+};
+
+// Sensor metrics that can be fed by a provider
+const SENSOR_METRICS = {
+  battery: {
+    label: 'sensor.battery',
+    intervalKey: 'batteryInterval',
+    isValid: (data) => typeof data?.level === 'number',
+    defaults: { charging: false, chargingTime: Infinity, dischargingTime: Infinity }
+  },
+  weather: {
+    label: 'sensor.weather',
+    intervalKey: 'weatherInterval',
+    isValid: (data) => typeof data?.temperature === 'number',
+    defaults: { humidity: 50, windSpeed: 0, weatherCode: 0, uvIndex: 0 }
+  },
+  performance: {
+    label: 'sensor.performance',
+    intervalKey: 'performanceInterval',
+    isValid: (data) => typeof data?.cpuLoad === 'number',
+    defaults: { memory: { used: 0, total: 0 }, network: { effectiveType: 'unknown', downlink: 0 }, cores: navigator.hardwareConcurrency || 8 }
+  }
+};
+
+// Sensor provider registry - each metric can be fed by any registered provider.
+// A provider is { id, label, create(context) } where create returns an instance with
+// start() -> Promise<{ success, error }>, stop() and an optional refresh() used for polling.
+// Instances report readings through context.onData(data) and their state through
+// context.onStatus(status, error), with status one of connected, limited, retrying or disconnected.
+const sensorRegistry = {
+  providers: { battery: [], weather: [], performance: [] },
+
+  register: (metrics, provider) => {
+    metrics.forEach(metric => {
+      sensorRegistry.providers[metric] = [
+        ...sensorRegistry.providers[metric].filter(p => p.id !== provider.id),
+        provider
+      ];
+    });
+  },
+
+  get: (metric, id) => sensorRegistry.providers[metric]?.find(p => p.id === id) || null,
+
+  list: (metric) => sensorRegistry.providers[metric] || []
+};
+
+// Reading the browser Battery API
+const readBatteryManager = (battery) => ({
+  level: Math.round(battery.level * 100),
+  charging: battery.charging,
+  chargingTime: battery.chargingTime,
+  dischargingTime: battery.dischargingTime,
+  lastUpdate: new Date()
+});
+
+sensorRegistry.register(['battery'], {
+  id: 'browser',
+  label: 'provider.browserBattery',
+  create: ({ onData, onStatus, getSettings }) => {
+    const events = ['chargingchange', 'levelchange', 'chargingtimechange', 'dischargingtimechange'];
+    let battery = null;
+    let stopped = false;
+    const read = () => {
+      if (battery) onData(readBatteryManager(battery));
+    };
+
+    return {
+      start: async () => {
+        stopped = false;
+        try {
+          if ('getBattery' in navigator) {
+            const manager = await navigator.getBattery();
+            // Stopped while the battery manager was being fetched; attaching now would leak the listeners
+            if (stopped) return { success: false };
+            battery = manager;
+            events.forEach(event => battery.addEventListener(event, read));
+            read();
+            onStatus('connected');
+            return { success: true };
+          } else {
+            const error = i18n.create(getSettings()).t('provider.batteryUnsupported');
+            onStatus('disconnected', error);
+            // Use simulated battery data for browsers that don't support Battery API
+            onData({
+              level: 85,
+              charging: scenarioUtils.createRandom(getSettings().simulatorSeed)() > 0.5,
+              chargingTime: 7200,
+              dischargingTime: 14400,
+              lastUpdate: new Date(),
+              simulated: true
+            });
+            return { success: false, error };
+          }
+        } catch (error) {
+          onStatus('disconnected', error.message);
+          // Fallback to simulated data
+          onData({
+            level: 75,
+            charging: false,
+            chargingTime: Infinity,
+            dischargingTime: 18000,
+            lastUpdate: new Date(),
+            simulated: true
           });
-        };
-        
-        // Set up event listeners
-        battery.addEventListener('chargingchange', updateBatteryData);
-        battery.addEventListener('levelchange', updateBatteryData);
-        battery.addEventListener('chargingtimechange', updateBatteryData);
-        battery.addEventListener('dischargingtimechange', updateBatteryData);
-        
-        updateBatteryData();
-        setBatteryStatus('connected');
+          return { success: false, error: error.message };
+        }
+      },
+      stop: () => {
+        stopped = true;
+        if (battery) events.forEach(event => battery.removeEventListener(event, read));
+        battery = null;
+      },
+      refresh: read
+    };
+  }
+});
+
+sensorRegistry.register(['battery'], {
+  id: 'simulated',
+  label: 'provider.simulated',
+  create: ({ onData, onStatus }) => {
+    let level = 85;
+    const emit = () => onData({
+      level: Math.round(level),
+      charging: false,
+      chargingTime: Infinity,
+      dischargingTime: Math.round(level * 180),
+      lastUpdate: new Date(),
+      simulated: true
+    });
+
+    return {
+      start: async () => {
+        emit();
+        onStatus('limited');
         return { success: true };
-      } else {
-        setBatteryStatus('disconnected');
-        // Use simulated battery data for browsers that don't support Battery API
-        setBatteryData({
-          level: 85,
-          charging: Math.random() > 0.5,
-          chargingTime: 7200,
-          dischargingTime: 14400,
+      },
+      stop: () => {},
+      refresh: () => {
+        level = level > 5 ? level - 0.1 : 100;
+        emit();
+      }
+    };
+  }
+});
+
+// Open-Meteo current conditions and the hourly forecast for a location
+const FORECAST_HOURS = 48;
+
+const fetchOpenMeteoWeather = async (lat, lon) => {
+  const response = await axios.get(
+    `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,uv_index&hourly=temperature_2m,relative_humidity_2m,uv_index,weather_code&forecast_hours=${FORECAST_HOURS}&timezone=auto`,
+    { timeout: 10000 }
+  );
+
+  const data = response.data;
+  // Hourly times are local to the location, without an offset
+  const offset = (data.utc_offset_seconds || 0) * 1000;
+  const hourly = data.hourly || { time: [] };
+
+  return {
+    temperature: data.current.temperature_2m,
+    humidity: data.current.relative_humidity_2m,
+    windSpeed: data.current.wind_speed_10m,
+    weatherCode: data.current.weather_code,
+    uvIndex: data.current.uv_index || 0,
+    forecast: hourly.time.map((time, i) => ({
+      time: Date.parse(`${time}Z`) - offset,
+      temperature: hourly.temperature_2m[i],
+      humidity: hourly.relative_humidity_2m[i],
+      uvIndex: hourly.uv_index[i] || 0,
+      weatherCode: hourly.weather_code[i]
+    })),
+    lastUpdate: new Date()
+  };
+};
+
+const FALLBACK_WEATHER = {
+  temperature: 22.5,
+  humidity: 65,
+  windSpeed: 3.2,
+  weatherCode: 1,
+  uvIndex: 3
+};
+
+sensorRegistry.register(['weather'], {
+  id: 'browser',
+  label: 'provider.openMeteo',
+  create: ({ onData, onStatus }) => {
+    let location = null;
+
+    const fetchWeather = async () => {
+      try {
+        onStatus('retrying');
+        const weatherInfo = await fetchOpenMeteoWeather(location.latitude, location.longitude);
+        onData(weatherInfo);
+        onStatus('connected');
+        return { success: true, data: weatherInfo };
+      } catch (error) {
+        onStatus('disconnected', error.message);
+        return { success: false, error: error.message };
+      }
+    };
+
+    return {
+      start: async () => {
+        try {
+          const position = await new Promise((resolve, reject) => {
+            navigator.geolocation.getCurrentPosition(resolve, reject, {
+              enableHighAccuracy: true,
+              timeout: 10000,
+              maximumAge: 600000
+            });
+          });
+
+          location = {
+            latitude: position.coords.latitude,
+            longitude: position.coords.longitude
+          };
+
+          return await fetchWeather();
+        } catch (error) {
+          onStatus('disconnected', error.message);
+          // Use fallback weather data
+          const fallbackWeather = { ...FALLBACK_WEATHER, fallback: true, lastUpdate: new Date() };
+          onData(fallbackWeather);
+          return { success: false, error: error.message, data: fallbackWeather };
+        }
+      },
+      stop: () => {},
+      // Periodic refresh only once a location is known, so it never prompts on its own
+      refresh: () => location ? fetchWeather() : null
+    };
+  }
+});
+
+sensorRegistry.register(['weather'], {
+  id: 'simulated',
+  label: 'provider.simulated',
+  create: ({ onData, onStatus }) => ({
+    start: async () => {
+      onData({ ...FALLBACK_WEATHER, simulated: true, lastUpdate: new Date() });
+      onStatus('limited');
+      return { success: true };
+    },
+    stop: () => {}
+  })
+});
+
+// CPU load and thermal-throttling estimator. Browsers do not expose CPU load, so it is
+// estimated from main-thread busy time (event-loop lag and long tasks), blended with the
+// Compute Pressure API where available. A periodic fixed micro-benchmark compared with this
+// device's long-term unthrottled speed flags probable thermal throttling.
+const CPU_SAMPLE_INTERVAL = 500;
+const CPU_LOAD_WINDOW = 10000;
+const CPU_BENCHMARK_INTERVAL = 30000;
+const CPU_BENCHMARK_BASELINE_KEY = 'thermosense-benchmark-baseline';
+const CPU_BENCHMARK_MIN_RUNS = 3;
+// A low percentile of the last CPU_BENCHMARK_HISTORY runs (about an hour) filters out single
+// unusually fast runs. The persisted baseline follows it down at once but only drifts up with a
+// half-life of days, so sustained throttling does not become the new normal.
+const CPU_BENCHMARK_HISTORY = 120;
+const CPU_BENCHMARK_PERCENTILE = 0.1;
+const CPU_BASELINE_HALF_LIFE = 3 * 24 * 60 * 60 * 1000;
+const CPU_PRESSURE_LOAD = { nominal: 15, fair: 45, serious: 75, critical: 95 };
+
+const cpuMonitor = {
+  users: 0,
+  timers: [],
+  observers: [],
+  lagSamples: [],
+  longTasks: [],
+  pressure: null,
+  benchmarkRuns: [],
+  benchmarkHistory: [],
+  baselineUpdatedAt: null,
+  benchmarkSpans: [],
+  benchmarkDebt: 0,
+  benchmarkResult: 0,
+  baseline: null,
+
+  start: () => {
+    cpuMonitor.users += 1;
+    if (cpuMonitor.users > 1) return;
+
+    let expected = performance.now() + CPU_SAMPLE_INTERVAL;
+    cpuMonitor.timers.push(setInterval(() => {
+      const now = performance.now();
+      // Hidden tabs have their timers clamped, which is not load, and our own benchmark is not either
+      if (!document.hidden) cpuMonitor.lagSamples.push({ time: now, lag: Math.max(0, now - expected - cpuMonitor.benchmarkDebt) });
+      cpuMonitor.benchmarkDebt = 0;
+      expected = now + CPU_SAMPLE_INTERVAL;
+      cpuMonitor.prune(now);
+    }, CPU_SAMPLE_INTERVAL));
+
+    if (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes?.includes('longtask')) {
+      const observer = new PerformanceObserver(list => {
+        list.getEntries()
+          .filter(entry => !cpuMonitor.benchmarkSpans.some(span => entry.startTime < span.end && entry.startTime + entry.duration > span.start))
+          .forEach(entry => {
+            cpuMonitor.longTasks.push({ time: entry.startTime + entry.duration, duration: entry.duration });
+          });
+      });
+      observer.observe({ type: 'longtask', buffered: true });
+      cpuMonitor.observers.push(observer);
+    }
+
+    if (typeof window.PressureObserver === 'function') {
+      const observer = new window.PressureObserver(records => {
+        cpuMonitor.pressure = records[records.length - 1].state;
+      });
+      observer.observe('cpu', { sampleInterval: 1000 }).catch(error => {
+        console.warn('Compute Pressure unavailable:', error);
+      });
+      cpuMonitor.observers.push(observer);
+    }
+
+    Object.assign(cpuMonitor, cpuMonitor.loadBaseline());
+    cpuMonitor.runBenchmark();
+    cpuMonitor.timers.push(setInterval(cpuMonitor.runBenchmark, CPU_BENCHMARK_INTERVAL));
+  },
+
+  stop: () => {
+    cpuMonitor.users = Math.max(0, cpuMonitor.users - 1);
+    if (cpuMonitor.users > 0) return;
+    cpuMonitor.timers.forEach(clearInterval);
+    cpuMonitor.observers.forEach(observer => observer.disconnect());
+    cpuMonitor.timers = [];
+    cpuMonitor.observers = [];
+    cpuMonitor.lagSamples = [];
+    cpuMonitor.longTasks = [];
+    cpuMonitor.benchmarkSpans = [];
+    cpuMonitor.benchmarkDebt = 0;
+    cpuMonitor.pressure = null;
+  },
+
+  prune: (now) => {
+    cpuMonitor.lagSamples = cpuMonitor.lagSamples.filter(sample => now - sample.time <= CPU_LOAD_WINDOW);
+    cpuMonitor.longTasks = cpuMonitor.longTasks.filter(task => now - task.time <= CPU_LOAD_WINDOW);
+    cpuMonitor.benchmarkSpans = cpuMonitor.benchmarkSpans.filter(span => now - span.end <= CPU_LOAD_WINDOW);
+  },
+
+  // Stored baseline and recent benchmark durations. Older versions stored either the single
+  // fastest run, which is discarded, or only the run history, from which the baseline is rebuilt.
+  loadBaseline: () => {
+    const empty = { benchmarkHistory: [], baseline: null, baselineUpdatedAt: null };
+    try {
+      const stored = JSON.parse(localStorage.getItem(CPU_BENCHMARK_BASELINE_KEY));
+      const runs = Array.isArray(stored) ? stored : stored?.history;
+      if (!Array.isArray(runs)) return empty;
+      const benchmarkHistory = runs.filter(duration => Number.isFinite(duration) && duration > 0).slice(-CPU_BENCHMARK_HISTORY);
+      const baseline = Number.isFinite(stored.baseline) && stored.baseline > 0
+        ? stored.baseline
+        : cpuMonitor.recentPercentile(benchmarkHistory);
+      return { benchmarkHistory, baseline, baselineUpdatedAt: stored.updatedAt ?? (baseline ? Date.now() : null) };
+    } catch (error) {
+      return empty;
+    }
+  },
+
+  recentPercentile: (history) => {
+    if (history.length < CPU_BENCHMARK_MIN_RUNS) return null;
+    const sorted = [...history].sort((a, b) => a - b);
+    return sorted[Math.floor((sorted.length - 1) * CPU_BENCHMARK_PERCENTILE)];
+  },
+
+  // Moves down to a faster recent percentile at once; moves up towards a slower one only as
+  // fast as the half-life allows
+  updateBaseline: (baseline, recent, elapsed) => {
+    if (!recent) return baseline;
+    if (!baseline || recent <= baseline) return recent;
+    return baseline + (recent - baseline) * (1 - Math.pow(0.5, Math.max(0, elapsed) / CPU_BASELINE_HALF_LIFE));
+  },
+
+  // Fixed arithmetic workload; only its duration matters
+  runBenchmark: () => {
+    const startedAt = performance.now();
+    let accumulator = 0;
+    for (let i = 1; i < 200000; i++) {
+      accumulator += Math.sqrt(i) * Math.sin(i);
+    }
+    const duration = performance.now() - startedAt;
+    // Keep the result so the loop cannot be optimised away
+    cpuMonitor.benchmarkResult = accumulator;
+
+    // The benchmark blocks the main thread itself, so its time is kept out of the load estimate
+    cpuMonitor.benchmarkDebt += duration;
+    cpuMonitor.benchmarkSpans.push({ start: startedAt, end: startedAt + duration });
+
+    cpuMonitor.benchmarkRuns = [...cpuMonitor.benchmarkRuns.slice(-4), duration];
+    cpuMonitor.benchmarkHistory = [...cpuMonitor.benchmarkHistory, duration].slice(-CPU_BENCHMARK_HISTORY);
+    const now = Date.now();
+    cpuMonitor.baseline = cpuMonitor.updateBaseline(
+      cpuMonitor.baseline,
+      cpuMonitor.recentPercentile(cpuMonitor.benchmarkHistory),
+      now - (cpuMonitor.baselineUpdatedAt ?? now)
+    );
+    if (cpuMonitor.baseline) cpuMonitor.baselineUpdatedAt = now;
+    localStorage.setItem(CPU_BENCHMARK_BASELINE_KEY, JSON.stringify({
+      baseline: cpuMonitor.baseline,
+      updatedAt: cpuMonitor.baselineUpdatedAt,
+      history: cpuMonitor.benchmarkHistory
+    }));
+    return duration;
+  },
+
+  // Share of the window the main thread spent blocked; lag and long tasks overlap, so take the larger
+  estimateLoad: () => {
+    const now = performance.now();
+    cpuMonitor.prune(now);
+    const lagTime = cpuMonitor.lagSamples.reduce((sum, sample) => sum + sample.lag, 0);
+    const longTaskTime = cpuMonitor.longTasks.reduce((sum, task) => sum + task.duration, 0);
+    const observed = Math.min(CPU_LOAD_WINDOW, Math.max(CPU_SAMPLE_INTERVAL, cpuMonitor.lagSamples.length * CPU_SAMPLE_INTERVAL));
+    const mainThreadLoad = Math.min(100, Math.max(lagTime, longTaskTime) / observed * 100);
+
+    if (cpuMonitor.pressure) {
+      return {
+        cpuLoad: Math.round(CPU_PRESSURE_LOAD[cpuMonitor.pressure] * 0.6 + mainThreadLoad * 0.4),
+        source: 'compute-pressure'
+      };
+    }
+    return { cpuLoad: Math.round(mainThreadLoad), source: 'event-loop' };
+  },
+
+  estimateThrottling: () => {
+    const runs = cpuMonitor.benchmarkRuns;
+    if (runs.length < CPU_BENCHMARK_MIN_RUNS || !cpuMonitor.baseline) {
+      return { state: 'learning', slowdown: null, baselineMs: cpuMonitor.baseline };
+    }
+
+    // Median of recent runs so a single preempted run does not count
+    const sorted = [...runs].sort((a, b) => a - b);
+    const slowdown = sorted[Math.floor(sorted.length / 2)] / cpuMonitor.baseline;
+    const pressureHigh = cpuMonitor.pressure === 'serious' || cpuMonitor.pressure === 'critical';
+
+    let state = 'none';
+    if (slowdown >= 1.6 || (slowdown >= 1.3 && pressureHigh)) state = 'likely';
+    else if (slowdown >= 1.3 || pressureHigh) state = 'possible';
+
+    return { state, slowdown: Math.round(slowdown * 100) / 100, baselineMs: Math.round(cpuMonitor.baseline * 10) / 10 };
+  }
+};
+
+// System performance snapshot from browser APIs
+const readBrowserPerformance = () => {
+  const performance = window.performance;
+  
+  let memoryInfo = {};
+  if (performance.memory) {
+    memoryInfo = {
+      used: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024),
+      total: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024)
+    };
+  } else {
+    // Simulated memory data, flagged on the memory figures only
+    memoryInfo = {
+      used: Math.round(45.6 + Math.random() * 10),
+      total: 128,
+      simulated: true
+    };
+  }
+  
+  let networkInfo = {};
+  if (navigator.connection) {
+    networkInfo = {
+      effectiveType: navigator.connection.effectiveType,
+      downlink: navigator.connection.downlink
+    };
+  } else {
+    networkInfo = {
+      effectiveType: 'wifi',
+      downlink: 10
+    };
+  }
+  
+  const { cpuLoad, source } = cpuMonitor.estimateLoad();
+  
+  return {
+    memory: memoryInfo,
+    network: networkInfo,
+    cpuLoad,
+    cpuLoadSource: source,
+    cpuPressure: cpuMonitor.pressure,
+    throttling: cpuMonitor.estimateThrottling(),
+    cores: navigator.hardwareConcurrency || 8,
+    timestamp: new Date()
+  };
+};
+
+sensorRegistry.register(['performance'], {
+  id: 'browser',
+  label: 'provider.browserPerformance',
+  create: ({ onData, onStatus }) => ({
+    start: async () => {
+      cpuMonitor.start();
+      onData(readBrowserPerformance());
+      onStatus('connected');
+      return { success: true };
+    },
+    stop: cpuMonitor.stop,
+    refresh: () => onData(readBrowserPerformance())
+  })
+});
+
+sensorRegistry.register(['performance'], {
+  id: 'simulated',
+  label: 'provider.simulated',
+  create: ({ onData, onStatus, getSettings }) => {
+    const random = scenarioUtils.createRandom(getSettings().simulatorSeed);
+    const emit = () => onData({
+      ...SENSOR_METRICS.performance.defaults,
+      memory: { used: Math.round(45.6 + random() * 10), total: 128 },
+      cpuLoad: Math.round(random() * 40 + 15),
+      simulated: true,
+      timestamp: new Date()
+    });
+
+    return {
+      start: async () => {
+        emit();
+        onStatus('limited');
+        return { success: true };
+      },
+      stop: () => {},
+      refresh: emit
+    };
+  }
+});
+
+// Replays recorded history for the metric, one sample per poll, looping at the end
+sensorRegistry.register(['battery', 'weather', 'performance'], {
+  id: 'replay',
+  label: 'provider.replay',
+  create: ({ metric, onData, onStatus, getSettings }) => {
+    let samples = [];
+    let position = 0;
+    const emit = () => {
+      if (samples.length === 0) return;
+      const sample = samples[position % samples.length];
+      position += 1;
+      onData({
+        ...sample.value,
+        replayed: true,
+        recordedAt: new Date(sample.timestamp),
+        lastUpdate: new Date(),
+        timestamp: new Date()
+      });
+    };
+
+    return {
+      start: async () => {
+        samples = await historyStore.query({ series: metric, from: Date.now() - 24 * 60 * 60 * 1000 });
+        if (samples.length === 0) {
+          const error = i18n.create(getSettings()).t('provider.noHistory');
+          onStatus('disconnected', error);
+          return { success: false, error };
+        }
+        position = 0;
+        emit();
+        onStatus('limited');
+        return { success: true };
+      },
+      stop: () => {
+        samples = [];
+      },
+      refresh: emit
+    };
+  }
+});
+
+// Polls a remote sensor agent at <remoteAgentUrl>/api/sensors/<metric>
+sensorRegistry.register(['battery', 'weather', 'performance'], {
+  id: 'remote',
+  label: 'provider.remote',
+  create: ({ metric, onData, onStatus, getSettings }) => {
+    const poll = async () => {
+      const { remoteAgentUrl } = getSettings();
+      try {
+        const response = await axios.get(
+          `${remoteAgentUrl.replace(/\/+$/, '')}/api/sensors/${metric}`,
+          { timeout: 10000 }
+        );
+        if (!SENSOR_METRICS[metric].isValid(response.data)) {
+          throw new Error(i18n.create(getSettings()).t('provider.invalidReading', { metric }));
+        }
+        onData({
+          ...SENSOR_METRICS[metric].defaults,
+          ...response.data,
+          remote: true,
           lastUpdate: new Date(),
-          simulated: true
+          timestamp: new Date()
         });
-        return { success: false, error: 'Battery API not supported - using simulated data' };
+        onStatus('connected');
+        return { success: true };
+      } catch (error) {
+        onStatus('disconnected', error.message);
+        return { success: false, error: error.message };
       }
-    } catch (error) {
-      setBatteryStatus('disconnected');
-      // Fallback to simulated data
-      setBatteryData({
-        level: 75,
-        charging: false,
-        chargingTime: Infinity,
-        dischargingTime: 18000,
+    };
+
+    return {
+      start: poll,
+      stop: () => {},
+      refresh: poll
+    };
+  }
+});
+
+// Manual readings entered in Settings
+const manualReadings = {
+  values: {},
+  listeners: new Set(),
+
+  get: (metric) => manualReadings.values[metric] || null,
+
+  set: (metric, value) => {
+    manualReadings.values = { ...manualReadings.values, [metric]: value };
+    manualReadings.listeners.forEach(listener => listener(metric, value));
+  },
+
+  subscribe: (listener) => {
+    manualReadings.listeners.add(listener);
+    return () => manualReadings.listeners.delete(listener);
+  }
+};
+
+sensorRegistry.register(['battery', 'weather', 'performance'], {
+  id: 'manual',
+  label: 'provider.manual',
+  create: ({ metric, onData, onStatus, getSettings }) => {
+    let unsubscribe = null;
+    const emit = (value) => {
+      if (!value) {
+        onStatus('disconnected', i18n.create(getSettings()).t('provider.noManualReading'));
+        return;
+      }
+      onData({
+        ...SENSOR_METRICS[metric].defaults,
+        ...value,
+        manual: true,
         lastUpdate: new Date(),
-        simulated: true
+        timestamp: new Date()
       });
-      return { success: false, error: error.message };
-    }
+      onStatus('limited');
+    };
+
+    return {
+      start: async () => {
+        unsubscribe = manualReadings.subscribe((changedMetric, value) => {
+          if (changedMetric === metric) emit(value);
+        });
+        emit(manualReadings.get(metric));
+        return { success: manualReadings.get(metric) !== null };
+      },
+      stop: () => {
+        if (unsubscribe) unsubscribe();
+        unsubscribe = null;
+      }
+    };
+  }
+});
+
+// Custom hook running the selected provider for a metric
+const useSensorProvider = (metric, providerId, settings) => {
+  const [data, setData] = useState(null);
+  const [status, setStatus] = useState('disconnected');
+  const [error, setError] = useState(null);
+  const instanceRef = useRef(null);
+  const activeToken = useRef(null);
+  const isStarted = useRef(false);
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  const stop = useCallback(() => {
+    if (instanceRef.current) instanceRef.current.stop();
+    instanceRef.current = null;
+    activeToken.current = null;
+  }, []);
+
+  const start = useCallback(async () => {
+    stop();
+    isStarted.current = true;
+
+    const provider = sensorRegistry.get(metric, providerId);
+    if (!provider) {
+      const message = i18n.create(settingsRef.current).t('validation.unknownProvider', { id: providerId });
+      setStatus('disconnected');
+      setError(message);
+      return { success: false, error: message };
+    }
+
+    // Ignore callbacks from instances that have since been stopped
+    const token = {};
+    activeToken.current = token;
+    const instance = provider.create({
+      metric,
+      getSettings: () => settingsRef.current,
+      onData: (reading) => {
+        if (activeToken.current === token) setData(reading);
+      },
+      onStatus: (nextStatus, nextError = null) => {
+        if (activeToken.current !== token) return;
+        setStatus(nextStatus);
+        setError(nextError);
+      }
+    });
+    instanceRef.current = instance;
+
+    return await instance.start();
+  }, [metric, providerId, stop]);
+
+  const refresh = useCallback(() => {
+    if (instanceRef.current?.refresh) instanceRef.current.refresh();
+  }, []);
+
+  const retry = useCallback(async () => {
+    setStatus('retrying');
+    return await start();
+  }, [start]);
+
+  // Switch providers live when the selection changes after monitoring has started
+  useEffect(() => {
+    if (isStarted.current) start();
+  }, [start]);
+
+  useEffect(() => stop, [stop]);
+
+  // Polling
+  const pollInterval = settings[SENSOR_METRICS[metric].intervalKey];
+  useEffect(() => {
+    const interval = setInterval(refresh, pollInterval);
+    return () => clearInterval(interval);
+  }, [refresh, pollInterval]);
+
+  const provider = sensorRegistry.get(metric, providerId);
+
+  return { data, status, error, providerLabel: provider?.label || providerId, start, stop, refresh, retry };
+};
+
+// Lumped thermal-capacitance model for the device temperature estimate.
+// The device is one thermal mass: C·dT/dt = P − (T − T_ambient) / R, with heat input P from
+// idle draw, CPU load and charging. Over a step of dt seconds the exact solution is
+// T = T_ss + (T − T_ss)·e^(−dt/τ), where T_ss = T_ambient + R·P and τ = R·C.
+const THERMAL_PROFILES = {
+  phone: {
+    label: 'profile.phone',
+    thermalResistance: 4, // °C per W to ambient
+    timeConstant: 360, // seconds
+    idlePower: 1.0, // W
+    cpuPower: 1.8, // W at 100% load
+    chargingPower: 1.2 // W while fast charging below 80%
+  },
+  tablet: {
+    label: 'profile.tablet',
+    thermalResistance: 3.5,
+    timeConstant: 600,
+    idlePower: 1.5,
+    cpuPower: 4.0,
+    chargingPower: 1.5
+  },
+  laptop: {
+    label: 'profile.laptop',
+    thermalResistance: 1.2,
+    timeConstant: 900,
+    idlePower: 6,
+    cpuPower: 15,
+    chargingPower: 3
+  }
+};
+
+const THERMAL_DEFAULT_AMBIENT = 22;
+
+const thermalModel = {
+  // Heat dissipated inside the device in watts
+  heatInput: (profile, { cpuLoad = 0, charging = false, batteryLevel = 50 }) => {
+    const chargingTaper = batteryLevel < 80 ? 1 : 0.4;
+    return profile.idlePower +
+      profile.cpuPower * Math.max(0, Math.min(100, cpuLoad)) / 100 +
+      (charging ? profile.chargingPower * chargingTaper : 0);
+  },
+
+  steadyState: (profile, ambient, inputs) => ambient + profile.thermalResistance * thermalModel.heatInput(profile, inputs),
+
+  step: (temperature, dtSeconds, profile, ambient, inputs) => {
+    const target = thermalModel.steadyState(profile, ambient, inputs);
+    return target + (temperature - target) * Math.exp(-dtSeconds / profile.timeConstant);
+  },
+
+  // Model inputs from the current readings
+  inputsFrom: (batteryData, performanceData) => ({
+    cpuLoad: performanceData?.cpuLoad || 0,
+    charging: Boolean(batteryData?.charging),
+    batteryLevel: batteryData?.level ?? 50
+  }),
+
+  // 0-1: how far the inputs and calibration can be trusted, times how long the model has had to settle
+  confidence: ({ batteryData, weatherData, performanceData, elapsedSeconds, profile, calibration = null }) => {
+    const quality = (data) => {
+      if (!data) return 0.5;
+      if (data.fallback || data.simulated) return 0.7;
+      if (data.manual) return 0.85;
+      return 1;
+    };
+    const cpuQuality = { 'compute-pressure': 1, 'event-loop': 0.85 }[performanceData?.cpuLoadSource] ?? quality(performanceData);
+    const settled = 1 - Math.exp(-elapsedSeconds / profile.timeConstant);
+    const calibrationQuality = !calibration ? 0.85 : calibrationUtils.isOverdue(calibration) ? 0.9 : 1;
+    const value = quality(weatherData) * quality(batteryData) * cpuQuality * calibrationQuality * (0.5 + 0.5 * settled);
+    return Math.round(value * 100) / 100;
+  }
+};
+
+// Temperature calibration - fits offset, gain and time constant of the thermal model to
+// reference readings from OS tools or thermal probes. The calibrated temperature is
+// T_ambient + gain·(T_model − T_ambient) + offset, kept per device profile.
+const CALIBRATION_STORAGE_KEY = 'thermosense-calibration';
+const CALIBRATION_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+const CALIBRATION_TIME_CONSTANT_SCALES = [0.25, 0.35, 0.5, 0.7, 1, 1.4, 2, 2.8, 4];
+const CALIBRATION_GAIN_RANGE = [0.3, 3];
+// History replayed before the first reference reading so the model has settled
+const CALIBRATION_LEAD_TIME = 6 * 60 * 60 * 1000;
+
+const calibrationUtils = {
+  load: () => {
+    try {
+      return JSON.parse(localStorage.getItem(CALIBRATION_STORAGE_KEY)) || {};
+    } catch (error) {
+      console.error('Calibration load error:', error);
+      return {};
+    }
+  },
+
+  save: (calibrations) => {
+    localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(calibrations));
+  },
+
+  apply: (fit, rawTemperature, ambient) => fit
+    ? ambient + fit.gain * (rawTemperature - ambient) + fit.offset
+    : rawTemperature,
+
+  isOverdue: (fit, now = Date.now()) => Boolean(fit) && now - fit.calibratedAt > CALIBRATION_MAX_AGE,
+
+  rmse: (errors) => errors.length
+    ? Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)
+    : null,
+
+  // Model rise above ambient at each reference reading, replaying recorded inputs with the
+  // given time constant. Like the live model, it restarts at steady state after a gap.
+  replay: (samples, points, profile) => {
+    const events = [
+      ...samples.map(sample => ({ timestamp: sample.timestamp, sample })),
+      ...points.map(point => ({ timestamp: point.timestamp, point }))
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    const latest = { battery: null, weather: null, performance: null };
+    let temperature = null;
+    let updatedAt = null;
+    const rows = [];
+
+    events.forEach(({ timestamp, sample, point }) => {
+      const ambient = latest.weather?.temperature ?? point?.ambient ?? THERMAL_DEFAULT_AMBIENT;
+      const inputs = latest.performance || latest.battery
+        ? thermalModel.inputsFrom(latest.battery, latest.performance)
+        : point?.inputs || thermalModel.inputsFrom(null, null);
+
+      if (temperature !== null && timestamp - updatedAt <= ANALYTICS_MAX_SAMPLE_GAP) {
+        temperature = thermalModel.step(temperature, (timestamp - updatedAt) / 1000, profile, ambient, inputs);
+      } else {
+        temperature = thermalModel.steadyState(profile, ambient, inputs);
+      }
+      updatedAt = timestamp;
+
+      if (sample) {
+        latest[sample.series] = sample.value;
+      } else {
+        rows.push({ rise: temperature - ambient, target: point.reference - ambient, ambient });
+      }
+    });
+
+    return rows;
+  },
+
+  // Least squares for target = gain·rise + offset, with gain clamped to a plausible range
+  fitLinear: (rows, fitGain) => {
+    const n = rows.length;
+    const meanRise = rows.reduce((sum, row) => sum + row.rise, 0) / n;
+    const meanTarget = rows.reduce((sum, row) => sum + row.target, 0) / n;
+    const variance = rows.reduce((sum, row) => sum + (row.rise - meanRise) ** 2, 0);
+    const covariance = rows.reduce((sum, row) => sum + (row.rise - meanRise) * (row.target - meanTarget), 0);
+
+    const [minGain, maxGain] = CALIBRATION_GAIN_RANGE;
+    const gain = fitGain && variance > 1e-6 ? Math.max(minGain, Math.min(maxGain, covariance / variance)) : 1;
+    const offset = meanTarget - gain * meanRise;
+    const errors = rows.map(row => gain * row.rise + offset - row.target);
+    return { gain, offset, rmse: calibrationUtils.rmse(errors) };
+  },
+
+  // One reading fits the offset, two add the gain, three or more also search the time constant
+  fit: (samples, points, profile) => {
+    const scales = points.length >= 3 ? CALIBRATION_TIME_CONSTANT_SCALES : [1];
+    let best = null;
+
+    scales.forEach(scale => {
+      const timeConstant = profile.timeConstant * scale;
+      const rows = calibrationUtils.replay(samples, points, { ...profile, timeConstant });
+      const result = calibrationUtils.fitLinear(rows, points.length >= 2);
+      if (!best || result.rmse < best.rmse) best = { ...result, timeConstant };
+    });
+
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return {
+      offset: round(best.offset, 2),
+      gain: round(best.gain, 3),
+      timeConstant: Math.round(best.timeConstant),
+      rmseBefore: round(calibrationUtils.rmse(points.map(point => point.estimate - point.reference)), 2),
+      rmseAfter: round(best.rmse, 2),
+      pointCount: points.length,
+      calibratedAt: Date.now()
+    };
+  }
+};
+
+// Custom hook for the calibration readings and fit of the selected device profile
+const useCalibration = (settings) => {
+  const profileId = settings.deviceProfile;
+  const format = useMemo(() => i18n.create(settings), [settings]);
+  const [calibrations, setCalibrations] = useState(calibrationUtils.load);
+  const entry = calibrations[profileId] || { points: [], fit: null };
+
+  useEffect(() => {
+    calibrationUtils.save(calibrations);
+  }, [calibrations]);
+
+  const updateEntry = useCallback((changes) => {
+    setCalibrations(prev => ({ ...prev, [profileId]: { points: [], fit: null, ...prev[profileId], ...changes } }));
+  }, [profileId]);
+
+  // Captures a reference reading alongside the model output before the current calibration,
+  // so a refit measures the uncalibrated error
+  const addPoint = useCallback((reference, estimate) => {
+    if (typeof reference !== 'number' || Number.isNaN(reference) || reference < -20 || reference > 90) {
+      return { success: false, error: format.t('calibration.referenceRange', { min: format.temp(-20, 0), max: format.temp(90, 0) }) };
+    }
+    if (!estimate || estimate.temperature === null) {
+      return { success: false, error: format.t('calibration.noEstimate') };
+    }
+
+    updateEntry({
+      points: [...entry.points, {
+        timestamp: Date.now(),
+        reference,
+        estimate: estimate.rawTemperature,
+        ambient: estimate.ambient,
+        inputs: estimate.inputs
+      }]
+    });
+    return { success: true };
+  }, [entry.points, updateEntry, format]);
+
+  const removePoint = useCallback((timestamp) => {
+    updateEntry({ points: entry.points.filter(point => point.timestamp !== timestamp) });
+  }, [entry.points, updateEntry]);
+
+  const fitCalibration = useCallback(async () => {
+    if (entry.points.length === 0) {
+      return { success: false, error: format.t('calibration.noPoints') };
+    }
+    try {
+      const timestamps = entry.points.map(point => point.timestamp);
+      const samples = await historyStore.query({
+        series: ['battery', 'weather', 'performance'],
+        from: Math.min(...timestamps) - CALIBRATION_LEAD_TIME,
+        to: Math.max(...timestamps)
+      });
+      const fit = calibrationUtils.fit(samples, entry.points, THERMAL_PROFILES[profileId]);
+      updateEntry({ fit });
+      return { success: true, fit };
+    } catch (error) {
+      console.error('Calibration fit error:', error);
+      return { success: false, error: error.message };
+    }
+  }, [entry.points, profileId, updateEntry, format]);
+
+  const clearCalibration = useCallback(() => {
+    updateEntry({ points: [], fit: null });
+  }, [updateEntry]);
+
+  return {
+    points: entry.points,
+    fit: entry.fit,
+    isOverdue: calibrationUtils.isOverdue(entry.fit),
+    addPoint,
+    removePoint,
+    fitCalibration,
+    clearCalibration
+  };
+};
+
+// Custom hook integrating the thermal model on each temperature interval
+const useThermalModel = ({ batteryData, weatherData, performanceData, settings, calibration, enabled }) => {
+  const [estimate, setEstimate] = useState({ temperature: null, confidence: 0, steadyState: null });
+  const state = useRef(null);
+  const inputs = useRef(null);
+  inputs.current = { batteryData, weatherData, performanceData };
+
+  // A calibration replaces the profile's time constant with the fitted one
+  const profile = useMemo(() => ({
+    ...THERMAL_PROFILES[settings.deviceProfile],
+    ...(calibration && { timeConstant: calibration.timeConstant })
+  }), [settings.deviceProfile, calibration]);
+
+  useEffect(() => {
+    if (!enabled) {
+      state.current = null;
+      return;
+    }
+
+    const update = () => {
+      const { batteryData, weatherData, performanceData } = inputs.current;
+      const ambient = typeof weatherData?.temperature === 'number' ? weatherData.temperature : THERMAL_DEFAULT_AMBIENT;
+      const modelInputs = thermalModel.inputsFrom(batteryData, performanceData);
+      const now = Date.now();
+
+      // Unknown starting temperature, so begin at steady state and let confidence build up
+      if (!state.current) {
+        state.current = { temperature: thermalModel.steadyState(profile, ambient, modelInputs), startedAt: now, updatedAt: now };
+      } else {
+        const dtSeconds = (now - state.current.updatedAt) / 1000;
+        state.current = {
+          ...state.current,
+          temperature: thermalModel.step(state.current.temperature, dtSeconds, profile, ambient, modelInputs),
+          updatedAt: now
+        };
+      }
+
+      const round = (value) => Math.round(value * 10) / 10;
+      setEstimate({
+        temperature: round(calibrationUtils.apply(calibration, state.current.temperature, ambient)),
+        rawTemperature: round(state.current.temperature),
+        steadyState: round(calibrationUtils.apply(calibration, thermalModel.steadyState(profile, ambient, modelInputs), ambient)),
+        ambient,
+        inputs: modelInputs,
+        confidence: thermalModel.confidence({
+          batteryData,
+          weatherData,
+          performanceData,
+          elapsedSeconds: (now - state.current.startedAt) / 1000,
+          profile,
+          calibration
+        })
+      });
+    };
+
+    update();
+    const interval = setInterval(update, settings.temperatureInterval);
+    return () => clearInterval(interval);
+  }, [enabled, profile, calibration, settings.temperatureInterval]);
+
+  return estimate;
+};
+
+// Scenario simulator - scripted ambient, load and charging timelines run with a seeded PRNG.
+// A scenario is { id, name, description, duration, initial, timeline } where duration is in
+// minutes and each timeline keyframe is { at, ambient, humidity, load, charging } with `at` in
+// minutes. Numeric values are interpolated between keyframes; charging holds until the next one.
+const SIMULATOR_SPEEDS = [1, 10, 60];
+const SIMULATOR_TICK_MS = 1000;
+
+const SIMULATOR_SCENARIOS = [
+  {
+    id: 'gaming-heat',
+    name: 'scenario.gamingHeat.name',
+    description: 'scenario.gamingHeat.description',
+    duration: 60,
+    initial: { batteryLevel: 45, deviceTemp: 31 },
+    timeline: [
+      { at: 0, ambient: 33, humidity: 35, load: 25, charging: true },
+      { at: 5, ambient: 34, humidity: 33, load: 90, charging: true },
+      { at: 40, ambient: 35.5, humidity: 30, load: 95, charging: true },
+      { at: 50, ambient: 35, humidity: 30, load: 40, charging: false },
+      { at: 60, ambient: 34.5, humidity: 31, load: 20, charging: false }
+    ]
+  },
+  {
+    id: 'overnight-idle',
+    name: 'scenario.overnightIdle.name',
+    description: 'scenario.overnightIdle.description',
+    duration: 480,
+    initial: { batteryLevel: 30, deviceTemp: 27 },
+    timeline: [
+      { at: 0, ambient: 21, humidity: 50, load: 10, charging: true },
+      { at: 120, ambient: 19.5, humidity: 55, load: 3, charging: true },
+      { at: 360, ambient: 18, humidity: 58, load: 3, charging: true },
+      { at: 480, ambient: 19, humidity: 55, load: 15, charging: false }
+    ]
+  },
+  {
+    id: 'cold-commute',
+    name: 'scenario.coldCommute.name',
+    description: 'scenario.coldCommute.description',
+    duration: 45,
+    initial: { batteryLevel: 85, deviceTemp: 24 },
+    timeline: [
+      { at: 0, ambient: 20, humidity: 45, load: 20, charging: false },
+      { at: 5, ambient: 1, humidity: 80, load: 55, charging: false },
+      { at: 35, ambient: -2, humidity: 85, load: 60, charging: false },
+      { at: 40, ambient: 19, humidity: 45, load: 15, charging: true },
+      { at: 45, ambient: 21, humidity: 45, load: 10, charging: true }
+    ]
+  }
+];
+
+const scenarioUtils = {
+  // Mulberry32 - small, fast and the same sequence for the same seed on every browser
+  createRandom: (seed) => {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
+  list: (settings) => [...SIMULATOR_SCENARIOS, ...(settings.customScenarios || [])],
+
+  find: (settings, id) => scenarioUtils.list(settings).find(scenario => scenario.id === id) || null,
+
+  // Built-in names and descriptions are catalogue keys; custom scenarios keep their own text
+  localize: (scenario, t) => ({ ...scenario, name: t(scenario.name), description: scenario.description && t(scenario.description) }),
+
+  // Returns an error message, or null when the scenario is runnable
+  validate: (scenario, t = i18n.create().t) => {
+    if (!scenario || typeof scenario !== 'object') return t('scenario.error.object');
+    if (typeof scenario.id !== 'string' || !/^[a-z0-9-]+$/.test(scenario.id)) {
+      return t('scenario.error.id');
+    }
+    if (typeof scenario.name !== 'string' || !scenario.name.trim()) return t('scenario.error.name');
+    if (typeof scenario.duration !== 'number' || scenario.duration <= 0 || scenario.duration > 7 * 24 * 60) {
+      return t('scenario.error.range', { field: 'duration', min: 0, max: 10080 });
+    }
+    const initial = scenario.initial || {};
+    if (typeof initial.batteryLevel !== 'number' || initial.batteryLevel < 0 || initial.batteryLevel > 100) {
+      return t('scenario.error.range', { field: 'initial.batteryLevel', min: 0, max: 100 });
+    }
+    if (typeof initial.deviceTemp !== 'number') return t('scenario.error.number', { field: 'initial.deviceTemp' });
+    if (!Array.isArray(scenario.timeline) || scenario.timeline.length === 0) return t('scenario.error.timeline');
+
+    for (let i = 0; i < scenario.timeline.length; i++) {
+      const frame = scenario.timeline[i];
+      const fields = ['at', 'ambient', 'humidity', 'load'];
+      const missing = fields.find(field => typeof frame?.[field] !== 'number');
+      if (missing) return t('scenario.error.number', { field: `timeline[${i}].${missing}` });
+      if (typeof frame.charging !== 'boolean') return t('scenario.error.boolean', { field: `timeline[${i}].charging` });
+      if (frame.load < 0 || frame.load > 100) return t('scenario.error.range', { field: `timeline[${i}].load`, min: 0, max: 100 });
+      if (i > 0 && frame.at <= scenario.timeline[i - 1].at) return t('scenario.error.order', { field: `timeline[${i}].at` });
+    }
+    return null;
+  },
+
+  parse: (text, t = i18n.create().t) => {
+    let scenario;
+    try {
+      scenario = JSON.parse(text);
+    } catch (error) {
+      return { success: false, error: t('scenario.error.json') };
+    }
+    const error = scenarioUtils.validate(scenario, t);
+    return error ? { success: false, error } : { success: true, scenario };
+  },
+
+  // Script values at `minute`
+  conditionsAt: (timeline, minute) => {
+    const nextIndex = timeline.findIndex(frame => frame.at > minute);
+    if (nextIndex === 0) return { ...timeline[0] };
+    const previous = timeline[nextIndex === -1 ? timeline.length - 1 : nextIndex - 1];
+    if (nextIndex === -1) return { ...previous };
+
+    const next = timeline[nextIndex];
+    const ratio = (minute - previous.at) / (next.at - previous.at);
+    const lerp = (key) => previous[key] + (next[key] - previous[key]) * ratio;
+    return {
+      at: minute,
+      ambient: lerp('ambient'),
+      humidity: lerp('humidity'),
+      load: lerp('load'),
+      charging: previous.charging
+    };
+  },
+
+  createState: (scenario, seed, profileId = 'phone') => ({
+    scenario,
+    profile: THERMAL_PROFILES[profileId],
+    random: scenarioUtils.createRandom(seed),
+    elapsed: 0,
+    batteryLevel: scenario.initial.batteryLevel,
+    deviceTemp: scenario.initial.deviceTemp
+  }),
+
+  // Advances the simulation by `dtMs` of scenario time and returns the readings it produces
+  step: (state, dtMs) => {
+    const { scenario, profile, random } = state;
+    const elapsed = Math.min(state.elapsed + dtMs, scenario.duration * 60000);
+    const dtMinutes = (elapsed - state.elapsed) / 60000;
+    const conditions = scenarioUtils.conditionsAt(scenario.timeline, elapsed / 60000);
+    const noise = (scale) => (random() - 0.5) * scale;
+
+    const deviceTemp = thermalModel.step(state.deviceTemp, dtMinutes * 60, profile, conditions.ambient, {
+      cpuLoad: conditions.load,
+      charging: conditions.charging,
+      batteryLevel: state.batteryLevel
+    }) + noise(0.3);
+
+    // Fast charging to 80%, trickle above; discharge scales with load and cold
+    const coldPenalty = conditions.ambient < 5 ? 1.5 : 1;
+    const batteryLevel = Math.max(0, Math.min(100, conditions.charging
+      ? state.batteryLevel + dtMinutes * (state.batteryLevel < 80 ? 1.2 : 0.3)
+      : state.batteryLevel - dtMinutes * (0.1 + conditions.load * 0.006) * coldPenalty));
+
+    const cpuLoad = Math.max(0, Math.min(100, conditions.load + noise(10)));
+    const now = new Date();
+    const simulated = { simulated: true, scenario: scenario.id };
+
+    return {
+      state: { ...state, elapsed, batteryLevel, deviceTemp },
+      values: {
+        batteryData: {
+          level: Math.round(batteryLevel),
+          charging: conditions.charging,
+          chargingTime: conditions.charging ? Math.round((100 - batteryLevel) / 1.2 * 60) : Infinity,
+          dischargingTime: conditions.charging ? Infinity : Math.round(batteryLevel / (0.1 + conditions.load * 0.006) * 60),
+          lastUpdate: now,
+          ...simulated
+        },
+        weatherData: {
+          ...SENSOR_METRICS.weather.defaults,
+          temperature: Math.round((conditions.ambient + noise(0.2)) * 10) / 10,
+          humidity: Math.round(conditions.humidity),
+          lastUpdate: now,
+          ...simulated
+        },
+        performanceData: {
+          ...SENSOR_METRICS.performance.defaults,
+          memory: { used: Math.round(40 + cpuLoad * 0.5), total: 128 },
+          cpuLoad: Math.round(cpuLoad),
+          timestamp: now,
+          ...simulated
+        },
+        deviceTemp: Math.round(Math.max(-10, Math.min(60, deviceTemp)) * 10) / 10
+      }
+    };
+  }
+};
+
+// Custom hook running a scenario script in place of the live sensors
+const useScenarioSimulator = (settings) => {
+  const [values, setValues] = useState(null);
+  const [elapsed, setElapsed] = useState(0);
+  const [isRunning, setIsRunning] = useState(false);
+  const [scenario, setScenario] = useState(null);
+  const [startedAt, setStartedAt] = useState(null);
+  const stateRef = useRef(null);
+  const startedAtRef = useRef(null);
+
+  const start = useCallback((scenarioToRun, seed) => {
+    const first = scenarioUtils.step(scenarioUtils.createState(scenarioToRun, seed, settings.deviceProfile), 0);
+    stateRef.current = first.state;
+    startedAtRef.current = Date.now();
+    setStartedAt(startedAtRef.current);
+    setScenario(scenarioToRun);
+    setValues(first.values);
+    setElapsed(0);
+    setIsRunning(true);
+  }, [settings.deviceProfile]);
+
+  const stop = useCallback(() => {
+    stateRef.current = null;
+    startedAtRef.current = null;
+    setStartedAt(null);
+    setIsRunning(false);
+    setScenario(null);
+    setValues(null);
+    setElapsed(0);
+  }, []);
+
+  // Fixed-size steps keep a run identical for the same seed and speed
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => {
+      const result = scenarioUtils.step(stateRef.current, SIMULATOR_TICK_MS * settings.simulatorSpeed);
+      stateRef.current = result.state;
+      setValues(result.values);
+      setElapsed(result.state.elapsed);
+      if (result.state.elapsed >= result.state.scenario.duration * 60000) setIsRunning(false);
+    }, SIMULATOR_TICK_MS);
+    return () => clearInterval(interval);
+  }, [isRunning, settings.simulatorSpeed]);
+
+  // Simulated time, which runs at the simulator speed, for time-based alert rules
+  const clock = useCallback(() => startedAtRef.current + (stateRef.current?.elapsed ?? 0), []);
+
+  return { scenario, values, elapsed, startedAt, isRunning, isActive: scenario !== null, start, stop, clock };
+};
+
+// Battery capacity-fade model - calendar aging (Arrhenius temperature and state-of-charge
+// dependent) plus cycle aging, accumulated incrementally over recorded history. The rates seen
+// while monitoring are extrapolated over the whole span since monitoring began.
+const CAPACITY_STORAGE_KEY = 'thermosense-capacity';
+const CAPACITY_REFRESH_INTERVAL = 5 * 60 * 1000;
+const CAPACITY_REFERENCE_TEMP = 25;
+const CAPACITY_END_OF_LIFE = 80;
+const CAPACITY_MIN_MONITORED = 60 * 60 * 1000;
+const CAPACITY_TREND_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const capacityModel = {
+  createState: () => ({
+    firstTimestamp: null,
+    lastTimestamp: null,
+    monitoredMs: 0,
+    calendarLoss: 0,
+    cycleLoss: 0,
+    equivalentCycles: 0,
+    lastLevel: null,
+    lastTemp: null,
+    daily: []
+  }),
+
+  load: () => {
+    try {
+      return { ...capacityModel.createState(), ...JSON.parse(localStorage.getItem(CAPACITY_STORAGE_KEY)) };
+    } catch (error) {
+      console.error('Capacity model load error:', error);
+      return capacityModel.createState();
+    }
+  },
+
+  save: (state) => {
+    localStorage.setItem(CAPACITY_STORAGE_KEY, JSON.stringify(state));
+  },
+
+  // Equivalent full cycles for a level change: 100 points of charge gained make one cycle.
+  // Charging sessions and the capacity model both count cycles with this.
+  cycles: (fromLevel, toLevel) => Math.max(0, toLevel - fromLevel) / 100,
+
+  // Rate multiplier relative to 25 °C: exp(Ea/R · (1/T_ref − 1/T)), with Ea/R taken from the
+  // temperature coefficient as the log-rate slope at the reference temperature
+  arrhenius: (temperature, coefficients) => {
+    const referenceK = CAPACITY_REFERENCE_TEMP + 273.15;
+    const activation = Math.abs(coefficients.temperatureWeight) * referenceK * referenceK;
+    return Math.exp(activation * (1 / referenceK - 1 / (temperature + 273.15)));
+  },
+
+  // Calendar fade in % per day; a fuller battery ages faster
+  calendarRate: (temperature, level, coefficients) => Math.abs(coefficients.ageWeight) / 7 *
+    capacityModel.arrhenius(temperature, coefficients) *
+    Math.exp(Math.abs(coefficients.usageWeight) * (level - 50) / 10),
+
+  // Folds new battery and device temperature samples (ascending) into the running state
+  accumulate: (state, samples, coefficients) => {
+    let next = { ...state };
+
+    samples.forEach(sample => {
+      const dt = next.lastTimestamp === null ? 0 : sample.timestamp - next.lastTimestamp;
+      // Gaps mean the app was closed; the time is covered by extrapolation instead
+      if (dt > 0 && dt <= ANALYTICS_MAX_SAMPLE_GAP && next.lastTemp !== null && next.lastLevel !== null) {
+        next.calendarLoss += capacityModel.calendarRate(next.lastTemp, next.lastLevel, coefficients) * dt / DAY_MS;
+        next.monitoredMs += dt;
+      }
+
+      if (sample.series === 'deviceTemp') {
+        next.lastTemp = sample.value;
+      } else if (typeof sample.value?.level === 'number') {
+        if (next.lastLevel !== null && next.lastTemp !== null) {
+          const cycles = capacityModel.cycles(next.lastLevel, sample.value.level);
+          next.equivalentCycles += cycles;
+          next.cycleLoss += cycles * Math.abs(coefficients.chargingCycleWeight) * capacityModel.arrhenius(next.lastTemp, coefficients);
+        }
+        next.lastLevel = sample.value.level;
+      }
+
+      if (next.firstTimestamp === null) next.firstTimestamp = sample.timestamp;
+      next.lastTimestamp = Math.max(next.lastTimestamp ?? 0, sample.timestamp);
+    });
+
+    const summary = capacityModel.summarize(next, coefficients);
+    if (summary.capacity !== null) {
+      const day = new Date(next.lastTimestamp).setHours(0, 0, 0, 0);
+      next.daily = [...next.daily.filter(point => point.day !== day), { day, capacity: summary.capacity }]
+        .slice(-CAPACITY_TREND_DAYS);
+    }
+    return next;
+  },
+
+  // Remaining capacity, its split by cause and a linear trend over the daily estimates
+  summarize: (state, coefficients) => {
+    if (state.monitoredMs < CAPACITY_MIN_MONITORED) {
+      return {
+        capacity: null,
+        equivalentCycles: Math.round(state.equivalentCycles * 100) / 100,
+        monitoredMs: state.monitoredMs,
+        trend: null,
+        daily: state.daily
+      };
+    }
+
+    const scale = Math.max(1, (state.lastTimestamp - state.firstTimestamp) / state.monitoredMs);
+    const calendarLoss = state.calendarLoss * scale;
+    const cycleLoss = state.cycleLoss * scale;
+    const round = (value) => Math.round(value * 100) / 100;
+
+    let trend = null;
+    if (state.daily.length >= 2) {
+      const xs = state.daily.map(point => (point.day - state.daily[0].day) / DAY_MS);
+      const ys = state.daily.map(point => point.capacity);
+      const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+      const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+      const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+      const slope = variance > 0 ? xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / variance : 0;
+      const intercept = meanY - slope * meanX;
+      const latest = intercept + slope * xs[xs.length - 1];
+      trend = {
+        slopePerMonth: round(slope * 30),
+        intercept,
+        slope,
+        daysToEndOfLife: slope < 0 ? Math.round((CAPACITY_END_OF_LIFE - latest) / slope) : null
+      };
+    }
+
+    return {
+      capacity: round(Math.max(0, coefficients.intercept - calendarLoss - cycleLoss)),
+      calendarLoss: round(calendarLoss),
+      cycleLoss: round(cycleLoss),
+      // Cycles actually seen while monitoring; only the resulting wear is extrapolated
+      equivalentCycles: round(state.equivalentCycles),
+      monitoredMs: state.monitoredMs,
+      trend,
+      daily: state.daily
+    };
+  }
+};
+
+// Recommendation catalogue - recommendations are plain data (id, severity, category, the metric
+// values that triggered them and suggested actions); recommendationUtils.render produces the text
+const RECOMMENDATION_CATEGORIES = ['thermal', 'charging', 'environment', 'performance'];
+const RECOMMENDATION_SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+const RECOMMENDATIONS = {
+  'temp-critical': {
+    severity: 'critical',
+    category: 'thermal',
+    message: 'recommendation.tempCritical',
+    metric: 'deviceTemp',
+    unit: 'temperature',
+    actions: ['stopTasks', 'powerDown', 'moveCool'],
+    detail: 'recommendation.detail.tempCritical'
+  },
+  'temp-warning': {
+    severity: 'warning',
+    category: 'thermal',
+    message: 'recommendation.tempWarning',
+    metric: 'deviceTemp',
+    unit: 'temperature',
+    actions: ['reduceApps', 'ventilate', 'avoidCharging'],
+    detail: 'recommendation.detail.tempWarning'
+  },
+  'temp-optimal': {
+    severity: 'info',
+    category: 'thermal',
+    message: 'recommendation.tempOptimal',
+    metric: 'deviceTemp',
+    unit: 'temperature',
+    actions: []
+  },
+  'charging-hot': {
+    severity: 'warning',
+    category: 'charging',
+    message: 'recommendation.chargingHot',
+    metric: 'deviceTemp',
+    unit: 'temperature',
+    actions: ['unplug', 'ventilate'],
+    detail: 'recommendation.detail.chargingHot'
+  },
+  'charging-good': {
+    severity: 'info',
+    category: 'charging',
+    message: 'recommendation.chargingGood',
+    metric: 'deviceTemp',
+    unit: 'temperature',
+    actions: []
+  },
+  'battery-low': {
+    severity: 'warning',
+    category: 'charging',
+    message: 'recommendation.batteryLow',
+    metric: 'batteryLevel',
+    unit: 'percent',
+    actions: ['charge', 'powerSaving']
+  },
+  'ambient-high': {
+    severity: 'warning',
+    category: 'environment',
+    message: 'recommendation.ambientHigh',
+    metric: 'ambientTemp',
+    unit: 'temperature',
+    actions: ['moveCool', 'shade', 'avoidCharging']
+  },
+  'ambient-low': {
+    severity: 'info',
+    category: 'environment',
+    message: 'recommendation.ambientLow',
+    metric: 'ambientTemp',
+    unit: 'temperature',
+    actions: ['keepWarm'],
+    detail: 'recommendation.detail.ambientLow'
+  },
+  'cpu-high': {
+    severity: 'warning',
+    category: 'performance',
+    message: 'recommendation.cpuHigh',
+    metric: 'cpuLoad',
+    unit: 'percent',
+    actions: ['reduceApps', 'monitor']
+  },
+  'forecast-heat': {
+    severity: 'warning',
+    category: 'environment',
+    message: 'forecast.advisory.heat',
+    params: ({ ambientTemp, time }, format, when) => ({ temperature: format.temp(ambientTemp, 0), when: when(time) }),
+    actions: ['chargeEarly', 'avoidCharging']
+  },
+  'forecast-heat-peak': {
+    severity: 'warning',
+    category: 'environment',
+    message: 'forecast.advisory.heatPeak',
+    params: ({ ambientTemp, time, peak, peakTime }, format, when) => ({
+      temperature: format.temp(ambientTemp, 0),
+      when: when(time),
+      peak: format.temp(peak, 0),
+      peakWhen: when(peakTime)
+    }),
+    actions: ['chargeEarly', 'avoidCharging']
+  },
+  'forecast-cold': {
+    severity: 'info',
+    category: 'environment',
+    message: 'forecast.advisory.cold',
+    params: ({ ambientTemp, time }, format, when) => ({ temperature: format.temp(ambientTemp, 0), when: when(time) }),
+    actions: ['keepWarm']
+  },
+  'forecast-uv': {
+    severity: 'warning',
+    category: 'environment',
+    message: 'forecast.advisory.uv',
+    params: ({ uvIndex, time }, format, when) => ({ uvIndex: Math.round(uvIndex), when: when(time) }),
+    actions: ['shade'],
+    detail: 'recommendation.detail.uv'
+  }
+};
+
+const recommendationUtils = {
+  // metrics holds the readings that triggered the recommendation in canonical units, plus the limit crossed
+  create: (id, metrics = {}) => {
+    const entry = RECOMMENDATIONS[id];
+    return {
+      id,
+      severity: entry.severity,
+      category: entry.category,
+      metrics,
+      actions: [...entry.actions],
+      detail: entry.detail || null
+    };
+  },
+
+  // Keeps the first recommendation for each id
+  dedupe: (recommendations) => {
+    const seen = new Set();
+    return recommendations.filter(recommendation => {
+      if (seen.has(recommendation.id)) return false;
+      seen.add(recommendation.id);
+      return true;
+    });
+  },
+
+  sortBySeverity: (recommendations) => [...recommendations].sort((a, b) => (
+    RECOMMENDATION_SEVERITY_ORDER[a.severity] - RECOMMENDATION_SEVERITY_ORDER[b.severity]
+  )),
+
+  formatMetric: (value, unit, format) => unit === 'temperature' ? format.temp(value) : format.percent(value),
+
+  // Display text for a recommendation in the given language and units
+  render: (recommendation, format = i18n.create(), now = Date.now()) => {
+    const entry = RECOMMENDATIONS[recommendation.id];
+    const { metrics } = recommendation;
+    const when = (time) => weatherUtils.formatForecastTime(time, format, now);
+    const value = entry.metric ? metrics[entry.metric] : undefined;
+    const hasReading = Number.isFinite(value) && Number.isFinite(metrics.limit);
+
+    return {
+      id: recommendation.id,
+      severity: recommendation.severity,
+      category: recommendation.category,
+      message: format.t(entry.message, entry.params ? entry.params(metrics, format, when) : {}),
+      reading: hasReading
+        ? format.t(`recommendation.reading.${entry.metric}`, {
+          value: recommendationUtils.formatMetric(value, entry.unit, format),
+          limit: recommendationUtils.formatMetric(metrics.limit, entry.unit, format)
+        })
+        : null,
+      actions: recommendation.actions.map(action => format.t(`recommendation.action.${action}`)),
+      detail: recommendation.detail ? format.t(recommendation.detail) : null
+    };
+  },
+
+  // Suggested actions across several recommendations, without repeats
+  actions: (recommendations, format = i18n.create()) => [
+    ...new Set(recommendations.flatMap(recommendation => recommendation.actions))
+  ].map(action => format.t(`recommendation.action.${action}`))
+};
+
+// Health score model - each factor checks its thresholds in order and deducts the points of the
+// first one that fires. The score is 100 minus the deductions, and every factor reports the
+// input and thresholds behind its share so the score can be explained.
+const HEALTH_ALERT_RANK = { safe: 0, warning: 1, danger: 2 };
+
+const healthModel = {
+  // Factor definitions in scoring order; a factor with requires only counts while that input is true
+  factors: (settings) => [
+    {
+      id: 'temperature',
+      metric: 'deviceTemp',
+      unit: 'temperature',
+      checks: [
+        { id: 'critical', direction: 'above', limit: settings.tempCritical, impact: 25, alertLevel: 'danger', recommendation: 'temp-critical' },
+        { id: 'warning', direction: 'above', limit: settings.tempWarning, impact: 15, alertLevel: 'warning', recommendation: 'temp-warning' }
+      ],
+      otherwise: 'temp-optimal'
+    },
+    {
+      id: 'chargingHot',
+      metric: 'deviceTemp',
+      unit: 'temperature',
+      requires: 'charging',
+      checks: [
+        { id: 'hot', direction: 'above', limit: settings.tempWarning, impact: 10, alertLevel: 'warning', recommendation: 'charging-hot' }
+      ],
+      otherwise: 'charging-good'
+    },
+    {
+      id: 'battery',
+      metric: 'batteryLevel',
+      unit: 'percent',
+      checks: [
+        { id: 'low', direction: 'below', limit: settings.batteryLow, impact: 5, alertLevel: 'warning', recommendation: 'battery-low' }
+      ]
+    },
+    {
+      id: 'ambient',
+      metric: 'ambientTemp',
+      unit: 'temperature',
+      checks: [
+        { id: 'high', direction: 'above', limit: settings.ambientHigh, impact: 8, alertLevel: 'warning', recommendation: 'ambient-high' },
+        { id: 'low', direction: 'below', limit: settings.ambientLow, impact: 3, alertLevel: 'safe', recommendation: 'ambient-low' }
+      ]
+    },
+    {
+      id: 'cpu',
+      metric: 'cpuLoad',
+      unit: 'percent',
+      checks: [
+        { id: 'high', direction: 'above', limit: settings.cpuHigh, impact: 10, alertLevel: 'warning', recommendation: 'cpu-high' }
+      ]
+    }
+  ],
+
+  // Model inputs from the live readings; missing sources become null
+  readings: (batteryData, weatherData, deviceTemp, performanceData) => ({
+    deviceTemp,
+    charging: batteryData ? Boolean(batteryData.charging) : null,
+    batteryLevel: batteryData?.level ?? null,
+    ambientTemp: weatherData?.temperature ?? null,
+    cpuLoad: performanceData?.cpuLoad ?? null
+  }),
+
+  evaluate: (readings, settings) => {
+    const recommendations = [];
+    let alertLevel = 'safe';
+
+    const factors = healthModel.factors(settings).map(factor => {
+      const value = readings[factor.metric];
+      let status = 'ok';
+      if (!Number.isFinite(value) || (factor.requires && readings[factor.requires] === null)) {
+        status = 'noData';
+      } else if (factor.requires && !readings[factor.requires]) {
+        status = 'notApplicable';
+      }
+
+      const evaluated = status === 'ok';
+      const fired = evaluated ? factor.checks.find(check => alertEngine.exceeds(value, check.limit, check.direction)) : null;
+      if (fired) {
+        status = 'fired';
+        recommendations.push(recommendationUtils.create(fired.recommendation, { [factor.metric]: value, limit: fired.limit }));
+        if (HEALTH_ALERT_RANK[fired.alertLevel] > HEALTH_ALERT_RANK[alertLevel]) alertLevel = fired.alertLevel;
+      } else if (evaluated && factor.otherwise) {
+        const limit = factor.checks[factor.checks.length - 1].limit;
+        recommendations.push(recommendationUtils.create(factor.otherwise, { [factor.metric]: value, limit }));
+      }
+
+      return {
+        id: factor.id,
+        metric: factor.metric,
+        unit: factor.unit,
+        requires: factor.requires || null,
+        value: Number.isFinite(value) ? value : null,
+        status,
+        impact: fired ? fired.impact : 0,
+        alertLevel: fired ? fired.alertLevel : 'safe',
+        checks: factor.checks.map(({ recommendation, ...check }) => ({ ...check, fired: check.id === fired?.id }))
+      };
+    });
+
+    const deductions = factors.reduce((sum, factor) => sum + factor.impact, 0);
+
+    return {
+      healthScore: Math.max(0, Math.min(100, 100 - deductions)),
+      recommendations,
+      alertLevel,
+      factors,
+      readings
+    };
+  }
+};
+
+// What-if analysis - custom scenarios go through healthModel with the live thresholds
+const WHAT_IF_MAX_SAVED = 6;
+const WHAT_IF_MAX_SWEEP_POINTS = 200;
+
+// CPU load assumed for each usage scenario, matching the device states the advisory API understands
+const WHAT_IF_USAGE_LOAD = {
+  idle: 10,
+  light: 30,
+  moderate: 50,
+  heavy: 75,
+  gaming: 95,
+  charging: 30
+};
+
+// Variables a sweep can vary, with their default ranges in °C or %
+const WHAT_IF_SWEEP_VARIABLES = {
+  ambientTemp: { label: 'whatIf.variable.ambientTemp', unit: 'temperature', from: 10, to: 45, step: 1 },
+  deviceTemp: { label: 'whatIf.variable.deviceTemp', unit: 'temperature', from: 25, to: 50, step: 0.5 },
+  batteryLevel: { label: 'whatIf.variable.batteryLevel', unit: 'percent', from: 0, to: 100, step: 5 },
+  cpuLoad: { label: 'whatIf.variable.cpuLoad', unit: 'percent', from: 0, to: 100, step: 5 }
+};
+
+const whatIfUtils = {
+  readings: (scenario) => ({
+    deviceTemp: scenario.deviceTemp,
+    charging: scenario.usage === 'charging',
+    batteryLevel: scenario.batteryLevel,
+    ambientTemp: scenario.ambientTemp,
+    cpuLoad: WHAT_IF_USAGE_LOAD[scenario.usage]
+  }),
+
+  // Risk levels in the vocabulary of the custom analysis badges
+  riskLevel: (alertLevel) => ({ danger: 'high', warning: 'medium' }[alertLevel] || 'low'),
+
+  analyze: (readings, settings) => {
+    const result = healthModel.evaluate(readings, settings);
+    return { ...result, riskLevel: whatIfUtils.riskLevel(result.alertLevel) };
+  },
+
+  // Health impact (100 minus the score) as one reading varies; the step grows to stay within the point limit
+  sweep: (readings, variable, from, to, settings) => {
+    const low = Math.min(from, to);
+    const high = Math.max(from, to);
+    const step = Math.max(WHAT_IF_SWEEP_VARIABLES[variable].step, (high - low) / (WHAT_IF_MAX_SWEEP_POINTS - 1));
+    const points = [];
+    for (let i = 0; low + i * step <= high + 1e-9; i++) {
+      const value = Math.round((low + i * step) * 100) / 100;
+      const result = healthModel.evaluate({ ...readings, [variable]: value }, settings);
+      points.push({ value, impact: 100 - result.healthScore, alertLevel: result.alertLevel });
+    }
+    return points;
+  },
+
+  // Returns an error message, or null when the saved scenario can be analyzed
+  validate: (scenario, t = i18n.create().t) => {
+    if (!scenario || typeof scenario !== 'object') return t('whatIf.error.object');
+    if (typeof scenario.id !== 'string' || !scenario.id) return t('whatIf.error.id');
+    if (typeof scenario.name !== 'string' || !scenario.name.trim()) return t('whatIf.error.name');
+    const invalid = ['deviceTemp', 'ambientTemp', 'batteryLevel'].find(field => !Number.isFinite(scenario[field]));
+    if (invalid) return t('whatIf.error.number', { field: invalid });
+    if (scenario.batteryLevel < 0 || scenario.batteryLevel > 100) {
+      return t('whatIf.error.range', { field: 'batteryLevel', min: 0, max: 100 });
+    }
+    if (!WHAT_IF_USAGE_LOAD[scenario.usage]) return t('whatIf.error.usage', { usage: String(scenario.usage) });
+    return null;
+  }
+};
+
+// ML Model for battery health analysis
+const useMLModel = (settings = DEFAULT_SETTINGS) => {
+  // Capacity-fade coefficients, as capacity lost in percentage points
+  const coefficients = useMemo(() => ({
+    temperatureWeight: -0.12, // log-rate change per °C around 25 °C (Ea ≈ 89 kJ/mol)
+    usageWeight: -0.08, // log-rate change per 10 points of charge above 50%
+    ageWeight: -0.05, // calendar fade per week at 25 °C and 50% charge
+    chargingCycleWeight: -0.03, // cycle fade per equivalent full cycle at 25 °C
+    intercept: 100 // capacity when new
+  }), []);
+
+  // Remaining capacity, folded forward from recorded history
+  const [capacity, setCapacity] = useState(() => capacityModel.summarize(capacityModel.load(), coefficients));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      let next = capacityModel.load();
+      // The first run reads all of history, so it is folded in batch by batch
+      await historyStore.iterate({
+        series: ['battery', 'deviceTemp'],
+        from: next.lastTimestamp === null ? 0 : next.lastTimestamp + 1
+      }, (samples) => {
+        // Only measured battery levels and live temperature estimates age the real battery
+        const usable = samples.filter(sample => sample.provenance === (sample.series === 'battery' ? 'real' : 'estimated'));
+        next = capacityModel.accumulate(next, usable, coefficients);
+      });
+      capacityModel.save(next);
+      if (!cancelled) setCapacity(capacityModel.summarize(next, coefficients));
+    };
+
+    refresh();
+    const interval = setInterval(refresh, CAPACITY_REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [coefficients]);
+
+  const generateRecommendations = useCallback((batteryData, weatherData, deviceTemp, performanceData) => {
+    const result = healthModel.evaluate(healthModel.readings(batteryData, weatherData, deviceTemp, performanceData), settings);
+
+    // Proactive advice for the coming hours; these do not affect the current score
+    const advisories = weatherData ? weatherUtils.getForecastAdvisories(weatherData.forecast, settings) : [];
+
+    return {
+      ...result,
+      recommendations: recommendationUtils.dedupe([...result.recommendations, ...advisories]),
+      lastUpdated: new Date()
+    };
+  }, [settings]);
+
+  return { generateRecommendations, capacity };
+};
+
+// Weather service utilities
+const weatherUtils = {
+  // WMO weather code, described in the catalogue as weather.code.<code>
+  getWeatherDescription: (code, format = i18n.create()) => (
+    format.has(`weather.code.${code}`) ? format.t(`weather.code.${code}`) : format.t('weather.code.unknown')
+  ),
+  
+  getWeatherIcon: (code) => {
+    if (code === 0 || code === 1) return '☀️';
+    if (code === 2 || code === 3) return '⛅';
+    if (code === 45 || code === 48) return '🌫️';
+    if (code >= 51 && code <= 65) return '🌧️';
+    if (code >= 71 && code <= 77) return '❄️';
+    if (code >= 95) return '⛈️';
+    return '🌤️';
+  },
+
+  // Forecast hours from now on
+  upcoming: (forecast, now = Date.now()) => (forecast || []).filter(hour => hour.time + 60 * 60 * 1000 > now),
+
+  formatHour: (time, format = i18n.create()) => format.time(time),
+
+  formatForecastTime: (time, format = i18n.create(), now = Date.now()) => {
+    const day = new Date(time).toDateString();
+    const today = new Date(now).toDateString();
+    const tomorrow = new Date(now + 24 * 60 * 60 * 1000).toDateString();
+    const when = day === today ? 'today' : day === tomorrow ? 'tomorrow' : 'date';
+    return format.t(`forecast.when.${when}`, { time: weatherUtils.formatHour(time, format), date: format.date(time) });
+  },
+
+  // Upcoming heat, cold and UV risks worth planning around
+  getForecastAdvisories: (forecast, settings, now = Date.now()) => {
+    const { create } = recommendationUtils;
+    const hours = weatherUtils.upcoming(forecast, now).filter(hour => hour.time > now);
+    const advisories = [];
+    const peak = (list, key) => list.reduce((best, hour) => (hour[key] > best[key] ? hour : best), list[0]);
+
+    const hot = hours.filter(hour => hour.temperature >= settings.ambientHigh);
+    if (hot.length > 0) {
+      const first = hot[0];
+      const hottest = peak(hot, 'temperature');
+      advisories.push(hottest === first
+        ? create('forecast-heat', { ambientTemp: first.temperature, time: first.time, limit: settings.ambientHigh })
+        : create('forecast-heat-peak', {
+          ambientTemp: first.temperature,
+          time: first.time,
+          peak: hottest.temperature,
+          peakTime: hottest.time,
+          limit: settings.ambientHigh
+        }));
+    }
+
+    const cold = hours.filter(hour => hour.temperature <= settings.ambientLow);
+    if (cold.length > 0) {
+      advisories.push(create('forecast-cold', { ambientTemp: cold[0].temperature, time: cold[0].time, limit: settings.ambientLow }));
+    }
+
+    const sunny = hours.filter(hour => hour.uvIndex >= 8);
+    if (sunny.length > 0) {
+      const strongest = peak(sunny, 'uvIndex');
+      advisories.push(create('forecast-uv', { uvIndex: strongest.uvIndex, time: strongest.time }));
+    }
+
+    return advisories;
+  }
+};
+
+// History store backed by IndexedDB - every sensor sample is persisted with its provenance
+const HISTORY_DB_NAME = 'thermosense-history';
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE_NAME = 'samples';
+const HISTORY_SERIES = ['battery', 'weather', 'performance', 'deviceTemp', 'alert'];
+// Samples older than this are pruned; the capacity model and usage profile keep their own totals
+const HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000;
+const HISTORY_PRUNE_INTERVAL = 6 * 60 * 60 * 1000;
+// An unchanged battery reading is re-recorded this often, well inside ANALYTICS_MAX_SAMPLE_GAP
+const HISTORY_BATTERY_HEARTBEAT = 60 * 1000;
+
+const historyStore = {
+  dbPromise: null,
+  listeners: new Set(),
+
+  open: () => {
+    if (historyStore.dbPromise) return historyStore.dbPromise;
+
+    historyStore.dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = window.indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(HISTORY_STORE_NAME)) {
+          const store = db.createObjectStore(HISTORY_STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('series_timestamp', ['series', 'timestamp']);
+          store.createIndex('timestamp', 'timestamp');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to retry if opening failed
+    historyStore.dbPromise.catch(() => {
+      historyStore.dbPromise = null;
+    });
+
+    return historyStore.dbPromise;
+  },
+
+  // Provenance of a sample: 'real', 'simulated', 'fallback' or 'manual'
+  getProvenance: (data) => {
+    if (data?.fallback) return 'fallback';
+    if (data?.simulated) return 'simulated';
+    if (data?.manual) return 'manual';
+    return 'real';
+  },
+
+  record: async (series, value, provenance = 'real', timestamp = Date.now()) => {
+    const sample = {
+      series,
+      value,
+      provenance,
+      timestamp: timestamp instanceof Date ? timestamp.getTime() : timestamp
+    };
+
+    try {
+      const db = await historyStore.open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        tx.objectStore(HISTORY_STORE_NAME).add(sample);
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+      historyStore.listeners.forEach(listener => listener(sample));
+      return { success: true };
+    } catch (error) {
+      console.error('History record error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Returns samples in ascending time order. With `limit`, only the most recent samples per series are kept.
+  query: async ({ series = HISTORY_SERIES, from = 0, to = Date.now(), limit } = {}) => {
+    const seriesList = Array.isArray(series) ? series : [series];
+
+    try {
+      const db = await historyStore.open();
+      const results = await Promise.all(seriesList.map(name => new Promise((resolve, reject) => {
+        const samples = [];
+        const tx = db.transaction(HISTORY_STORE_NAME, 'readonly');
+        const index = tx.objectStore(HISTORY_STORE_NAME).index('series_timestamp');
+        const range = IDBKeyRange.bound([name, from], [name, to]);
+        const request = index.openCursor(range, 'prev');
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (cursor && (!limit || samples.length < limit)) {
+            samples.push(cursor.value);
+            cursor.continue();
+          } else {
+            resolve(samples.reverse());
+          }
+        };
+        request.onerror = () => reject(request.error);
+      })));
+
+      return results.flat().sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      console.error('History query error:', error);
+      return [];
+    }
+  },
+
+  // Walks samples in ascending time order, one batch per transaction, so large ranges are never
+  // held in memory at once. The next batch is read after `onBatch` (which may be async) settles.
+  iterate: async ({ series = HISTORY_SERIES, from = 0, to = Date.now(), batchSize = 500 }, onBatch) => {
+    const seriesList = Array.isArray(series) ? series : [series];
+    let resumeAt = null;
+    let count = 0;
+
+    try {
+      const db = await historyStore.open();
+      while (true) {
+        const { samples, last, done } = await new Promise((resolve, reject) => {
+          const batch = [];
+          let lastKey = resumeAt;
+          const tx = db.transaction(HISTORY_STORE_NAME, 'readonly');
+          const index = tx.objectStore(HISTORY_STORE_NAME).index('timestamp');
+          const request = index.openCursor(IDBKeyRange.bound(resumeAt ? resumeAt.timestamp : from, to));
+
+          request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) {
+              resolve({ samples: batch, last: lastKey, done: true });
+              return;
+            }
+            // Samples sharing the resume timestamp were delivered up to the last primary key
+            if (resumeAt && cursor.key === resumeAt.timestamp && cursor.primaryKey <= resumeAt.id) {
+              cursor.continue();
+              return;
+            }
+            if (batch.length >= batchSize) {
+              resolve({ samples: batch, last: lastKey, done: false });
+              return;
+            }
+            if (seriesList.includes(cursor.value.series)) batch.push(cursor.value);
+            lastKey = { timestamp: cursor.key, id: cursor.primaryKey };
+            cursor.continue();
+          };
+          request.onerror = () => reject(request.error);
+        });
+
+        if (samples.length > 0) await onBatch(samples);
+        count += samples.length;
+        if (done) break;
+        resumeAt = last;
+      }
+      return { success: true, count };
+    } catch (error) {
+      console.error('History iterate error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Deletes every sample recorded before `before`
+  prune: async (before) => {
+    try {
+      const db = await historyStore.open();
+      const count = await new Promise((resolve, reject) => {
+        let deleted = 0;
+        const tx = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        const request = tx.objectStore(HISTORY_STORE_NAME).index('timestamp').openCursor(IDBKeyRange.upperBound(before, true));
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          cursor.delete();
+          deleted += 1;
+          cursor.continue();
+        };
+        tx.oncomplete = () => resolve(deleted);
+        tx.onerror = () => reject(tx.error);
+      });
+      return { success: true, count };
+    } catch (error) {
+      console.error('History prune error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  clear: async () => {
+    try {
+      const db = await historyStore.open();
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(HISTORY_STORE_NAME, 'readwrite');
+        tx.objectStore(HISTORY_STORE_NAME).clear();
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('History clear error:', error);
+      return { success: false, error: error.message };
+    }
+  },
+
+  subscribe: (listener) => {
+    historyStore.listeners.add(listener);
+    return () => historyStore.listeners.delete(listener);
+  }
+};
+
+// Custom hook for recording every sensor reading into the history store.
+// Replayed readings are already in the store, so they are not recorded again.
+const useHistoryRecorder = ({ batteryData, weatherData, performanceData, deviceTemp, deviceTempProvenance = 'estimated' }) => {
+  const lastBattery = useRef(null);
+
+  useEffect(() => {
+    const prune = () => historyStore.prune(Date.now() - HISTORY_RETENTION);
+    prune();
+    const interval = setInterval(prune, HISTORY_PRUNE_INTERVAL);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    if (!batteryData || batteryData.replayed) return;
+    // Every poll returns a new object, so only changes and a periodic heartbeat are recorded
+    const timestamp = batteryData.lastUpdate instanceof Date ? batteryData.lastUpdate.getTime() : (batteryData.lastUpdate ?? Date.now());
+    const provenance = historyStore.getProvenance(batteryData);
+    const last = lastBattery.current;
+    if (last && last.level === batteryData.level && last.charging === batteryData.charging &&
+      last.provenance === provenance && timestamp - last.timestamp < HISTORY_BATTERY_HEARTBEAT) return;
+
+    lastBattery.current = { level: batteryData.level, charging: batteryData.charging, provenance, timestamp };
+    historyStore.record('battery', batteryData, provenance, timestamp);
+  }, [batteryData]);
+
+  useEffect(() => {
+    if (weatherData && !weatherData.replayed) {
+      // The forecast describes the future, so only current conditions go into history
+      const { forecast, ...conditions } = weatherData;
+      historyStore.record('weather', conditions, historyStore.getProvenance(weatherData), weatherData.lastUpdate);
+    }
+  }, [weatherData]);
+
+  useEffect(() => {
+    if (performanceData?.timestamp && !performanceData.replayed) {
+      historyStore.record('performance', performanceData, historyStore.getProvenance(performanceData), performanceData.timestamp);
+    }
+  }, [performanceData]);
+
+  useEffect(() => {
+    if (typeof deviceTemp === 'number') {
+      // Device temperature is an estimate derived from the other sensors, or scripted by a scenario
+      historyStore.record('deviceTemp', deviceTemp, deviceTempProvenance);
+    }
+  }, [deviceTemp, deviceTempProvenance]);
+};
+
+// Charging session tracker - battery charging changes become sessions with their conditions
+// and a wear score; the charge cycle total comes from the capacity model
+const CHARGING_SESSIONS_STORAGE_KEY = 'thermosense-charging-sessions';
+const CHARGING_SESSIONS_LIMIT = 200;
+const CHARGING_SESSION_MIN_DURATION = 60 * 1000;
+
+const chargingSessionUtils = {
+  load: () => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(CHARGING_SESSIONS_STORAGE_KEY));
+      return { sessions: stored?.sessions || [], active: stored?.active || null };
+    } catch (error) {
+      console.error('Charging sessions load error:', error);
+      return { sessions: [], active: null };
+    }
+  },
+
+  save: (state) => {
+    localStorage.setItem(CHARGING_SESSIONS_STORAGE_KEY, JSON.stringify(state));
+  },
+
+  start: (level, timestamp, deviceTemp, ambient) => ({
+    id: timestamp,
+    startedAt: timestamp,
+    lastUpdate: timestamp,
+    startLevel: level,
+    endLevel: level,
+    peakTemp: deviceTemp,
+    ambientSum: ambient ?? 0,
+    ambientCount: ambient === null ? 0 : 1
+  }),
+
+  update: (active, level, timestamp, deviceTemp, ambient) => ({
+    ...active,
+    lastUpdate: timestamp,
+    endLevel: level,
+    peakTemp: deviceTemp === null ? active.peakTemp : Math.max(active.peakTemp ?? deviceTemp, deviceTemp),
+    ambientSum: active.ambientSum + (ambient ?? 0),
+    ambientCount: active.ambientCount + (ambient === null ? 0 : 1)
+  }),
+
+  // Wear score from 0 (gentle) to 100, with the reasons behind it
+  scoreImpact: (session, settings) => {
+    const format = i18n.create(settings);
+    const factors = [];
+    let score = 0;
+    const add = (points, reason) => {
+      if (points <= 0) return;
+      score += points;
+      factors.push(reason);
+    };
+
+    if (session.peakTemp !== null) {
+      add((session.peakTemp - settings.tempWarning + 5) * 5, format.t('session.factor.peak', { temperature: format.temp(session.peakTemp) }));
+    }
+    if (session.ambientTemp !== null && session.ambientTemp > settings.ambientHigh) {
+      add(15, format.t('session.factor.hotAmbient', { temperature: format.temp(session.ambientTemp) }));
+    }
+    add((session.endLevel - 90) * 2, format.t('session.factor.chargedTo', { level: format.percent(session.endLevel) }));
+    if (session.chargeRate !== null && session.peakTemp !== null && session.peakTemp > settings.tempWarning) {
+      add(Math.min(20, session.chargeRate / 5), format.t('session.factor.fastHot'));
+    }
+
+    const impactScore = Math.round(Math.min(100, score));
+    return {
+      impactScore,
+      impactLevel: impactScore >= 50 ? 'high' : impactScore >= 20 ? 'medium' : 'low',
+      impactFactors: factors
+    };
+  },
+
+  finish: (active, settings) => {
+    const duration = active.lastUpdate - active.startedAt;
+    const gained = active.endLevel - active.startLevel;
+    const session = {
+      id: active.id,
+      startedAt: active.startedAt,
+      endedAt: active.lastUpdate,
+      duration,
+      startLevel: active.startLevel,
+      endLevel: active.endLevel,
+      chargeRate: duration > 0 && gained > 0 ? Math.round(gained / (duration / 3600000) * 10) / 10 : null,
+      peakTemp: active.peakTemp,
+      ambientTemp: active.ambientCount > 0 ? Math.round(active.ambientSum / active.ambientCount * 10) / 10 : null,
+      equivalentCycles: capacityModel.cycles(active.startLevel, active.endLevel)
+    };
+    return { ...session, ...chargingSessionUtils.scoreImpact(session, settings) };
+  }
+};
+
+// Custom hook turning charging and level changes into persisted charging sessions.
+// Only real battery readings count; simulated, replayed and manual data are ignored.
+const useChargingSessions = ({ batteryData, deviceTemp, weatherData, settings }) => {
+  const [state, setState] = useState(chargingSessionUtils.load);
+  const latest = useRef({ deviceTemp, weatherData, settings });
+  latest.current = { deviceTemp, weatherData, settings };
+
+  useEffect(() => {
+    chargingSessionUtils.save(state);
+  }, [state]);
+
+  useEffect(() => {
+    if (!batteryData || historyStore.getProvenance(batteryData) !== 'real' || batteryData.replayed) return;
+    const { deviceTemp, weatherData, settings } = latest.current;
+    const timestamp = Date.now();
+    const temperature = typeof deviceTemp === 'number' ? deviceTemp : null;
+    const ambient = typeof weatherData?.temperature === 'number' ? weatherData.temperature : null;
+
+    setState(prev => {
+      let { sessions, active } = prev;
+
+      // A session interrupted by closing the app ends where its readings stopped
+      if (active && timestamp - active.lastUpdate > ANALYTICS_MAX_SAMPLE_GAP) {
+        if (active.lastUpdate - active.startedAt >= CHARGING_SESSION_MIN_DURATION) {
+          sessions = [chargingSessionUtils.finish(active, settings), ...sessions];
+        }
+        active = null;
+      }
+
+      if (batteryData.charging) {
+        active = active
+          ? chargingSessionUtils.update(active, batteryData.level, timestamp, temperature, ambient)
+          : chargingSessionUtils.start(batteryData.level, timestamp, temperature, ambient);
+      } else if (active) {
+        const ended = chargingSessionUtils.update(active, batteryData.level, timestamp, temperature, ambient);
+        if (ended.lastUpdate - ended.startedAt >= CHARGING_SESSION_MIN_DURATION) {
+          sessions = [chargingSessionUtils.finish(ended, settings), ...sessions];
+        }
+        active = null;
+      }
+
+      return { sessions: sessions.slice(0, CHARGING_SESSIONS_LIMIT), active };
+    });
+  }, [batteryData]);
+
+  const clearSessions = useCallback(() => {
+    setState({ sessions: [], active: null });
+  }, []);
+
+  return {
+    sessions: state.sessions,
+    activeSession: state.active,
+    clearSessions
+  };
+};
+
+// Smart charging planner - picks upcoming charging windows from the ambient forecast, the
+// hourly usage profile learned from recorded battery history and past charging sessions
+const USAGE_PROFILE_STORAGE_KEY = 'thermosense-usage-profile';
+const USAGE_PROFILE_REFRESH_INTERVAL = 30 * 60 * 1000;
+const USAGE_MIN_OBSERVED = 10 * 60 * 1000;
+const DEFAULT_DRAIN_RATE = 3; // %/h when nothing has been learned yet
+const DEFAULT_CHARGE_RATE = 40; // %/h without charging history
+const CHARGING_PLAN_HORIZON = 24;
+const CHARGING_PLAN_WINDOWS = 3;
+const CHARGING_TARGET_RANGE = [60, 90];
+const HOUR_MS = 60 * 60 * 1000;
+
+const chargingPlanner = {
+  createUsageState: () => ({
+    lastTimestamp: null,
+    lastLevel: null,
+    lastCharging: null,
+    hours: Array.from({ length: 24 }, () => ({ drain: 0, ms: 0 }))
+  }),
+
+  loadUsage: () => {
+    try {
+      return { ...chargingPlanner.createUsageState(), ...JSON.parse(localStorage.getItem(USAGE_PROFILE_STORAGE_KEY)) };
+    } catch (error) {
+      console.error('Usage profile load error:', error);
+      return chargingPlanner.createUsageState();
+    }
+  },
+
+  saveUsage: (state) => {
+    localStorage.setItem(USAGE_PROFILE_STORAGE_KEY, JSON.stringify(state));
+  },
+
+  // Folds new battery samples into discharge totals per hour of day
+  accumulateUsage: (state, samples) => {
+    const hours = state.hours.map(hour => ({ ...hour }));
+    let { lastTimestamp, lastLevel, lastCharging } = state;
+
+    samples.forEach(sample => {
+      const dt = lastTimestamp === null ? 0 : sample.timestamp - lastTimestamp;
+      if (dt > 0 && dt <= ANALYTICS_MAX_SAMPLE_GAP && lastCharging === false && !sample.value.charging) {
+        const hour = hours[new Date(lastTimestamp).getHours()];
+        hour.drain += Math.max(0, lastLevel - sample.value.level);
+        hour.ms += dt;
+      }
+      lastTimestamp = sample.timestamp;
+      lastLevel = sample.value.level;
+      lastCharging = Boolean(sample.value.charging);
+    });
+
+    return { lastTimestamp, lastLevel, lastCharging, hours };
+  },
+
+  // Expected drain in %/h for each hour of the day
+  usageRates: (state) => {
+    const observed = state.hours.filter(hour => hour.ms >= USAGE_MIN_OBSERVED);
+    const totalMs = observed.reduce((sum, hour) => sum + hour.ms, 0);
+    const overall = totalMs > 0
+      ? observed.reduce((sum, hour) => sum + hour.drain, 0) / (totalMs / HOUR_MS)
+      : DEFAULT_DRAIN_RATE;
+    return state.hours.map(hour => (hour.ms >= USAGE_MIN_OBSERVED ? hour.drain / (hour.ms / HOUR_MS) : overall));
+  },
+
+  typicalChargeRate: (sessions) => {
+    const rates = sessions.map(session => session.chargeRate).filter(rate => rate > 0).sort((a, b) => a - b);
+    return rates.length ? rates[Math.floor(rates.length / 2)] : DEFAULT_CHARGE_RATE;
+  },
+
+  // Share of past sessions started at each hour of the day
+  plugInHabits: (sessions) => {
+    const counts = Array(24).fill(0);
+    sessions.forEach(session => {
+      counts[new Date(session.startedAt).getHours()] += 1;
+    });
+    return counts.map(count => (sessions.length ? count / sessions.length : 0));
+  },
+
+  drainBetween: (rates, from, hours) => Array.from({ length: hours }, (_, i) => rates[new Date(from + i * HOUR_MS).getHours()])
+    .reduce((sum, rate) => sum + rate, 0),
+
+  ambientAt: (forecast, time, fallback) => {
+    const hour = (forecast || []).find(entry => time >= entry.time && time < entry.time + HOUR_MS);
+    return hour ? hour.temperature : fallback;
+  },
+
+  // Enough charge for the next 16 hours of typical use plus the low-battery reserve, without
+  // parking at 100% unless the day ahead needs it
+  targetLevel: (rates, from, settings) => {
+    const needed = chargingPlanner.drainBetween(rates, from, 16) + settings.batteryLow + 10;
+    const [min, max] = CHARGING_TARGET_RANGE;
+    if (needed > max) return Math.min(100, Math.ceil(needed / 5) * 5);
+    return Math.max(min, Math.ceil(needed / 5) * 5);
+  },
+
+  plan: ({ batteryData, weatherData, sessions, usage, settings, now = Date.now() }) => {
+    if (!batteryData) return null;
+
+    const format = i18n.create(settings);
+    const rates = chargingPlanner.usageRates(usage);
+    const chargeRate = chargingPlanner.typicalChargeRate(sessions);
+    const habits = chargingPlanner.plugInHabits(sessions);
+    const currentAmbient = weatherData?.temperature ?? THERMAL_DEFAULT_AMBIENT;
+    const firstHour = Math.ceil(now / HOUR_MS) * HOUR_MS;
+    const starts = [now, ...Array.from({ length: CHARGING_PLAN_HORIZON - 1 }, (_, i) => firstHour + i * HOUR_MS)];
+
+    const candidates = starts.map(start => {
+      // Battery level when the window opens, after typical use until then
+      const levelAtStart = batteryData.charging && start === now
+        ? batteryData.level
+        : batteryData.level - chargingPlanner.drainBetween(rates, now, Math.round((start - now) / HOUR_MS));
+      if (levelAtStart < settings.batteryLow && start !== now) return null;
+
+      const target = chargingPlanner.targetLevel(rates, start, settings);
+      // Already at or above the target when the window would open - nothing to charge
+      if (levelAtStart >= target) return null;
+      const hours = Math.max(1, Math.ceil((target - levelAtStart) / chargeRate));
+      const end = start + hours * HOUR_MS;
+      const ambients = Array.from({ length: hours }, (_, i) => chargingPlanner.ambientAt(weatherData?.forecast, start + i * HOUR_MS, currentAmbient));
+      const avgAmbient = ambients.reduce((sum, value) => sum + value, 0) / ambients.length;
+      const usageDuring = chargingPlanner.drainBetween(rates, start, hours) / hours;
+      const habit = habits[new Date(start).getHours()];
+
+      const cost = Math.max(0, avgAmbient - 20) * 2 +
+        Math.max(0, Math.max(...ambients) - settings.ambientHigh) * 5 +
+        usageDuring * 0.5 +
+        (start - now) / HOUR_MS * 0.3 -
+        Math.min(1, habit * 6) * 4;
+
+      const reasons = [];
+      if (avgAmbient <= 22) reasons.push(format.t('plan.reason.coolAmbient', { temperature: format.temp(avgAmbient, 0) }));
+      else if (avgAmbient >= settings.ambientHigh) reasons.push(format.t('plan.reason.hotAmbient', { temperature: format.temp(avgAmbient, 0) }));
+      if (usageDuring < rates.reduce((sum, rate) => sum + rate, 0) / 24) reasons.push(format.t('plan.reason.lightUsage'));
+      if (habit * 6 >= 1) reasons.push(format.t('plan.reason.habit'));
+      if (target === 100) reasons.push(format.t('plan.reason.longDay'));
+
+      return {
+        start,
+        end,
+        targetLevel: target,
+        levelAtStart: Math.max(0, Math.round(levelAtStart)),
+        avgAmbient: Math.round(avgAmbient * 10) / 10,
+        cost,
+        reasons
+      };
+    }).filter(Boolean);
+
+    // Best windows that do not overlap each other
+    const windows = [];
+    [...candidates].sort((a, b) => a.cost - b.cost).forEach(candidate => {
+      if (windows.length >= CHARGING_PLAN_WINDOWS) return;
+      if (windows.some(window => candidate.start < window.end && window.start < candidate.end)) return;
+      windows.push(candidate);
+    });
+
+    const targetNow = chargingPlanner.targetLevel(rates, now, settings);
+    return {
+      windows: windows.sort((a, b) => a.start - b.start),
+      best: windows.length ? [...windows].sort((a, b) => a.cost - b.cost)[0] : null,
+      targetLevel: targetNow,
+      chargeRate,
+      needsCharge: batteryData.level < targetNow,
+      generatedAt: now
+    };
+  }
+};
+
+// Custom hook keeping the charging plan current and reminding when the best window opens
+const useChargingPlan = ({ batteryData, weatherData, chargingSessions, settings, addNotification }) => {
+  const [usage, setUsage] = useState(chargingPlanner.loadUsage);
+  const [now, setNow] = useState(Date.now());
+  const remindedUntil = useRef(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = async () => {
+      let next = chargingPlanner.loadUsage();
+      // The first run covers two weeks of history, so it is folded in batch by batch
+      await historyStore.iterate({
+        series: 'battery',
+        from: next.lastTimestamp === null ? Date.now() - 14 * 24 * HOUR_MS : next.lastTimestamp + 1
+      }, (samples) => {
+        next = chargingPlanner.accumulateUsage(next, samples.filter(sample => sample.provenance === 'real'));
+      });
+      chargingPlanner.saveUsage(next);
+      if (!cancelled) setUsage(next);
+    };
+
+    refresh();
+    const interval = setInterval(refresh, USAGE_PROFILE_REFRESH_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  // Re-plan every minute so windows move forward with the clock
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const plan = useMemo(() => chargingPlanner.plan({
+    batteryData,
+    weatherData,
+    sessions: chargingSessions.sessions,
+    usage,
+    settings,
+    now
+  }), [batteryData, weatherData, chargingSessions.sessions, usage, settings, now]);
+
+  useEffect(() => {
+    if (!settings.enableChargingReminders || !plan?.best || !plan.needsCharge || batteryData?.charging) return;
+    const { best } = plan;
+    // One reminder per window
+    if (best.start > now + 60 * 1000 || now < remindedUntil.current) return;
+
+    remindedUntil.current = best.end;
+    const format = i18n.create(settings);
+    addNotification({
+      type: 'info',
+      message: format.t('plan.reminder', {
+        ambient: format.temp(best.avgAmbient, 0),
+        level: format.percent(best.targetLevel),
+        time: weatherUtils.formatHour(best.end, format)
+      })
+    });
+  }, [plan, now, settings, batteryData?.charging, addNotification]);
+
+  return plan;
+};
+
+// Analytics utilities - statistics computed from recorded history
+const ANALYTICS_RANGES = {
+  '1h': { label: 'analytics.range.1h', duration: 60 * 60 * 1000 },
+  '6h': { label: 'analytics.range.6h', duration: 6 * 60 * 60 * 1000 },
+  '24h': { label: 'analytics.range.24h', duration: 24 * 60 * 60 * 1000 },
+  '7d': { label: 'analytics.range.7d', duration: 7 * 24 * 60 * 60 * 1000 }
+};
+
+// Gaps longer than this (e.g. the app was closed) are not counted as monitored time
+const ANALYTICS_MAX_SAMPLE_GAP = 5 * 60 * 1000;
+const ANALYTICS_PROVENANCE = ['real', 'estimated'];
+
+const analyticsUtils = {
+  getAlertLevel: (temp, thresholds) => {
+    if (temp > thresholds.tempCritical) return 'danger';
+    if (temp > thresholds.tempWarning) return 'warning';
+    return 'safe';
+  },
+
+  formatDuration: (ms, { t } = i18n.create()) => {
+    const totalMinutes = Math.round(ms / 60000);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0
+      ? t('common.hoursMinutes', { hours: String(hours), minutes: String(minutes) })
+      : t('common.minutesShort', { minutes: String(minutes) });
+  },
+
+  // Running totals for computeStatistics, so long ranges can be folded in batch by batch
+  createStatistics: (thresholds = DEFAULT_SETTINGS) => ({
+    thresholds,
+    sampleCount: 0,
+    device: { count: 0, sum: 0, peak: null, previous: null, previousLevel: null },
+    thermalEvents: { warning: 0, danger: 0 },
+    timeInLevel: { safe: 0, warning: 0, danger: 0 },
+    rates: { drain: { level: 0, time: 0 }, charge: { level: 0, time: 0 } },
+    previousBattery: null,
+    ambient: { count: 0, sum: 0, latest: null },
+    delta: { count: 0, sum: 0, max: null }
+  }),
+
+  // Folds samples in ascending time order into the running totals. Only this device's own
+  // readings count; simulated ones run faster than their wall-clock timestamps.
+  accumulate: (state, samples) => {
+    const levelRank = { safe: 0, warning: 1, danger: 2 };
+    const { device, rates, ambient, delta } = state;
+
+    samples.forEach(sample => {
+      if (!ANALYTICS_PROVENANCE.includes(sample.provenance)) return;
+
+      if (sample.series === 'deviceTemp') {
+        // Device temperature averages and peaks
+        device.count += 1;
+        device.sum += sample.value;
+        device.peak = device.peak === null ? sample.value : Math.max(device.peak, sample.value);
+
+        // Thermal events (entering a higher alert level) and time spent per level
+        const level = analyticsUtils.getAlertLevel(sample.value, state.thresholds);
+        if (device.previous) {
+          state.timeInLevel[device.previousLevel] += Math.min(sample.timestamp - device.previous.timestamp, ANALYTICS_MAX_SAMPLE_GAP);
+          if (levelRank[level] > levelRank[device.previousLevel]) state.thermalEvents[level] += 1;
+        }
+        device.previous = sample;
+        device.previousLevel = level;
+
+        // Ambient vs device delta against the latest ambient reading
+        if (ambient.latest !== null) {
+          const difference = sample.value - ambient.latest;
+          delta.count += 1;
+          delta.sum += difference;
+          delta.max = delta.max === null ? difference : Math.max(delta.max, difference);
+        }
+      } else if (sample.series === 'battery') {
+        // Battery drain and charge rates in % per hour
+        const previous = state.previousBattery;
+        if (previous && sample.timestamp - previous.timestamp <= ANALYTICS_MAX_SAMPLE_GAP &&
+          previous.value.charging === sample.value.charging) {
+          const bucket = previous.value.charging ? rates.charge : rates.drain;
+          bucket.level += Math.abs(sample.value.level - previous.value.level);
+          bucket.time += sample.timestamp - previous.timestamp;
+        }
+        state.previousBattery = sample;
+      } else if (sample.series === 'weather') {
+        ambient.count += 1;
+        ambient.sum += sample.value.temperature;
+        ambient.latest = sample.value.temperature;
+      } else {
+        return;
+      }
+      state.sampleCount += 1;
+    });
+
+    return state;
+  },
+
+  summarize: (state) => {
+    const { device, timeInLevel, rates, ambient, delta } = state;
+    const toHourlyRate = (bucket) => bucket.time > 0 ? bucket.level / (bucket.time / 3600000) : null;
+
+    return {
+      sampleCount: state.sampleCount,
+      avgDeviceTemp: device.count ? device.sum / device.count : null,
+      peakDeviceTemp: device.peak,
+      thermalEvents: state.thermalEvents,
+      timeInLevel,
+      totalDuration: timeInLevel.safe + timeInLevel.warning + timeInLevel.danger,
+      drainRate: toHourlyRate(rates.drain),
+      chargeRate: toHourlyRate(rates.charge),
+      avgAmbientTemp: ambient.count ? ambient.sum / ambient.count : null,
+      avgAmbientDelta: delta.count ? delta.sum / delta.count : null,
+      maxAmbientDelta: delta.max
+    };
+  },
+
+  // Expects samples in ascending time order, as returned by historyStore.query
+  computeStatistics: (samples, thresholds = DEFAULT_SETTINGS) => analyticsUtils.summarize(
+    analyticsUtils.accumulate(analyticsUtils.createStatistics(thresholds), samples)
+  )
+};
+
+// Short-horizon temperature forecast - Holt's linear trend on the device's excess over ambient.
+// Ambient enters through the weather forecast, charging by restarting the fit whenever the charger
+// is connected or removed, and the trend is damped with the profile's thermal time constant
+// because temperatures settle rather than rise forever.
+const TEMP_FORECAST_WINDOW = 30 * 60 * 1000;
+const TEMP_FORECAST_HORIZON = 30; // minutes
+const TEMP_FORECAST_STEP = 5; // minutes between drawn points
+const TEMP_FORECAST_MIN_SAMPLES = 8;
+const TEMP_FORECAST_MIN_SPAN = 3 * 60 * 1000;
+const TEMP_FORECAST_ALPHA = 0.5;
+const TEMP_FORECAST_BETA = 0.2;
+const TEMP_FORECAST_Z = 1.64; // 90% band
+const TEMP_FORECAST_ALERT_LEAD = 15; // minutes
+
+const tempForecaster = {
+  // Device temperature samples paired with the ambient and charging state at the time
+  fromHistory: (samples) => {
+    let ambientTemp = null;
+    let charging = false;
+    const points = [];
+
+    samples.forEach(sample => {
+      if (sample.series === 'weather') ambientTemp = sample.value?.temperature ?? ambientTemp;
+      else if (sample.series === 'battery') charging = Boolean(sample.value?.charging);
+      else if (sample.series === 'deviceTemp') {
+        points.push({ timestamp: sample.timestamp, deviceTemp: sample.value, ambientTemp: ambientTemp ?? THERMAL_DEFAULT_AMBIENT, charging });
+      }
+    });
+    return points;
+  },
+
+  // Holt's level and trend per minute on irregularly spaced points, with the one-step error variance
+  fit: (points) => {
+    let level = points[0].deviceTemp - points[0].ambientTemp;
+    let trend = 0;
+    let squaredErrors = 0;
+    let steps = 0;
+
+    for (let i = 1; i < points.length; i++) {
+      const dt = (points[i].timestamp - points[i - 1].timestamp) / 60000;
+      if (dt <= 0) continue;
+      const excess = points[i].deviceTemp - points[i].ambientTemp;
+      const predicted = level + trend * dt;
+      squaredErrors += (excess - predicted) ** 2 / dt;
+      steps += 1;
+      const nextLevel = TEMP_FORECAST_ALPHA * excess + (1 - TEMP_FORECAST_ALPHA) * predicted;
+      trend = TEMP_FORECAST_BETA * (nextLevel - level) / dt + (1 - TEMP_FORECAST_BETA) * trend;
+      level = nextLevel;
+    }
+
+    return { level, trend, variance: steps > 1 ? squaredErrors / (steps - 1) : 0 };
+  },
+
+  // Projection for the next TEMP_FORECAST_HORIZON minutes, or null without enough recent history
+  project: ({ points, weatherData, settings, now = Date.now() }) => {
+    const recent = points.filter(point => point.timestamp >= now - TEMP_FORECAST_WINDOW && point.timestamp <= now);
+    const last = recent[recent.length - 1];
+    if (!last) return null;
+
+    // Only the current charging state is fitted
+    let start = recent.length - 1;
+    while (start > 0 && recent[start - 1].charging === last.charging) start--;
+    const segment = recent.slice(start);
+    if (segment.length < TEMP_FORECAST_MIN_SAMPLES || last.timestamp - segment[0].timestamp < TEMP_FORECAST_MIN_SPAN) return null;
+
+    const { level, trend, variance } = tempForecaster.fit(segment);
+    const profile = THERMAL_PROFILES[settings.deviceProfile] || THERMAL_PROFILES.phone;
+    const tau = profile.timeConstant / 60;
+    const ambientNow = weatherData?.temperature ?? last.ambientTemp;
+    const sigma = Math.sqrt(variance);
+
+    const at = (minutes) => {
+      const timestamp = last.timestamp + minutes * 60000;
+      const ambient = chargingPlanner.ambientAt(weatherData?.forecast, timestamp, ambientNow);
+      const value = ambient + level + trend * tau * (1 - Math.exp(-minutes / tau));
+      // Forecast variance of Holt's method h steps ahead
+      const spread = sigma * Math.sqrt(1 + (minutes - 1) * (
+        TEMP_FORECAST_ALPHA ** 2 +
+        TEMP_FORECAST_ALPHA * TEMP_FORECAST_BETA * minutes +
+        TEMP_FORECAST_BETA ** 2 * minutes * (2 * minutes - 1) / 6
+      ));
+      const band = TEMP_FORECAST_Z * spread;
+      return { minutes, timestamp, value, lower: value - band, upper: value + band };
+    };
+
+    const minutes = Array.from({ length: TEMP_FORECAST_HORIZON }, (_, i) => i + 1);
+    const crossing = (limit, edge = 'value') => (last.deviceTemp > limit ? null : minutes.find(minute => at(minute)[edge] > limit) ?? null);
+
+    return {
+      generatedAt: last.timestamp,
+      current: last.deviceTemp,
+      charging: last.charging,
+      trend,
+      samples: segment.length,
+      points: minutes.filter(minute => minute % TEMP_FORECAST_STEP === 0).map(at),
+      crossings: { warning: crossing(settings.tempWarning), critical: crossing(settings.tempCritical) },
+      // When even the lower edge of the band crosses, the crossing is fairly certain
+      lowerCrossings: { warning: crossing(settings.tempWarning, 'lower'), critical: crossing(settings.tempCritical, 'lower') }
+    };
+  }
+};
+
+// Custom hook keeping a rolling window of device temperature readings and projecting it forward.
+// The fit runs on wall-clock time, so it is paused while simulated readings are coming in.
+const useTemperatureForecast = ({ batteryData, weatherData, deviceTemp, settings, paused = false }) => {
+  const points = useRef([]);
+  const [version, setVersion] = useState(0);
+
+  // Seed from history so a projection is available soon after a reload
+  useEffect(() => {
+    let cancelled = false;
+    historyStore.query({ series: ['deviceTemp', 'weather', 'battery'], from: Date.now() - TEMP_FORECAST_WINDOW }).then(samples => {
+      if (cancelled) return;
+      const first = points.current[0];
+      const seeded = tempForecaster.fromHistory(samples.filter(sample => sample.provenance !== 'simulated'))
+        .filter(point => !first || point.timestamp < first.timestamp);
+      points.current = [...seeded, ...points.current];
+      setVersion(prev => prev + 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (paused || typeof deviceTemp !== 'number') return;
+    const now = Date.now();
+    points.current = [
+      ...points.current.filter(point => point.timestamp >= now - TEMP_FORECAST_WINDOW),
+      {
+        timestamp: now,
+        deviceTemp,
+        ambientTemp: weatherData?.temperature ?? THERMAL_DEFAULT_AMBIENT,
+        charging: Boolean(batteryData?.charging)
+      }
+    ];
+    setVersion(prev => prev + 1);
+  }, [deviceTemp, paused]);
+
+  return useMemo(
+    () => (paused ? null : tempForecaster.project({ points: points.current, weatherData, settings })),
+    [version, weatherData, settings, paused]
+  );
+};
+
+// Time-to-threshold estimates - a least-squares slope over recent battery levels extrapolated in
+// a straight line to each limit. Temperature limits come from the temperature forecast instead,
+// which accounts for the device settling, so the dashboard and chart give the same times.
+const ETA_BATTERY_WINDOW = 60 * 60 * 1000;
+const ETA_BATTERY_MIN_SPAN = 10 * 60 * 1000;
+const ETA_MIN_SAMPLES = 5;
+const ETA_MAX_MINUTES = 48 * 60; // a straight line says nothing useful beyond this
+// Slope standard error relative to the slope, highest level first
+const ETA_CONFIDENCE_LEVELS = [
+  { level: 'high', maxError: 0.1 },
+  { level: 'medium', maxError: 0.3 }
+];
+
+const etaEstimator = {
+  // Slope per minute, the fitted value at `now` and the slope's standard error
+  fit: (points, now) => {
+    const origin = points[0].timestamp;
+    const xs = points.map(point => (point.timestamp - origin) / 60000);
+    const ys = points.map(point => point.value);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+    if (variance === 0) return null;
+
+    const slope = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / variance;
+    const intercept = meanY - slope * meanX;
+    const residuals = xs.reduce((sum, x, i) => sum + (ys[i] - intercept - slope * x) ** 2, 0);
+    return {
+      slope,
+      value: intercept + slope * (now - origin) / 60000,
+      standardError: Math.sqrt(residuals / Math.max(1, xs.length - 2) / variance)
+    };
+  },
+
+  // Minutes until the trend reaches `target`, or null when it is moving away or the data is too thin.
+  // Confidence drops a level when the readings cover less than twice the minimum span.
+  estimate: (points, target, { minSpan, now = Date.now() }) => {
+    if (points.length < ETA_MIN_SAMPLES) return null;
+    const span = points[points.length - 1].timestamp - points[0].timestamp;
+    if (span < minSpan) return null;
+    const fit = etaEstimator.fit(points, now);
+    if (!fit || fit.slope === 0) return null;
+
+    const minutes = (target - fit.value) / fit.slope;
+    if (minutes < 0 || minutes > ETA_MAX_MINUTES) return null;
+
+    const relativeError = fit.standardError / Math.abs(fit.slope);
+    let rank = ETA_CONFIDENCE_LEVELS.findIndex(({ maxError }) => relativeError <= maxError);
+    if (rank === -1) rank = ETA_CONFIDENCE_LEVELS.length;
+    if (span < minSpan * 2) rank = Math.min(rank + 1, ETA_CONFIDENCE_LEVELS.length);
+
+    return {
+      minutes: Math.round(minutes),
+      rate: fit.slope,
+      confidence: ETA_CONFIDENCE_LEVELS[rank]?.level ?? 'low'
+    };
+  },
+
+  // Time to full while charging, to empty and to the low-battery level while discharging.
+  // Only readings since the charger was last connected or removed are used.
+  battery: (points, settings, now = Date.now()) => {
+    const recent = points.filter(point => point.timestamp >= now - ETA_BATTERY_WINDOW);
+    const last = recent[recent.length - 1];
+    if (!last) return { full: null, empty: null, low: null };
+
+    let start = recent.length - 1;
+    while (start > 0 && recent[start - 1].charging === last.charging) start--;
+    const segment = recent.slice(start);
+    const options = { minSpan: ETA_BATTERY_MIN_SPAN, now };
+
+    return {
+      full: last.charging ? etaEstimator.estimate(segment, 100, options) : null,
+      empty: last.charging ? null : etaEstimator.estimate(segment, 0, options),
+      low: !last.charging && last.value > settings.batteryLow ? etaEstimator.estimate(segment, settings.batteryLow, options) : null
+    };
+  },
+
+  // Time until the projected temperature reaches the warning and critical limits, within the
+  // forecast horizon. Confidence is high when the whole band crosses, and drops a level when the
+  // projection rests on few readings.
+  temperature: (forecast) => {
+    const until = (limit) => {
+      const minutes = forecast?.crossings[limit] ?? null;
+      if (minutes === null) return null;
+      let rank = forecast.lowerCrossings[limit] !== null ? 0 : 1;
+      if (forecast.samples < TEMP_FORECAST_MIN_SAMPLES * 2) rank += 1;
+      return { minutes, rate: forecast.trend, confidence: ETA_CONFIDENCE_LEVELS[rank]?.level ?? 'low' };
+    };
+
+    return { warning: until('warning'), critical: until('critical') };
+  }
+};
+
+// Custom hook keeping recent battery readings and estimating the time to each limit. Paused,
+// like the temperature forecast, while the simulator runs ahead of the wall clock.
+const useEtaEstimates = ({ batteryData, tempForecast, settings, paused = false }) => {
+  const batteryPoints = useRef([]);
+  const [version, setVersion] = useState(0);
+
+  // Seed from history so estimates are available soon after a reload
+  useEffect(() => {
+    let cancelled = false;
+    historyStore.query({ series: ['battery'], from: Date.now() - ETA_BATTERY_WINDOW }).then(samples => {
+      if (cancelled) return;
+      const first = batteryPoints.current[0];
+      const seeded = samples
+        .filter(sample => sample.provenance === 'real' && (!first || sample.timestamp < first.timestamp))
+        .map(sample => ({ timestamp: sample.timestamp, value: sample.value.level, charging: Boolean(sample.value.charging) }));
+      batteryPoints.current = [...seeded, ...batteryPoints.current];
+      setVersion(prev => prev + 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (paused || typeof batteryData?.level !== 'number') return;
+    const now = Date.now();
+    batteryPoints.current = [
+      ...batteryPoints.current.filter(point => point.timestamp >= now - ETA_BATTERY_WINDOW),
+      { timestamp: now, value: batteryData.level, charging: Boolean(batteryData.charging) }
+    ];
+    setVersion(prev => prev + 1);
+  }, [batteryData, paused]);
+
+  const battery = useMemo(
+    () => (paused ? etaEstimator.battery([], settings) : etaEstimator.battery(batteryPoints.current, settings)),
+    [version, settings, paused]
+  );
+  const temperature = useMemo(() => etaEstimator.temperature(tempForecast), [tempForecast]);
+  return useMemo(() => ({ battery, temperature }), [battery, temperature]);
+};
+
+// Alert rule engine - threshold, rate-of-change and duration rules evaluated on every reading
+const ALERT_HISTORY_WINDOW = 10 * 60 * 1000;
+
+// Settings toggle that enables each rule category
+const ALERT_CATEGORY_TOGGLES = {
+  temperature: 'enableTempAlerts',
+  battery: 'enableBatteryAlerts',
+  weather: 'enableWeatherAlerts'
+};
+
+const buildAlertRules = (settings, { t, temp, tempDelta, percent } = i18n.create(settings)) => [
+  {
+    id: 'temp-critical',
+    type: 'threshold',
+    category: 'temperature',
+    severity: 'critical',
+    metric: (reading) => reading.deviceTemp,
+    direction: 'above',
+    threshold: settings.tempCritical,
+    hysteresis: 1,
+    cooldown: 5 * 60 * 1000,
+    message: (value) => t('alert.tempCritical', { value: temp(value), limit: temp(settings.tempCritical) }),
+    recoveryMessage: (value) => t('alert.tempCriticalRecovered', { value: temp(value) })
+  },
+  {
+    id: 'temp-warning',
+    type: 'threshold',
+    category: 'temperature',
+    severity: 'warning',
+    metric: (reading) => reading.deviceTemp,
+    direction: 'above',
+    threshold: settings.tempWarning,
+    hysteresis: 1,
+    cooldown: 10 * 60 * 1000,
+    suppressedBy: ['temp-critical'],
+    message: (value) => t('alert.tempWarning', { value: temp(value), limit: temp(settings.tempWarning) })
+  },
+  {
+    id: 'temp-rising-fast',
+    type: 'rate',
+    category: 'temperature',
+    severity: 'warning',
+    metric: (reading) => reading.deviceTemp,
+    direction: 'above',
+    threshold: 1,
+    window: 2 * 60 * 1000,
+    hysteresis: 0.5,
+    cooldown: 10 * 60 * 1000,
+    message: (value) => t('alert.tempRising', { rate: tempDelta(value) })
+  },
+  {
+    id: 'temp-sustained',
+    type: 'duration',
+    category: 'temperature',
+    severity: 'critical',
+    metric: (reading) => reading.deviceTemp,
+    direction: 'above',
+    threshold: (settings.tempWarning + settings.tempCritical) / 2,
+    duration: 5 * 60 * 1000,
+    hysteresis: 1,
+    cooldown: 15 * 60 * 1000,
+    message: () => t('alert.tempSustained', { limit: temp((settings.tempWarning + settings.tempCritical) / 2), minutes: 5 })
+  },
+  {
+    id: 'temp-projected-critical',
+    type: 'threshold',
+    category: 'temperature',
+    severity: 'warning',
+    metric: (reading) => reading.tempForecast?.crossings.critical ?? null,
+    direction: 'below',
+    threshold: TEMP_FORECAST_ALERT_LEAD,
+    hysteresis: 3,
+    cooldown: 10 * 60 * 1000,
+    suppressedBy: ['temp-critical'],
+    message: (minutes) => t('alert.tempProjected', { limit: temp(settings.tempCritical), minutes })
+  },
+  {
+    id: 'temp-projected-warning',
+    type: 'threshold',
+    category: 'temperature',
+    severity: 'info',
+    metric: (reading) => reading.tempForecast?.crossings.warning ?? null,
+    direction: 'below',
+    threshold: TEMP_FORECAST_ALERT_LEAD,
+    hysteresis: 3,
+    cooldown: 15 * 60 * 1000,
+    suppressedBy: ['temp-critical', 'temp-warning', 'temp-projected-critical'],
+    message: (minutes) => t('alert.tempProjected', { limit: temp(settings.tempWarning), minutes })
+  },
+  {
+    id: 'charging-hot',
+    type: 'threshold',
+    category: 'battery',
+    severity: 'warning',
+    metric: (reading) => reading.charging ? reading.deviceTemp : null,
+    direction: 'above',
+    threshold: settings.tempWarning,
+    hysteresis: 1,
+    cooldown: 15 * 60 * 1000,
+    message: (value) => t('alert.chargingHot', { value: temp(value) })
+  },
+  {
+    id: 'battery-critical',
+    type: 'threshold',
+    category: 'battery',
+    severity: 'critical',
+    metric: (reading) => reading.charging ? null : reading.batteryLevel,
+    direction: 'below',
+    threshold: 5,
+    hysteresis: 2,
+    cooldown: 10 * 60 * 1000,
+    message: (value) => t('alert.batteryCritical', { level: percent(value) })
+  },
+  {
+    id: 'battery-low',
+    type: 'threshold',
+    category: 'battery',
+    severity: 'warning',
+    metric: (reading) => reading.charging ? null : reading.batteryLevel,
+    direction: 'below',
+    threshold: settings.batteryLow,
+    hysteresis: 2,
+    cooldown: 30 * 60 * 1000,
+    suppressedBy: ['battery-critical'],
+    message: (value) => t('alert.batteryLow', { level: percent(value) })
+  },
+  {
+    id: 'ambient-hot',
+    type: 'threshold',
+    category: 'weather',
+    severity: 'warning',
+    metric: (reading) => reading.ambientTemp,
+    direction: 'above',
+    threshold: settings.ambientHigh,
+    hysteresis: 1,
+    cooldown: 60 * 60 * 1000,
+    message: (value) => t('alert.ambientHot', { value: temp(value) })
+  },
+  {
+    id: 'ambient-cold',
+    type: 'threshold',
+    category: 'weather',
+    severity: 'info',
+    metric: (reading) => reading.ambientTemp,
+    direction: 'below',
+    threshold: settings.ambientLow,
+    hysteresis: 1,
+    cooldown: 60 * 60 * 1000,
+    message: (value) => t('alert.ambientCold', { value: temp(value) })
+  }
+];
+
+const alertEngine = {
+  createState: () => ({ history: [], rules: {} }),
+
+  exceeds: (value, limit, direction) => direction === 'above' ? value > limit : value < limit,
+
+  // Change per minute between the oldest reading in the rule window and the current one
+  computeRate: (history, rule, reading) => {
+    const windowStart = reading.timestamp - rule.window;
+    const oldest = history.find(entry => entry.timestamp >= windowStart && typeof rule.metric(entry) === 'number');
+    const current = rule.metric(reading);
+    if (!oldest || typeof current !== 'number') return null;
+
+    // Require at least half the window to be covered before trusting the slope
+    const elapsed = reading.timestamp - oldest.timestamp;
+    if (elapsed < rule.window / 2) return null;
+
+    return (current - rule.metric(oldest)) / (elapsed / 60000);
+  },
+
+  // The values the rules see for one moment of readings
+  reading: ({ batteryData, weatherData, deviceTemp, tempForecast = null }, timestamp) => ({
+    timestamp,
+    deviceTemp,
+    ambientTemp: weatherData?.temperature,
+    batteryLevel: batteryData?.level,
+    charging: batteryData?.charging,
+    tempForecast
+  }),
+
+  // Returns the next engine state, the alerts to emit and rules whose active state changed; rules that are disabled are reset
+  evaluate: (state, rules, reading, settings) => {
+    const history = [...state.history, reading].filter(entry => entry.timestamp >= reading.timestamp - ALERT_HISTORY_WINDOW);
+    const ruleStates = {};
+    const alerts = [];
+    const transitions = [];
+
+    rules.forEach(rule => {
+      const previous = state.rules[rule.id] || { active: false, since: null, lastFired: null };
+      const enabled = settings[ALERT_CATEGORY_TOGGLES[rule.category]] !== false;
+      const value = rule.type === 'rate'
+        ? alertEngine.computeRate(state.history, rule, reading)
+        : rule.metric(reading);
+
+      if (!enabled || typeof value !== 'number') {
+        ruleStates[rule.id] = { active: false, since: null, lastFired: previous.lastFired };
+        return;
+      }
+
+      // Hysteresis: once pending or active, the condition holds until the value clears the limit by the margin
+      const holding = previous.active || previous.since !== null;
+      const limit = holding
+        ? rule.threshold + (rule.direction === 'above' ? -rule.hysteresis : rule.hysteresis)
+        : rule.threshold;
+
+      if (!alertEngine.exceeds(value, limit, rule.direction)) {
+        if (previous.active && rule.recoveryMessage) {
+          alerts.push({ ruleId: rule.id, type: 'info', message: rule.recoveryMessage(value) });
+        }
+        ruleStates[rule.id] = { active: false, since: null, lastFired: previous.lastFired };
+        return;
+      }
+
+      const since = previous.since ?? reading.timestamp;
+      const satisfied = rule.type !== 'duration' || reading.timestamp - since >= rule.duration;
+      const next = { active: previous.active, since, lastFired: previous.lastFired };
+
+      // A suppressed rule stays pending, so it still fires if the suppressing rule clears first
+      const suppressed = (rule.suppressedBy || []).some(id => ruleStates[id]?.active);
+      if (satisfied && !previous.active && !suppressed) {
+        next.active = true;
+        const coolingDown = previous.lastFired !== null && reading.timestamp - previous.lastFired < rule.cooldown;
+        if (!coolingDown) {
+          alerts.push({ ruleId: rule.id, type: rule.severity, message: rule.message(value) });
+          next.lastFired = reading.timestamp;
+        }
+      }
+
+      ruleStates[rule.id] = next;
+    });
+
+    rules.forEach(rule => {
+      const wasActive = Boolean(state.rules[rule.id]?.active);
+      if (ruleStates[rule.id].active !== wasActive) {
+        transitions.push({ ruleId: rule.id, severity: rule.severity, active: ruleStates[rule.id].active });
+      }
+    });
+
+    return { state: { history, rules: ruleStates }, alerts, transitions };
+  }
+};
+
+// Custom hook that runs the alert rules on each reading and raises notifications.
+// `clock` supplies reading timestamps when they are not wall-clock time and changing
+// `resetKey` starts evaluation from a clean state.
+const useAlertEngine = ({ batteryData, weatherData, deviceTemp, tempForecast = null, settings, addNotification, onTransition, clock, resetKey }) => {
+  const engineState = useRef(alertEngine.createState());
+  const rules = useMemo(() => buildAlertRules(settings), [settings]);
+  const callbacks = useRef({});
+  callbacks.current = { onTransition, clock };
+
+  useEffect(() => {
+    engineState.current = alertEngine.createState();
+  }, [resetKey]);
+
+  useEffect(() => {
+    const reading = alertEngine.reading(
+      { batteryData, weatherData, deviceTemp, tempForecast },
+      callbacks.current.clock ? callbacks.current.clock() : Date.now()
+    );
+
+    const { state, alerts, transitions } = alertEngine.evaluate(engineState.current, rules, reading, settings);
+    engineState.current = state;
+
+    alerts.forEach(alert => {
+      addNotification({
+        type: alert.type,
+        message: alert.message,
+        source: 'alert-engine',
+        ruleId: alert.ruleId
+      });
+    });
+
+    if (callbacks.current.onTransition) {
+      transitions.forEach(transition => callbacks.current.onTransition(transition));
+    }
+  }, [batteryData, weatherData, deviceTemp, tempForecast, rules, settings, addNotification, resetKey]);
+};
+
+// Alert delivery - system notifications and synthesized alert tones
+const ALERT_TONES = {
+  warning: [
+    { frequency: 660, start: 0, duration: 0.18 },
+    { frequency: 660, start: 0.3, duration: 0.18 }
+  ],
+  critical: [
+    { frequency: 880, start: 0, duration: 0.12 },
+    { frequency: 1175, start: 0.15, duration: 0.12 },
+    { frequency: 880, start: 0.3, duration: 0.12 },
+    { frequency: 1175, start: 0.45, duration: 0.12 }
+  ]
+};
+
+const alertDelivery = {
+  audioContext: null,
+
+  // Quiet hours may wrap past midnight, e.g. 22:00-07:00
+  isQuietHours: (settings, date = new Date()) => {
+    if (!settings.quietHoursEnabled) return false;
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+    const now = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(settings.quietHoursStart);
+    const end = toMinutes(settings.quietHoursEnd);
+
+    if (start === end) return false;
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  },
+
+  getPermission: () => ('Notification' in window ? Notification.permission : 'unsupported'),
+
+  requestPermission: async () => {
+    if (!('Notification' in window)) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+    return await Notification.requestPermission();
+  },
+
+  playTone: (severity) => {
+    const tones = ALERT_TONES[severity];
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!tones || !AudioContextClass) return;
+
+    try {
+      if (!alertDelivery.audioContext) {
+        alertDelivery.audioContext = new AudioContextClass();
+      }
+      const ctx = alertDelivery.audioContext;
+      if (ctx.state === 'suspended') ctx.resume();
+
+      tones.forEach(tone => {
+        const oscillator = ctx.createOscillator();
+        const gain = ctx.createGain();
+        const startAt = ctx.currentTime + tone.start;
+
+        oscillator.type = severity === 'critical' ? 'square' : 'sine';
+        oscillator.frequency.setValueAtTime(tone.frequency, startAt);
+        gain.gain.setValueAtTime(0.0001, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.2, startAt + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startAt + tone.duration);
+
+        oscillator.connect(gain);
+        gain.connect(ctx.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + tone.duration + 0.05);
+      });
+    } catch (error) {
+      console.error('Alert tone error:', error);
+    }
+  },
+
+  showSystemNotification: (notification) => {
+    if (alertDelivery.getPermission() !== 'granted') return;
+
+    try {
+      const systemNotification = new Notification('ThermoSense', {
+        body: notification.message,
+        tag: notification.ruleId || String(notification.id),
+        requireInteraction: notification.type === 'critical'
+      });
+      systemNotification.onclick = () => {
+        window.focus();
+        systemNotification.close();
+      };
+    } catch (error) {
+      console.error('System notification error:', error);
+    }
+  },
+
+  // Plays one tone for the most severe alert in the batch and shows each as a system notification
+  deliver: (notifications, settings) => {
+    const alerts = notifications.filter(n => n.type === 'warning' || n.type === 'critical');
+    if (alerts.length === 0 || alertDelivery.isQuietHours(settings)) return;
+
+    if (settings.enableSoundAlerts) {
+      alertDelivery.playTone(alerts.some(n => n.type === 'critical') ? 'critical' : 'warning');
+    }
+    // In-page notifications already cover the visible tab
+    if (settings.enableSystemNotifications && document.visibilityState === 'hidden') {
+      alerts.forEach(alertDelivery.showSystemNotification);
+    }
+  }
+};
+
+// Custom hook that delivers new rule engine alerts as sounds and system notifications
+const useAlertDelivery = ({ notifications, settings }) => {
+  const seenIds = useRef(new Set());
+
+  useEffect(() => {
+    // Ids rather than a position, since older entries drop off the end of the capped list
+    const fresh = notifications.filter(n => !seenIds.current.has(n.id));
+    seenIds.current = new Set(notifications.map(n => n.id));
+    if (fresh.length === 0) return;
+
+    // Replayed alerts are reviewed in-page only
+    alertDelivery.deliver(fresh.filter(n => n.source === 'alert-engine' && !n.replay), settings);
+  }, [notifications, settings]);
+};
+
+// Anomaly detection - recorded samples are scored against a learned profile of normal behaviour
+// per usage state and time of day. EWMA mean and variance give a z-score for sudden spikes, and a
+// CUSUM of the z-scores catches smaller shifts that persist.
+const ANOMALY_STORAGE_KEY = 'thermosense-anomaly-profile';
+const ANOMALY_ALPHA = 0.05;
+const ANOMALY_MIN_OBSERVATIONS = 30;
+const ANOMALY_Z_THRESHOLD = 3.5;
+const ANOMALY_CUSUM_DRIFT = 0.5;
+const ANOMALY_CUSUM_LIMIT = 8;
+const ANOMALY_RATE_WINDOW = 2 * 60 * 1000;
+const ANOMALY_DRAIN_WINDOW = 30 * 60 * 1000;
+const ANOMALY_COOLDOWN = 15 * 60 * 1000;
+const ANOMALY_HISTORY_LIMIT = 100;
+const ANOMALY_HISTORY_AGE = 7 * 24 * 60 * 60 * 1000;
+const ANOMALY_HOURS_PER_BLOCK = 4;
+const ANOMALY_SAVE_INTERVAL = 60 * 1000;
+
+// Only readings from this device are checked and learned from. Simulated readings run on
+// simulated time against wall-clock timestamps, so they would skew the rates in both directions.
+const ANOMALY_PROVENANCE = ['real', 'estimated'];
+
+// minDeviation keeps near-constant metrics from turning tiny wobbles into huge z-scores
+const ANOMALY_METRICS = {
+  tempRate: { label: 'anomaly.metric.tempRate', minDeviation: 0.2 },
+  deviceTemp: { label: 'anomaly.metric.deviceTemp', minDeviation: 0.5 },
+  drainRate: { label: 'anomaly.metric.drainRate', minDeviation: 1 }
+};
+
+const anomalyDetector = {
+  createState: () => ({
+    last: {},
+    context: { cpuLoad: 0, charging: false },
+    recentTemps: [],
+    drainAnchor: null,
+    profile: {},
+    cusum: {},
+    lastAnomaly: {},
+    anomalies: []
+  }),
+
+  load: () => {
+    try {
+      return { ...anomalyDetector.createState(), ...JSON.parse(localStorage.getItem(ANOMALY_STORAGE_KEY)) };
+    } catch (error) {
+      console.error('Anomaly profile load error:', error);
+      return anomalyDetector.createState();
+    }
+  },
+
+  save: (state) => {
+    localStorage.setItem(ANOMALY_STORAGE_KEY, JSON.stringify(state));
+  },
+
+  // Exponentially weighted mean and variance; early observations are averaged equally
+  updateStats: (stats = { count: 0, mean: 0, variance: 0 }, value) => {
+    const count = stats.count + 1;
+    const alpha = Math.max(ANOMALY_ALPHA, 1 / count);
+    const delta = value - stats.mean;
+    return {
+      count,
+      mean: stats.mean + alpha * delta,
+      variance: (1 - alpha) * (stats.variance + alpha * delta * delta)
+    };
+  },
+
+  bucketKey: (usage, timestamp) => `${usage}:${Math.floor(new Date(timestamp).getHours() / ANOMALY_HOURS_PER_BLOCK)}`,
+
+  // The usage and time-of-day bucket once it has enough observations, else the overall profile
+  baseline: (profile, metric, key) => {
+    const learned = profile[metric] || {};
+    if (learned.buckets?.[key]?.count >= ANOMALY_MIN_OBSERVATIONS) return { stats: learned.buckets[key], scope: 'bucket' };
+    if (learned.overall?.count >= ANOMALY_MIN_OBSERVATIONS) return { stats: learned.overall, scope: 'overall' };
+    return null;
+  },
+
+  // Scores one observation, then folds it into the profile
+  observe: (state, metric, value, timestamp) => {
+    const usage = advisoryClient.getDeviceState(state.context, state.context);
+    const key = anomalyDetector.bucketKey(usage, timestamp);
+    const baseline = anomalyDetector.baseline(state.profile, metric, key);
+    let anomaly = null;
+    let cusum = state.cusum[metric] || 0;
+
+    if (baseline) {
+      const deviation = Math.max(Math.sqrt(baseline.stats.variance), ANOMALY_METRICS[metric].minDeviation);
+      const z = (value - baseline.stats.mean) / deviation;
+      cusum = Math.max(0, cusum + z - ANOMALY_CUSUM_DRIFT);
+      const kind = z >= ANOMALY_Z_THRESHOLD ? 'spike' : cusum >= ANOMALY_CUSUM_LIMIT ? 'shift' : null;
+      const coolingDown = timestamp - (state.lastAnomaly[metric] || 0) < ANOMALY_COOLDOWN;
+
+      if (kind) {
+        cusum = 0;
+        if (!coolingDown) {
+          anomaly = {
+            id: `${metric}-${timestamp}`,
+            metric,
+            kind,
+            timestamp,
+            value,
+            expected: baseline.stats.mean,
+            deviation,
+            z,
+            usage,
+            scope: baseline.scope
+          };
+        }
+      }
+    }
+
+    const learned = state.profile[metric] || { overall: undefined, buckets: {} };
+    const profile = {
+      ...state.profile,
+      [metric]: {
+        overall: anomalyDetector.updateStats(learned.overall, value),
+        buckets: { ...learned.buckets, [key]: anomalyDetector.updateStats(learned.buckets[key], value) }
+      }
+    };
+
+    return {
+      state: {
+        ...state,
+        profile,
+        cusum: { ...state.cusum, [metric]: cusum },
+        lastAnomaly: anomaly ? { ...state.lastAnomaly, [metric]: timestamp } : state.lastAnomaly,
+        anomalies: anomaly
+          ? [...state.anomalies, anomaly].filter(entry => entry.timestamp > timestamp - ANOMALY_HISTORY_AGE).slice(-ANOMALY_HISTORY_LIMIT)
+          : state.anomalies
+      },
+      anomaly
+    };
+  },
+
+  // Returns the next state and any anomalies found in one recorded sample
+  process: (state, sample) => {
+    if (!ANOMALY_PROVENANCE.includes(sample.provenance)) return { state, anomalies: [] };
+    const previous = state.last[sample.series];
+    if (previous !== undefined && sample.timestamp <= previous) return { state, anomalies: [] };
+
+    const gap = previous === undefined || sample.timestamp - previous > ANALYTICS_MAX_SAMPLE_GAP;
+    let next = { ...state, last: { ...state.last, [sample.series]: sample.timestamp } };
+    const anomalies = [];
+    const observe = (metric, value) => {
+      const result = anomalyDetector.observe(next, metric, value, sample.timestamp);
+      next = result.state;
+      if (result.anomaly) anomalies.push(result.anomaly);
+    };
+
+    if (sample.series === 'performance' && typeof sample.value?.cpuLoad === 'number') {
+      next.context = { ...next.context, cpuLoad: sample.value.cpuLoad };
+    } else if (sample.series === 'battery' && typeof sample.value?.level === 'number') {
+      const { level, charging } = sample.value;
+      next.context = { ...next.context, charging: Boolean(charging) };
+      const anchor = next.drainAnchor;
+
+      // Drain is measured over a window because the level only moves in whole percent; a rise
+      // without a charging flag restarts the window
+      if (charging || !anchor || gap || level > anchor.level) {
+        next.drainAnchor = charging ? null : { timestamp: sample.timestamp, level };
+      } else if (sample.timestamp - anchor.timestamp >= ANOMALY_DRAIN_WINDOW) {
+        observe('drainRate', (anchor.level - level) / ((sample.timestamp - anchor.timestamp) / HOUR_MS));
+        next.drainAnchor = { timestamp: sample.timestamp, level };
+      }
+    } else if (sample.series === 'deviceTemp' && typeof sample.value === 'number') {
+      const recent = gap ? [] : next.recentTemps.filter(entry => entry.timestamp >= sample.timestamp - ANOMALY_RATE_WINDOW);
+      const oldest = recent[0];
+      if (oldest && sample.timestamp - oldest.timestamp >= ANOMALY_RATE_WINDOW / 2) {
+        observe('tempRate', (sample.value - oldest.value) / ((sample.timestamp - oldest.timestamp) / 60000));
+      }
+      observe('deviceTemp', sample.value);
+      next.recentTemps = [...recent, { timestamp: sample.timestamp, value: sample.value }];
+    }
+
+    return { state: next, anomalies };
+  },
+
+  // Explanation of an anomaly in the current language and units
+  describe: (anomaly, format = i18n.create()) => {
+    const { t, number } = format;
+    const show = {
+      tempRate: (value) => format.tempDelta(value),
+      deviceTemp: (value) => format.temp(value),
+      drainRate: (value) => format.percent(value, 1)
+    }[anomaly.metric];
+    const params = {
+      metric: t(ANOMALY_METRICS[anomaly.metric].label),
+      value: show(anomaly.value),
+      expected: show(anomaly.expected),
+      deviation: show(anomaly.deviation),
+      z: number(anomaly.z, 1),
+      usage: t(`anomaly.usage.${anomaly.usage}`),
+      baseline: t(`anomaly.baseline.${anomaly.scope}`)
+    };
+    return anomaly.kind === 'shift' ? t('anomaly.shift', params) : t(`anomaly.${anomaly.metric}`, params);
+  }
+};
+
+// Custom hook feeding recorded samples through the anomaly detector. History recorded since the
+// last run is caught up silently; new samples are checked as they are recorded.
+const useAnomalyDetection = ({ settings, addNotification }) => {
+  const stateRef = useRef(null);
+  const [anomalies, setAnomalies] = useState(() => anomalyDetector.load().anomalies);
+  const latest = useRef({});
+  latest.current = { settings, addNotification };
+
+  useEffect(() => {
+    let cancelled = false;
+    let ready = false;
+    const pending = [];
+
+    const handle = (samples, notify) => {
+      let state = stateRef.current;
+      const found = [];
+      samples.forEach(sample => {
+        const result = anomalyDetector.process(state, sample);
+        state = result.state;
+        found.push(...result.anomalies);
+      });
+      stateRef.current = state;
+      if (found.length === 0) return;
+
+      setAnomalies(state.anomalies);
+      const { settings, addNotification } = latest.current;
+      if (!notify || !settings.enableAnomalyAlerts) return;
+      const format = i18n.create(settings);
+      found.forEach(anomaly => {
+        addNotification({
+          type: 'warning',
+          message: anomalyDetector.describe(anomaly, format),
+          source: 'anomaly',
+          anomalyId: anomaly.id
+        });
+      });
+    };
+
+    const unsubscribe = historyStore.subscribe(sample => {
+      if (ready) handle([sample], true);
+      else pending.push(sample);
+    });
+
+    const catchUp = async () => {
+      const state = anomalyDetector.load();
+      const times = Object.values(state.last);
+      const from = times.length ? Math.min(...times) + 1 : Date.now() - 14 * 24 * HOUR_MS;
+      stateRef.current = state;
+      await historyStore.iterate({ series: ['battery', 'performance', 'deviceTemp'], from }, (samples) => {
+        if (!cancelled) handle(samples, false);
+      });
+      if (cancelled) return;
+      ready = true;
+      handle(pending.sort((a, b) => a.timestamp - b.timestamp), true);
+      setAnomalies(stateRef.current.anomalies);
+    };
+
+    catchUp();
+    const interval = setInterval(() => {
+      if (stateRef.current) anomalyDetector.save(stateRef.current);
+    }, ANOMALY_SAVE_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+      clearInterval(interval);
+      if (stateRef.current) anomalyDetector.save(stateRef.current);
+    };
+  }, []);
+
+  return anomalies;
+};
+
+// ThermoSense advisory API client
+const ADVISORY_ALERT_LEVELS = ['safe', 'low', 'normal', 'warning', 'medium', 'danger', 'high', 'critical'];
+
+const advisoryClient = {
+  // Rough device state from live readings, matching the usage scenarios the API understands
+  getDeviceState: (batteryData, performanceData) => {
+    if (batteryData?.charging) return 'charging';
+    const cpuLoad = performanceData?.cpuLoad || 0;
+    if (cpuLoad < 20) return 'idle';
+    if (cpuLoad < 40) return 'light';
+    if (cpuLoad < 60) return 'moderate';
+    return 'heavy';
+  },
+
+  // Returns an error message, or null when the response matches the expected schema
+  validateResponse: (data, t = i18n.create().t) => {
+    if (!data || typeof data !== 'object') return t('advisory.error.object');
+    if (typeof data.alert_level !== 'string' || !ADVISORY_ALERT_LEVELS.includes(data.alert_level.toLowerCase())) {
+      return t('advisory.error.alertLevel', { value: JSON.stringify(data.alert_level) });
+    }
+    const impact = data.predicted_health_impact;
+    if (impact !== null && impact !== undefined && !(typeof impact === 'number' && Number.isFinite(impact)) && typeof impact !== 'string') {
+      return t('advisory.error.impact');
+    }
+    const action = data.optional_action;
+    if (action !== null && action !== undefined && typeof action !== 'string') {
+      return t('advisory.error.action');
+    }
+    return null;
+  },
+
+  // Network errors, timeouts and 5xx responses are retried; other failures are not
+  isRetryable: (error) => !error.response || error.response.status >= 500,
+
+  requestAdvice: async ({ batteryTemp, ambientTemp, deviceState }, settings) => {
+    const url = `${settings.advisoryApiUrl.replace(/\/+$/, '')}/api/advice`;
+    const { t } = i18n.create(settings);
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= settings.advisoryRetries; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, 500 * Math.pow(2, attempt - 1)));
+      }
+
+      try {
+        const response = await axios.post(
+          url,
+          {
+            battery_temp: batteryTemp,
+            ambient_temp: ambientTemp,
+            device_state: deviceState.toLowerCase()
+          },
+          {
+            headers: { 'Content-Type': 'application/json' },
+            timeout: settings.advisoryTimeout
+          }
+        );
+
+        const schemaError = advisoryClient.validateResponse(response.data, t);
+        if (schemaError) {
+          return { success: false, error: t('advisory.error.invalid', { error: schemaError }) };
+        }
+
+        return {
+          success: true,
+          data: {
+            predictedHealthImpact: response.data.predicted_health_impact ?? null,
+            alertLevel: response.data.alert_level.toLowerCase(),
+            optionalAction: response.data.optional_action || null,
+            source: 'remote',
+            receivedAt: new Date()
+          }
+        };
+      } catch (error) {
+        lastError = error;
+        if (!advisoryClient.isRetryable(error)) break;
+      }
+    }
+
+    return { success: false, error: lastError?.message || t('advisory.error.failed') };
+  },
+
+  // Local model result in the same shape as remote advice; the most severe recommendation is the action
+  fromLocalModel: (healthData, format = i18n.create()) => {
+    const [top] = recommendationUtils.sortBySeverity(healthData.recommendations);
+    return {
+      predictedHealthImpact: 100 - healthData.healthScore,
+      alertLevel: healthData.alertLevel,
+      optionalAction: top ? recommendationUtils.render(top, format).message : null,
+      recommendations: healthData.recommendations,
+      source: 'local',
+      receivedAt: healthData.lastUpdated
+    };
+  }
+};
+
+// Custom hook for remote advice with local model fallback
+const useAdvisory = ({ isActive }) => {
+  const { batteryData, weatherData, performanceData, deviceTemp, healthData, settings } = useContext(ThermoSenseContext);
+  const [remoteAdvice, setRemoteAdvice] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const latestInputs = useRef({});
+  latestInputs.current = { batteryData, weatherData, performanceData, deviceTemp };
+
+  const refresh = useCallback(async () => {
+    if (!settings.enableRemoteAdvisory) {
+      setStatus('disabled');
+      setRemoteAdvice(null);
+      return;
+    }
+
+    const { batteryData, weatherData, performanceData, deviceTemp } = latestInputs.current;
+    setStatus('loading');
+    const result = await advisoryClient.requestAdvice({
+      batteryTemp: deviceTemp,
+      ambientTemp: weatherData?.temperature ?? null,
+      deviceState: advisoryClient.getDeviceState(batteryData, performanceData)
+    }, settings);
+
+    if (result.success) {
+      setRemoteAdvice(result.data);
+      setStatus('connected');
+      setError(null);
+    } else {
+      setRemoteAdvice(null);
+      setStatus('fallback');
+      setError(result.error);
+    }
+  }, [settings]);
+
+  useEffect(() => {
+    if (!isActive) return;
+    refresh();
+    const interval = setInterval(refresh, settings.advisoryInterval);
+    return () => clearInterval(interval);
+  }, [isActive, refresh, settings.advisoryInterval]);
+
+  const advice = remoteAdvice || advisoryClient.fromLocalModel(healthData, i18n.create(settings));
+
+  return { advice, status, error, refresh };
+};
+
+// Session recording and replay utilities
+const SESSION_FILE_TYPE = 'thermosense-session';
+const SESSION_FILE_VERSION = 1;
+const SESSION_SERIES = ['battery', 'weather', 'performance', 'deviceTemp'];
+const SESSION_REPLAY_SPEEDS = [1, 5, 10, 30, 60];
+const SESSION_TICK_MS = 250;
+// Recorded and replayed alert transitions this close together are the same alert
+const SESSION_ALERT_MATCH_WINDOW = 30 * 1000;
+
+const sessionUtils = {
+  createFile: ({ startedAt, endedAt, settings, events }) => ({
+    type: SESSION_FILE_TYPE,
+    version: SESSION_FILE_VERSION,
+    startedAt,
+    endedAt,
+    duration: endedAt - startedAt,
+    settings,
+    events
+  }),
+
+  // Date fields inside recorded readings are restored from their JSON strings
+  reviveDates: (key, value) => {
+    if (['lastUpdate', 'timestamp', 'recordedAt'].includes(key) && typeof value === 'string') {
+      return new Date(value);
+    }
+    return value;
+  },
+
+  parse: (text, t = i18n.create().t) => {
+    let file;
+    try {
+      file = JSON.parse(text, sessionUtils.reviveDates);
+    } catch (error) {
+      return { success: false, error: t('session.error.json') };
+    }
+
+    if (!file || file.type !== SESSION_FILE_TYPE) {
+      return { success: false, error: t('session.error.type') };
+    }
+    if (file.version > SESSION_FILE_VERSION) {
+      return { success: false, error: t('session.error.version', { version: file.version }) };
+    }
+    if (!Array.isArray(file.events) || typeof file.startedAt !== 'number' || typeof file.duration !== 'number') {
+      return { success: false, error: t('session.error.incomplete') };
+    }
+
+    const events = [...file.events].sort((a, b) => a.t - b.t);
+
+    // Per-series sample lists for fast lookups while seeking
+    const series = SESSION_SERIES.reduce((result, name) => {
+      result[name] = events.filter(e => e.kind === 'sample' && e.series === name);
+      return result;
+    }, {});
+
+    return { success: true, session: { ...file, events, series } };
+  },
+
+  // Latest event at or before `position` in a time-sorted list
+  latestAt: (list, position) => {
+    let low = 0;
+    let high = list.length - 1;
+    let found = null;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid].t <= position) {
+        found = list[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return found;
+  },
+
+  valuesAt: (session, position) => {
+    const value = (name) => sessionUtils.latestAt(session.series[name], position)?.value ?? null;
+    return {
+      batteryData: value('battery'),
+      weatherData: value('weather'),
+      performanceData: value('performance') || {},
+      deviceTemp: value('deviceTemp')
+    };
+  },
+
+  // Samples up to `position` in the same shape as historyStore samples
+  samplesUntil: (session, position) => session.events
+    .filter(e => e.kind === 'sample' && e.t <= position)
+    .map(e => ({ series: e.series, value: e.value, timestamp: session.startedAt + e.t })),
+
+  // Runs the alert rules over every recorded sample in order, at the sample's recorded time and
+  // with the thresholds the session was recorded with, so the result does not depend on playback
+  // speed. Messages use the current language and units.
+  replayAlerts: (session, format = i18n.create()) => {
+    const settings = settingsUtils.normalize(session.settings);
+    const rules = buildAlertRules(settings, format);
+    let state = alertEngine.createState();
+    const values = { batteryData: null, weatherData: null, deviceTemp: null };
+    let points = [];
+    const alerts = [];
+    const transitions = [];
+
+    session.events.filter(e => e.kind === 'sample').forEach(e => {
+      const timestamp = session.startedAt + e.t;
+      if (e.series === 'battery') values.batteryData = e.value;
+      else if (e.series === 'weather') values.weatherData = e.value;
+      else if (e.series === 'deviceTemp') {
+        values.deviceTemp = e.value;
+        points = [
+          ...points.filter(point => point.timestamp >= timestamp - TEMP_FORECAST_WINDOW),
+          {
+            timestamp,
+            deviceTemp: e.value,
+            ambientTemp: values.weatherData?.temperature ?? THERMAL_DEFAULT_AMBIENT,
+            charging: Boolean(values.batteryData?.charging)
+          }
+        ];
+      } else return;
+
+      const tempForecast = tempForecaster.project({ points, weatherData: values.weatherData, settings, now: timestamp });
+      const result = alertEngine.evaluate(state, rules, alertEngine.reading({ ...values, tempForecast }, timestamp), settings);
+      state = result.state;
+      result.alerts.forEach(alert => alerts.push({ t: e.t, ...alert }));
+      result.transitions.forEach(transition => transitions.push({ t: e.t, ...transition }));
+    });
+
+    return { alerts, transitions };
+  },
+
+  // Pairs recorded alert transitions with replayed ones of the same rule and direction
+  compareAlerts: (recorded, replayed) => {
+    const unmatched = [...recorded];
+    const rows = replayed.map(transition => {
+      const index = unmatched.findIndex(candidate =>
+        candidate.ruleId === transition.ruleId &&
+        candidate.active === transition.active &&
+        Math.abs(candidate.t - transition.t) <= SESSION_ALERT_MATCH_WINDOW
+      );
+      const match = index === -1 ? null : unmatched.splice(index, 1)[0];
+      return {
+        ruleId: transition.ruleId,
+        severity: transition.severity,
+        active: transition.active,
+        t: match ? Math.min(match.t, transition.t) : transition.t,
+        recordedAt: match ? match.t : null,
+        replayedAt: transition.t
+      };
+    });
+
+    return [
+      ...rows,
+      ...unmatched.map(transition => ({
+        ruleId: transition.ruleId,
+        severity: transition.severity,
+        active: transition.active,
+        t: transition.t,
+        recordedAt: transition.t,
+        replayedAt: null
+      }))
+    ].sort((a, b) => a.t - b.t);
+  },
+
+  formatClock: (ms) => {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+  }
+};
+
+// Custom hook recording provider samples, notifications and alert transitions to a session file
+const useSessionRecorder = ({ batteryData, weatherData, performanceData, deviceTemp, notifications, settings }) => {
+  const [isRecording, setIsRecording] = useState(false);
+  const [eventCount, setEventCount] = useState(0);
+  const recording = useRef(null);
+  const lastNotificationId = useRef(null);
+
+  const recordEvent = useCallback((kind, payload) => {
+    if (!recording.current) return;
+    recording.current.events.push({ t: Date.now() - recording.current.startedAt, kind, ...payload });
+    setEventCount(recording.current.events.length);
   }, []);
 
-  const retryBattery = useCallback(async () => {
-    setRetryCount(prev => prev + 1);
-    setBatteryStatus('retrying');
-    const result = await initializeBattery();
-    if (!result.success) {
-      setBatteryStatus('disconnected');
+  const start = useCallback(() => {
+    recording.current = { startedAt: Date.now(), settings, events: [] };
+    lastNotificationId.current = notifications[0]?.id ?? null;
+    setEventCount(0);
+    setIsRecording(true);
+
+    // Start from the current state so replay has values from the first frame
+    SESSION_SERIES.forEach(series => {
+      const value = { battery: batteryData, weather: weatherData, performance: performanceData, deviceTemp }[series];
+      if (value !== null && value !== undefined) recordEvent('sample', { series, value });
+    });
+  }, [settings, notifications, batteryData, weatherData, performanceData, deviceTemp, recordEvent]);
+
+  const stop = useCallback(() => {
+    if (!recording.current) return null;
+    const file = sessionUtils.createFile({ ...recording.current, endedAt: Date.now() });
+    recording.current = null;
+    setIsRecording(false);
+
+    const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+    downloadBlob(blob, `thermosense-session-${new Date(file.startedAt).toISOString().replace(/[:.]/g, '-')}.json`);
+    return file;
+  }, []);
+
+  // recordEvent is a no-op while not recording
+  useEffect(() => {
+    if (batteryData) recordEvent('sample', { series: 'battery', value: batteryData });
+  }, [batteryData, recordEvent]);
+
+  useEffect(() => {
+    if (weatherData) recordEvent('sample', { series: 'weather', value: weatherData });
+  }, [weatherData, recordEvent]);
+
+  useEffect(() => {
+    if (performanceData?.timestamp) recordEvent('sample', { series: 'performance', value: performanceData });
+  }, [performanceData, recordEvent]);
+
+  useEffect(() => {
+    if (typeof deviceTemp === 'number') recordEvent('sample', { series: 'deviceTemp', value: deviceTemp });
+  }, [deviceTemp, recordEvent]);
+
+  useEffect(() => {
+    if (!isRecording) return;
+    const lastIndex = notifications.findIndex(n => n.id === lastNotificationId.current);
+    const fresh = lastIndex === -1 ? notifications : notifications.slice(0, lastIndex);
+    if (fresh.length === 0) return;
+    lastNotificationId.current = fresh[0].id;
+    [...fresh].reverse().forEach(notification => recordEvent('notification', { notification }));
+  }, [notifications, isRecording, recordEvent]);
+
+  return { isRecording, eventCount, start, stop, recordEvent };
+};
+
+// Custom hook playing back a loaded session with play/pause, seek and speed control.
+// Alerts are worked out for the whole session on load and raised through `onAlert` as
+// playback passes them, so they are the same at every speed.
+const useSessionPlayer = ({ format, onAlert }) => {
+  const [session, setSession] = useState(null);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [seekCount, setSeekCount] = useState(0);
+  const callbacks = useRef({});
+  callbacks.current = { onAlert };
+  const emitted = useRef({ position: 0, seekCount: 0 });
+
+  const load = useCallback((text, t) => {
+    const result = sessionUtils.parse(text, t);
+    if (result.success) {
+      setSession(result.session);
+      setPosition(0);
+      setIsPlaying(false);
+      setSeekCount(prev => prev + 1);
     }
     return result;
-  }, [initializeBattery]);
+  }, []);
+
+  const unload = useCallback(() => {
+    setSession(null);
+    setIsPlaying(false);
+    setPosition(0);
+  }, []);
 
-  return { batteryData, batteryStatus, initializeBattery, retryBattery };
+  // Seeking restarts alert evaluation so replayed alerts stay deterministic
+  const seek = useCallback((nextPosition) => {
+    setPosition(Math.max(0, Math.min(nextPosition, session ? session.duration : 0)));
+    setSeekCount(prev => prev + 1);
+  }, [session]);
+
+  useEffect(() => {
+    if (!session || !isPlaying) return;
+    const interval = setInterval(() => {
+      setPosition(prev => {
+        const next = prev + SESSION_TICK_MS * speed;
+        if (next >= session.duration) {
+          setIsPlaying(false);
+          return session.duration;
+        }
+        return next;
+      });
+    }, SESSION_TICK_MS);
+    return () => clearInterval(interval);
+  }, [session, isPlaying, speed]);
+
+  const values = useMemo(() => session ? sessionUtils.valuesAt(session, position) : null, [session, position]);
+  const replayed = useMemo(() => session ? sessionUtils.replayAlerts(session, format) : null, [session, format]);
+  const comparison = useMemo(() => replayed
+    ? sessionUtils.compareAlerts(session.events.filter(e => e.kind === 'alert'), replayed.transitions)
+    : [], [replayed]);
+
+  // Seeking skips the alerts in between; alerts at the new position itself are raised
+  useEffect(() => {
+    if (!replayed) return;
+    const from = emitted.current.seekCount === seekCount ? emitted.current.position : position - 1;
+    emitted.current = { position, seekCount };
+    replayed.alerts
+      .filter(alert => alert.t > from && alert.t <= position)
+      .forEach(alert => callbacks.current.onAlert(alert));
+  }, [replayed, position, seekCount]);
+
+  return {
+    session,
+    position,
+    isPlaying,
+    speed,
+    seekCount,
+    values,
+    comparison,
+    load,
+    unload,
+    seek,
+    play: () => setIsPlaying(true),
+    pause: () => setIsPlaying(false),
+    setSpeed
+  };
 };
 
-// Custom hook for weather data
-const useWeather = () => {
-  const [weatherData, setWeatherData] = useState(null);
-  const [weatherStatus, setWeatherStatus] = useState('disconnected');
-  const [location, setLocation] = useState(null);
+// Data export - a time range of history and notifications streamed to CSV, NDJSON or versioned JSON
+const EXPORT_FILE_TYPE = 'thermosense-export';
+// Version 1 is the unversioned state snapshot written by earlier releases
+const EXPORT_FILE_VERSION = 2;
+const EXPORT_BATCH_SIZE = 500;
 
-  const fetchWeather = useCallback(async (lat, lon) => {
-    try {
-      setWeatherStatus('retrying');
-      const response = await axios.get(
-        `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,relative_humidity_2m,weather_code,wind_speed_10m,uv_index&timezone=auto`,
-        { timeout: 10000 }
-      );
-      
-      const data = response.data;
-      const weatherInfo = {
-        temperature: data.current.temperature_2m,
-        humidity: data.current.relative_humidity_2m,
-        windSpeed: data.current.wind_speed_10m,
-        weatherCode: data.current.weather_code,
-        uvIndex: data.current.uv_index || 0,
-        lastUpdate: new Date()
+// Exported values stay in the canonical storage units, whatever the display preferences
+const EXPORT_UNITS = {
+  temperature: '°C',
+  level: '%',
+  load: '%',
+  memory: 'MB'
+};
+
+// Each exported series reads one field from a history series; notifications come from the in-memory list
+const EXPORT_SERIES = {
+  deviceTemp: {
+    label: 'export.series.deviceTemp',
+    source: 'deviceTemp',
+    unit: EXPORT_UNITS.temperature,
+    value: (sample) => sample.value
+  },
+  ambientTemp: {
+    label: 'export.series.ambientTemp',
+    source: 'weather',
+    unit: EXPORT_UNITS.temperature,
+    value: (sample) => sample.value?.temperature
+  },
+  battery: {
+    label: 'export.series.battery',
+    source: 'battery',
+    unit: EXPORT_UNITS.level,
+    value: (sample) => sample.value?.level,
+    detail: (sample) => sample.value?.charging ? 'charging' : 'discharging'
+  },
+  cpu: {
+    label: 'export.series.cpu',
+    source: 'performance',
+    unit: EXPORT_UNITS.load,
+    value: (sample) => sample.value?.cpuLoad
+  },
+  memory: {
+    label: 'export.series.memory',
+    source: 'performance',
+    unit: EXPORT_UNITS.memory,
+    value: (sample) => sample.value?.memory?.used
+  },
+  alerts: {
+    label: 'export.series.alerts',
+    source: 'alert',
+    unit: null,
+    value: (sample) => sample.value?.active ? 1 : 0,
+    detail: (sample) => `${sample.value?.ruleId}:${sample.value?.severity}`
+  },
+  notifications: {
+    label: 'export.series.notifications',
+    source: null
+  }
+};
+
+const EXPORT_CSV_COLUMNS = ['timestamp', 'series', 'value', 'unit', 'provenance', 'detail'];
+
+const exportUtils = {
+  csvCell: (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  // Writers for each format: `header` gets the metadata, `record` one flat record, `footer` the summary
+  formats: {
+    csv: {
+      label: 'CSV',
+      extension: 'csv',
+      mimeType: 'text/csv',
+      header: () => `${EXPORT_CSV_COLUMNS.join(',')}\n`,
+      record: (record) => `${EXPORT_CSV_COLUMNS.map(column => exportUtils.csvCell(record[column])).join(',')}\n`,
+      footer: () => ''
+    },
+    ndjson: {
+      label: 'NDJSON',
+      extension: 'ndjson',
+      mimeType: 'application/x-ndjson',
+      header: (metadata) => `${JSON.stringify({ kind: 'metadata', type: EXPORT_FILE_TYPE, version: EXPORT_FILE_VERSION, ...metadata })}\n`,
+      record: (record) => `${JSON.stringify({ kind: 'record', ...record })}\n`,
+      footer: (summary) => `${JSON.stringify({ kind: 'summary', ...summary })}\n`
+    },
+    json: {
+      label: 'JSON',
+      extension: 'json',
+      mimeType: 'application/json',
+      header: (metadata) => `{"type":${JSON.stringify(EXPORT_FILE_TYPE)},"version":${EXPORT_FILE_VERSION},"metadata":${JSON.stringify(metadata)},"records":[\n`,
+      record: (record, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`,
+      footer: (summary) => `\n],"summary":${JSON.stringify(summary)}}\n`
+    }
+  },
+
+  createMetadata: ({ settings, series, from, to, calibrated, simulated, replaying }) => ({
+    exportedAt: new Date().toISOString(),
+    app: { name: 'ThermoSense', version: APP_VERSION },
+    range: { from: new Date(from).toISOString(), to: new Date(to).toISOString() },
+    series,
+    deviceProfile: settings.deviceProfile,
+    units: EXPORT_UNITS,
+    displayUnits: { temperature: settings.temperatureUnit, speed: settings.speedUnit },
+    provenance: { calibrated, simulated, replaying }
+  }),
+
+  // Flat records for the selected series fed by one history sample
+  fromSample: (sample, series) => series
+    .filter(id => EXPORT_SERIES[id].source === sample.series)
+    .map(id => ({
+      timestamp: new Date(sample.timestamp).toISOString(),
+      series: id,
+      value: EXPORT_SERIES[id].value(sample) ?? null,
+      unit: EXPORT_SERIES[id].unit,
+      provenance: sample.provenance,
+      detail: EXPORT_SERIES[id].detail ? EXPORT_SERIES[id].detail(sample) : null
+    })),
+
+  fromNotification: (notification) => ({
+    timestamp: new Date(notification.timestamp).toISOString(),
+    series: 'notifications',
+    value: notification.type,
+    unit: null,
+    provenance: notification.replay ? 'replayed' : 'real',
+    detail: notification.message
+  }),
+
+  filename: (format, from, to) => {
+    const day = (time) => new Date(time).toISOString().split('T')[0];
+    const span = day(from) === day(to) ? day(to) : `${day(from)}_${day(to)}`;
+    return `thermosense-data-${span}.${exportUtils.formats[format].extension}`;
+  },
+
+  // Writes straight to disk where the File System Access API is available; otherwise the
+  // chunks are collected as Blob parts, which avoids building one large string, and downloaded
+  openSink: async (filename, mimeType) => {
+    if (window.showSaveFilePicker) {
+      const handle = await window.showSaveFilePicker({ suggestedName: filename });
+      const writable = await handle.createWritable();
+      return {
+        write: (chunk) => writable.write(chunk),
+        close: () => writable.close(),
+        abort: () => writable.abort()
       };
-      
-      setWeatherData(weatherInfo);
-      setWeatherStatus('connected');
-      return { success: true, data: weatherInfo };
-    } catch (error) {
-      setWeatherStatus('disconnected');
-      return { success: false, error: error.message };
     }
-  }, []);
 
-  const getLocationAndWeather = useCallback(async () => {
+    const parts = [];
+    return {
+      write: async (chunk) => {
+        parts.push(chunk);
+      },
+      close: async () => downloadBlob(new Blob(parts, { type: mimeType }), filename),
+      abort: async () => {
+        parts.length = 0;
+      }
+    };
+  }
+};
+
+// Custom hook streaming the selected history range to a file; notifications are merged in time order
+const useDataExport = ({ settings, notifications, calibrated, simulated, replaying }) => {
+  const [isExporting, setIsExporting] = useState(false);
+  const [progress, setProgress] = useState(0);
+
+  const exportData = useCallback(async ({ format, series, from, to }) => {
+    const { t } = i18n.create(settings);
+    const writer = exportUtils.formats[format];
+    if (!writer) return { success: false, error: t('export.error.format') };
+    if (series.length === 0) return { success: false, error: t('export.error.series') };
+    if (!(from < to)) return { success: false, error: t('export.error.range') };
+
+    const filename = exportUtils.filename(format, from, to);
+    let sink;
     try {
-      const position = await new Promise((resolve, reject) => {
-        navigator.geolocation.getCurrentPosition(resolve, reject, {
-          enableHighAccuracy: true,
-          timeout: 10000,
-          maximumAge: 600000
-        });
-      });
-      
-      setLocation({
-        latitude: position.coords.latitude,
-        longitude: position.coords.longitude
-      });
-      
-      return await fetchWeather(position.coords.latitude, position.coords.longitude);
+      sink = await exportUtils.openSink(filename, writer.mimeType);
     } catch (error) {
-      setWeatherStatus('disconnected');
-      // Use fallback weather data
-      const fallbackWeather = {
-        temperature: 22.5,
-        humidity: 65,
-        windSpeed: 3.2,
-        weatherCode: 1,
-        uvIndex: 3,
-        fallback: true,
-        lastUpdate: new Date()
-      };
-      setWeatherData(fallbackWeather);
-      return { success: false, error: error.message, data: fallbackWeather };
+      // Dismissing the save dialog is not an error worth reporting
+      return { success: false, cancelled: error.name === 'AbortError', error: error.message };
     }
-  }, [fetchWeather]);
 
-  const retryWeather = useCallback(async () => {
-    if (location) {
-      return await fetchWeather(location.latitude, location.longitude);
-    } else {
-      return await getLocationAndWeather();
+    setIsExporting(true);
+    setProgress(0);
+
+    const pending = series.includes('notifications')
+      ? notifications
+        .filter(notification => {
+          const time = new Date(notification.timestamp).getTime();
+          return time >= from && time <= to;
+        })
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      : [];
+    const summary = { recordCount: 0, series: {}, provenance: {} };
+    let chunk = '';
+
+    const add = (record) => {
+      chunk += writer.record(record, summary.recordCount);
+      summary.recordCount++;
+      summary.series[record.series] = (summary.series[record.series] || 0) + 1;
+      summary.provenance[record.provenance] = (summary.provenance[record.provenance] || 0) + 1;
+    };
+
+    // Notifications older than `time` go out before the history sample at `time`
+    const flushNotifications = (time) => {
+      while (pending.length > 0 && new Date(pending[0].timestamp).getTime() <= time) {
+        add(exportUtils.fromNotification(pending.shift()));
+      }
+    };
+
+    try {
+      await sink.write(writer.header(exportUtils.createMetadata({ settings, series, from, to, calibrated, simulated, replaying })));
+
+      const sources = [...new Set(series.map(id => EXPORT_SERIES[id].source).filter(Boolean))];
+      if (sources.length > 0) {
+        const result = await historyStore.iterate({ series: sources, from, to, batchSize: EXPORT_BATCH_SIZE }, async (samples) => {
+          samples.forEach(sample => {
+            flushNotifications(sample.timestamp);
+            exportUtils.fromSample(sample, series).forEach(add);
+          });
+          await sink.write(chunk);
+          chunk = '';
+          setProgress(summary.recordCount);
+        });
+        if (!result.success) throw new Error(result.error);
+      }
+
+      flushNotifications(Infinity);
+      await sink.write(chunk + writer.footer(summary));
+      await sink.close();
+      setProgress(summary.recordCount);
+      return { success: true, filename, count: summary.recordCount };
+    } catch (error) {
+      console.error('Export error:', error);
+      await sink.abort().catch(() => {});
+      return { success: false, error: t('export.error.failed', { error: error.message }) };
+    } finally {
+      setIsExporting(false);
     }
-  }, [location, fetchWeather, getLocationAndWeather]);
+  }, [settings, notifications, calibrated, simulated, replaying]);
 
-  return { weatherData, weatherStatus, getLocationAndWeather, retryWeather };
+  return { exportData, isExporting, progress };
 };
 
-// Custom hook for device performance monitoring
-const useDevicePerformance = () => {
-  const [performanceData, setPerformanceData] = useState({});
-  
-  const updatePerformance = useCallback(() => {
-    const performance = window.performance;
-    
-    let memoryInfo = {};
-    if (performance.memory) {
-      memoryInfo = {
-        used: Math.round(performance.memory.usedJSHeapSize / 1024 / 1024),
-        total: Math.round(performance.memory.totalJSHeapSize / 1024 / 1024)
-      };
-    } else {
-      // Simulated memory data
-      memoryInfo = {
-        used: Math.round(45.6 + Math.random() * 10),
-        total: 128
-      };
+// Offline review - exported files are validated and loaded read-only, separate from live data
+const REVIEW_CHART_POINTS = 500;
+
+const reviewUtils = {
+  // Returns an error message for a record that does not match the export schema, or null
+  validateRecord: (record, t) => {
+    if (!record || typeof record !== 'object') return t('review.error.recordObject');
+    if (typeof record.timestamp !== 'string' || Number.isNaN(Date.parse(record.timestamp))) {
+      return t('review.error.recordField', { field: 'timestamp' });
     }
-    
-    let networkInfo = {};
-    if (navigator.connection) {
-      networkInfo = {
-        effectiveType: navigator.connection.effectiveType,
-        downlink: navigator.connection.downlink
-      };
-    } else {
-      networkInfo = {
-        effectiveType: 'wifi',
-        downlink: 10
-      };
+    if (!EXPORT_SERIES[record.series]) return t('review.error.recordSeries', { series: String(record.series) });
+    if (record.series === 'notifications') {
+      if (typeof record.value !== 'string' || typeof record.detail !== 'string') {
+        return t('review.error.recordField', { field: 'value' });
+      }
+    } else if (record.value !== null && typeof record.value !== 'number') {
+      return t('review.error.recordField', { field: 'value' });
     }
-    
-    const cpuLoad = Math.min(100, Math.max(0, Math.random() * 40 + 15));
-    
-    setPerformanceData({
-      memory: memoryInfo,
-      network: networkInfo,
-      cpuLoad: Math.round(cpuLoad),
-      cores: navigator.hardwareConcurrency || 8,
-      timestamp: new Date()
-    });
-  }, []);
+    return null;
+  },
 
-  return { performanceData, updatePerformance };
-};
+  // Version 1 files are state snapshots without a `type`
+  isLegacySnapshot: (data) => data && typeof data === 'object' && !data.type && typeof data.timestamp === 'string' &&
+    ['batteryData', 'weatherData', 'performanceData', 'deviceTemp'].some(key => key in data),
 
-// ML Model for battery health analysis
-const useMLModel = () => {
-  const coefficients = {
-    temperatureWeight: -0.12,
-    usageWeight: -0.08,
-    ageWeight: -0.05,
-    chargingCycleWeight: -0.03,
-    intercept: 100
-  };
+  fromLegacySnapshot: (data) => {
+    const timestamp = Date.parse(data.timestamp);
+    const samples = [];
+    if (data.batteryData) samples.push({ series: 'battery', value: data.batteryData, provenance: historyStore.getProvenance(data.batteryData), timestamp });
+    if (data.weatherData) samples.push({ series: 'weather', value: data.weatherData, provenance: historyStore.getProvenance(data.weatherData), timestamp });
+    if (data.performanceData) samples.push({ series: 'performance', value: data.performanceData, provenance: historyStore.getProvenance(data.performanceData), timestamp });
+    if (typeof data.deviceTemp === 'number') samples.push({ series: 'deviceTemp', value: data.deviceTemp, provenance: 'estimated', timestamp });
 
-  const generateRecommendations = useCallback((batteryData, weatherData, deviceTemp, performanceData) => {
-    const recommendations = [];
-    let healthScore = 100;
-    let alertLevel = 'safe';
+    return {
+      version: 1,
+      metadata: { exportedAt: data.timestamp, range: { from: data.timestamp, to: data.timestamp } },
+      samples,
+      // Snapshots list notifications newest first
+      notifications: (Array.isArray(data.notifications) ? data.notifications : [])
+        .filter(notification => notification && typeof notification.message === 'string')
+        .map(notification => ({ ...notification, timestamp: new Date(notification.timestamp || data.timestamp) }))
+        .reverse()
+    };
+  },
 
-    // Temperature analysis
-    if (deviceTemp > 40) {
-      recommendations.push("🚨 CRITICAL: Device temperature too high! Cool down immediately!");
-      healthScore -= 25;
-      alertLevel = 'danger';
-    } else if (deviceTemp > 35) {
-      recommendations.push("⚠️ WARNING: Device running hot. Reduce intensive tasks.");
-      healthScore -= 15;
-      alertLevel = 'warning';
-    } else {
-      recommendations.push("✅ Temperature levels are optimal.");
-    }
+  // Rebuilds history-store samples from flat records; CPU and memory records of one reading share a sample
+  fromRecords: (records) => {
+    const samples = [];
+    const notifications = [];
 
-    // Battery analysis
-    if (batteryData) {
-      if (batteryData.charging && deviceTemp > 35) {
-        recommendations.push("⚠️ Charging while hot affects battery longevity.");
-        healthScore -= 10;
-        if (alertLevel === 'safe') alertLevel = 'warning';
-      } else if (batteryData.charging) {
-        recommendations.push("🔋 Charging conditions are good.");
+    records.forEach((record, index) => {
+      const timestamp = Date.parse(record.timestamp);
+      if (record.series === 'notifications') {
+        notifications.push({ id: `review-${index}`, type: record.value, message: record.detail, timestamp: new Date(timestamp) });
+        return;
       }
-      
-      if (batteryData.level < 20) {
-        recommendations.push("🔋 Battery low. Consider charging soon.");
-        healthScore -= 5;
-        if (alertLevel === 'safe') alertLevel = 'warning';
+
+      const previous = samples[samples.length - 1];
+      const sample = { provenance: record.provenance ?? 'real', timestamp };
+      if (record.series === 'deviceTemp') {
+        samples.push({ ...sample, series: 'deviceTemp', value: record.value });
+      } else if (record.series === 'ambientTemp') {
+        samples.push({ ...sample, series: 'weather', value: { temperature: record.value } });
+      } else if (record.series === 'battery') {
+        samples.push({ ...sample, series: 'battery', value: { level: record.value, charging: record.detail === 'charging' } });
+      } else if (record.series === 'alerts') {
+        const [ruleId, severity] = String(record.detail || '').split(':');
+        samples.push({ ...sample, series: 'alert', value: { ruleId, severity, active: record.value === 1 } });
+      } else {
+        const value = record.series === 'cpu' ? { cpuLoad: record.value } : { memory: { used: record.value } };
+        if (previous?.series === 'performance' && previous.timestamp === timestamp) {
+          Object.assign(previous.value, value);
+        } else {
+          samples.push({ ...sample, series: 'performance', value });
+        }
       }
+    });
+
+    return { samples, notifications };
+  },
+
+  parseLine: (line) => {
+    try {
+      return JSON.parse(line);
+    } catch (error) {
+      return null;
     }
+  },
 
-    // Environmental analysis
-    if (weatherData) {
-      if (weatherData.temperature > 30) {
-        recommendations.push("🌡️ High ambient temperature affects device cooling.");
-        healthScore -= 8;
-        if (alertLevel === 'safe') alertLevel = 'warning';
-      } else if (weatherData.temperature < 10) {
-        recommendations.push("❄️ Cold weather can temporarily reduce battery capacity.");
-        healthScore -= 3;
+  // Accepts versioned JSON and NDJSON exports and version 1 snapshots
+  parse: (text, t = i18n.create().t) => {
+    let header;
+    let records;
+
+    const trimmed = text.trim();
+    const lines = trimmed.split('\n');
+    try {
+      if (lines.length > 1 && reviewUtils.parseLine(lines[0])?.kind === 'metadata') {
+        const entries = lines.filter(line => line.trim()).map(line => JSON.parse(line));
+        header = entries[0];
+        records = entries.filter(entry => entry.kind === 'record').map(({ kind, ...record }) => record);
+      } else {
+        header = JSON.parse(trimmed);
+        records = header?.records;
       }
+    } catch (error) {
+      return { success: false, error: t('session.error.json') };
     }
 
-    // Performance analysis
-    if (performanceData && performanceData.cpuLoad > 80) {
-      recommendations.push("📊 High CPU load detected. Monitor for heat buildup.");
-      healthScore -= 10;
-      if (alertLevel === 'safe') alertLevel = 'warning';
+    if (reviewUtils.isLegacySnapshot(header)) {
+      return { success: true, dataset: reviewUtils.fromLegacySnapshot(header) };
+    }
+    if (!header || header.type !== EXPORT_FILE_TYPE) {
+      return { success: false, error: t('review.error.type') };
+    }
+    if (typeof header.version !== 'number' || header.version > EXPORT_FILE_VERSION) {
+      return { success: false, error: t('review.error.version', { version: String(header.version) }) };
+    }
+    if (!Array.isArray(records)) {
+      return { success: false, error: t('review.error.records') };
+    }
+
+    for (let i = 0; i < records.length; i++) {
+      const error = reviewUtils.validateRecord(records[i], t);
+      if (error) return { success: false, error: t('review.error.record', { index: String(i + 1), error }) };
     }
 
+    const sorted = [...records].sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
     return {
-      healthScore: Math.max(0, Math.min(100, healthScore)),
-      recommendations,
-      alertLevel,
-      lastUpdated: new Date()
+      success: true,
+      dataset: {
+        version: header.version,
+        metadata: header.metadata || {},
+        ...reviewUtils.fromRecords(sorted)
+      }
     };
-  }, []);
-
-  return { generateRecommendations };
-};
+  },
 
-// Weather service utilities
-const weatherUtils = {
-  getWeatherDescription: (code) => {
-    const descriptions = {
-      0: 'Clear sky', 1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast',
-      45: 'Foggy', 48: 'Depositing rime fog', 51: 'Light drizzle', 53: 'Moderate drizzle',
-      55: 'Dense drizzle', 61: 'Slight rain', 63: 'Moderate rain', 65: 'Heavy rain',
-      71: 'Slight snow', 73: 'Moderate snow', 75: 'Heavy snow', 95: 'Thunderstorm'
+  // Bounds of the reviewed data, falling back to the exported range
+  span: (dataset) => {
+    const range = dataset.metadata.range || {};
+    const bounds = { from: Infinity, to: -Infinity };
+    const extend = (time) => {
+      bounds.from = Math.min(bounds.from, time);
+      bounds.to = Math.max(bounds.to, time);
     };
-    return descriptions[code] || 'Unknown';
-  },
-  
-  getWeatherIcon: (code) => {
-    if (code === 0 || code === 1) return '☀️';
-    if (code === 2 || code === 3) return '⛅';
-    if (code === 45 || code === 48) return '🌫️';
-    if (code >= 51 && code <= 65) return '🌧️';
-    if (code >= 71 && code <= 77) return '❄️';
-    if (code >= 95) return '⛈️';
-    return '🌤️';
+    dataset.samples.forEach(sample => extend(sample.timestamp));
+    dataset.notifications.forEach(notification => extend(new Date(notification.timestamp).getTime()));
+    return bounds.from <= bounds.to ? bounds : { from: Date.parse(range.from), to: Date.parse(range.to) };
   }
 };
 
+// Custom hook holding the imported file under review; live monitoring carries on underneath
+const useReviewSession = () => {
+  const [review, setReview] = useState(null);
+
+  const load = useCallback((text, name, t) => {
+    const result = reviewUtils.parse(text, t);
+    if (result.success) {
+      const { from, to } = reviewUtils.span(result.dataset);
+      setReview({
+        ...result.dataset,
+        name,
+        from,
+        to,
+        // Newest first, matching the live notification list
+        notifications: [...result.dataset.notifications].reverse()
+      });
+    }
+    return result;
+  }, []);
+
+  const close = useCallback(() => setReview(null), []);
+
+  return { review, load, close };
+};
+
 // Loading Screen Component
 const LoadingScreen = ({ isVisible, progress, currentStep, steps }) => {
+  const { t } = useI18n();
   if (!isVisible) return null;
 
   return (
@@ -313,7 +6091,7 @@ const LoadingScreen = ({ isVisible, progress, currentStep, steps }) => {
           <div className="progress-bar">
             <div className="progress-fill" style={{ width: `${progress}%` }}></div>
           </div>
-          <div className="loading-text">{currentStep}</div>
+          <div className="loading-text">{currentStep && t(currentStep)}</div>
         </div>
         <div className="loading-steps">
           {steps.map((step, index) => (
@@ -321,7 +6099,7 @@ const LoadingScreen = ({ isVisible, progress, currentStep, steps }) => {
               key={index}
               className={`step ${step.status}`}
             >
-              {step.status === 'completed' ? '✅' : step.status === 'error' ? '❌' : step.status === 'active' ? '⏳' : '⏳'} {step.text}
+              {step.status === 'completed' ? '✅' : step.status === 'error' ? '❌' : step.status === 'active' ? '⏳' : '⏳'} {t(step.text)}
             </div>
           ))}
         </div>
@@ -331,8 +6109,11 @@ const LoadingScreen = ({ isVisible, progress, currentStep, steps }) => {
 };
 
 // Navigation Component
-const Navigation = ({ apiStatus, onThemeToggle, onExport }) => {
+const Navigation = ({ apiStatus, onThemeToggle, onExport, onImport, isRecording, isReplaying, onToggleRecording, onLoadSession }) => {
+  const { t } = useI18n();
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const sessionInputRef = useRef(null);
+  const importInputRef = useRef(null);
 
   useEffect(() => {
     const handleOnline = () => setIsOnline(true);
@@ -352,44 +6133,221 @@ const Navigation = ({ apiStatus, onThemeToggle, onExport }) => {
       <div className="nav-container">
         <div className="nav-brand">
           <h2>🌡️ ThermoSense</h2>
-          <span className="nav-subtitle">React Real-Time Monitoring</span>
+          <span className="nav-subtitle">{t('nav.subtitle')}</span>
         </div>
         <div className="nav-controls">
           <div className="api-status">
-            <div className="api-indicator">
-              <span className={`api-dot ${apiStatus.battery}`}></span>
-              <span className="api-label">Battery</span>
-            </div>
-            <div className="api-indicator">
-              <span className={`api-dot ${apiStatus.weather}`}></span>
-              <span className="api-label">Weather</span>
-            </div>
-            <div className="api-indicator">
-              <span className={`api-dot ${apiStatus.performance}`}></span>
-              <span className="api-label">Performance</span>
-            </div>
+            {apiStatus.map(sensor => (
+              <div
+                key={sensor.metric}
+                className="api-indicator"
+                title={`${t(sensor.providerLabel)}: ${t(`status.${sensor.status}`)}${sensor.error ? ` - ${sensor.error}` : ''}`}
+              >
+                <span className={`api-dot ${sensor.status}`}></span>
+                <span className="api-label">{t(sensor.label)}</span>
+              </div>
+            ))}
           </div>
           <div className="connection-status">
             <span className={`status-dot ${isOnline ? 'online' : 'offline'}`}></span>
-            <span>{isOnline ? 'Online' : 'Offline'}</span>
+            <span>{isOnline ? t('nav.online') : t('nav.offline')}</span>
           </div>
-          <button className="btn btn--sm" onClick={onThemeToggle}>🌙</button>
-          <button className="btn btn--sm" onClick={onExport}>📊 Export</button>
+          <button className="btn btn--sm" onClick={onThemeToggle} title={t('nav.theme')}>🌙</button>
+          <button
+            className={`btn btn--sm ${isRecording ? 'btn--primary' : ''}`}
+            onClick={onToggleRecording}
+            disabled={isReplaying}
+          >
+            {isRecording ? t('nav.stopRecording') : t('nav.record')}
+          </button>
+          <button
+            className="btn btn--sm"
+            onClick={() => sessionInputRef.current?.click()}
+            disabled={isRecording}
+          >
+            {t('nav.replay')}
+          </button>
+          <input
+            ref={sessionInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onLoadSession(file);
+            }}
+          />
+          <button className="btn btn--sm" onClick={onExport}>{t('nav.export')}</button>
+          <button className="btn btn--sm" onClick={() => importInputRef.current?.click()}>{t('nav.import')}</button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept="application/json,.json,.ndjson"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files[0];
+              e.target.value = '';
+              if (file) onImport(file);
+            }}
+          />
         </div>
       </div>
     </nav>
   );
 };
 
+// Session Replay Bar Component
+const SessionReplayBar = ({ player }) => {
+  const { t, dateTime } = useI18n();
+  const { session, position, isPlaying, speed } = player;
+
+  const passed = useMemo(() => player.comparison.filter(row => row.t <= position), [player.comparison, position]);
+  const recordedAlerts = passed.filter(row => row.recordedAt !== null).length;
+  const replayedAlerts = passed.filter(row => row.replayedAt !== null).length;
+  const matchingAlerts = passed.filter(row => row.recordedAt !== null && row.replayedAt !== null).length;
+  const showTime = (t) => (t === null ? '—' : sessionUtils.formatClock(t));
+
+  return (
+    <div className="replay-bar card">
+      <div className="replay-info">
+        <strong>{t('replay.title')}</strong>
+        <span>{t('replay.recorded', { time: dateTime(session.startedAt) })}</span>
+        <span>{t('replay.alerts', { recorded: recordedAlerts, replayed: replayedAlerts, matching: matchingAlerts })}</span>
+      </div>
+      {passed.length > 0 && (
+        <details className="replay-compare">
+          <summary>{t('replay.compare')}</summary>
+          <table>
+            <thead>
+              <tr>
+                <th>{t('replay.compare.rule')}</th>
+                <th>{t('replay.compare.change')}</th>
+                <th>{t('replay.compare.recorded')}</th>
+                <th>{t('replay.compare.replayed')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {passed.map(row => (
+                <tr
+                  key={`${row.ruleId}-${row.active}-${row.t}`}
+                  className={row.recordedAt === null || row.replayedAt === null ? 'replay-compare--mismatch' : ''}
+                >
+                  <td>{row.ruleId}</td>
+                  <td>{row.active ? t('replay.compare.raised') : t('replay.compare.cleared')}</td>
+                  <td>{showTime(row.recordedAt)}</td>
+                  <td>{showTime(row.replayedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+      <div className="replay-controls">
+        <button className="btn btn--sm btn--primary" onClick={isPlaying ? player.pause : player.play}>
+          {isPlaying ? t('replay.pause') : t('replay.play')}
+        </button>
+        <input
+          type="range"
+          className="replay-seek"
+          min="0"
+          max={session.duration}
+          step="1000"
+          value={position}
+          onChange={(e) => player.seek(Number(e.target.value))}
+        />
+        <span className="replay-clock">
+          {sessionUtils.formatClock(position)} / {sessionUtils.formatClock(session.duration)}
+        </span>
+        <select
+          className="form-control replay-speed"
+          value={speed}
+          onChange={(e) => player.setSpeed(Number(e.target.value))}
+        >
+          {SESSION_REPLAY_SPEEDS.map(option => (
+            <option key={option} value={option}>{t('common.speed', { speed: option })}</option>
+          ))}
+        </select>
+        <button className="btn btn--sm btn--outline" onClick={player.unload}>{t('replay.exit')}</button>
+      </div>
+    </div>
+  );
+};
+
+// Simulator Bar Component
+const SimulatorBar = ({ simulator, settings }) => {
+  const { t } = useI18n();
+  const { scenario, elapsed, isRunning } = simulator;
+  const duration = scenario.duration * 60000;
+
+  return (
+    <div className="replay-bar card">
+      <div className="replay-info">
+        <strong>{t('simulator.title', { name: t(scenario.name) })}</strong>
+        <span>
+          {t('simulator.details', { seed: String(settings.simulatorSeed), speed: t('common.speed', { speed: settings.simulatorSpeed }) })}
+          {!isRunning && ` · ${t('simulator.finished')}`}
+        </span>
+      </div>
+      <div className="replay-controls">
+        <progress className="replay-seek" max={duration} value={elapsed} />
+        <span className="replay-clock">
+          {sessionUtils.formatClock(elapsed)} / {sessionUtils.formatClock(duration)}
+        </span>
+        <button className="btn btn--sm btn--outline" onClick={() => simulator.start(scenario, settings.simulatorSeed)}>
+          {t('simulator.restart')}
+        </button>
+        <button className="btn btn--sm btn--outline" onClick={simulator.stop}>{t('simulator.stop')}</button>
+      </div>
+    </div>
+  );
+};
+
+// Review Bar Component
+const ReviewBar = ({ review, onClose }) => {
+  const { t, dateTime } = useI18n();
+  const { metadata } = review;
+  const profile = THERMAL_PROFILES[metadata.deviceProfile];
+  const flags = ['simulated', 'replaying'].filter(flag => metadata.provenance?.[flag]);
+
+  return (
+    <div className="replay-bar review-bar card">
+      <div className="replay-info">
+        <strong>{t('review.title', { name: review.name })}</strong>
+        <span>
+          {t('review.range', { from: dateTime(review.from), to: dateTime(review.to) })}
+          {' · '}
+          {t('review.counts', { samples: review.samples.length, notifications: review.notifications.length })}
+        </span>
+        <span>
+          {review.version === 1
+            ? t('review.legacy')
+            : t('review.source', {
+              app: metadata.app?.version ?? '?',
+              profile: profile ? t(profile.label) : t('common.unknown'),
+              exportedAt: dateTime(metadata.exportedAt)
+            })}
+          {flags.map(flag => ` · ${t(`review.flag.${flag}`)}`).join('')}
+        </span>
+      </div>
+      <div className="replay-controls">
+        <span className="form-hint">{t('review.readOnly')}</span>
+        <button className="btn btn--sm btn--outline" onClick={onClose}>{t('review.exit')}</button>
+      </div>
+    </div>
+  );
+};
+
 // Sidebar Component
 const Sidebar = ({ activeTab, onTabChange, notificationCount }) => {
+  const { t } = useI18n();
   const tabs = [
-    { id: 'dashboard', label: '📊 Live Dashboard' },
-    { id: 'monitoring', label: '📈 Real-Time Chart' },
-    // { id: 'analytics', label: '🔍 Analytics' },
-    { id: 'advisory', label: '🤖 AI Advisory' },
-    { id: 'notifications', label: '🔔 Alerts', badge: notificationCount },
-    { id: 'settings', label: '⚙️ Settings' }
+    { id: 'dashboard', label: t('tab.dashboard') },
+    { id: 'monitoring', label: t('tab.monitoring') },
+    { id: 'analytics', label: t('tab.analytics') },
+    { id: 'advisory', label: t('tab.advisory') },
+    { id: 'notifications', label: t('tab.notifications'), badge: notificationCount },
+    { id: 'settings', label: t('tab.settings') }
   ];
 
   return (
@@ -416,25 +6374,42 @@ const Sidebar = ({ activeTab, onTabChange, notificationCount }) => {
   );
 };
 
+// ETA Value Component - the Battery API figure and the trend estimate side by side
+const EtaValue = ({ apiSeconds, estimate }) => {
+  const format = useI18n();
+  const { t } = format;
+  const hasApi = Number.isFinite(apiSeconds) && apiSeconds > 0;
+
+  if (!hasApi && !estimate) return <span className="eta-value">{t('common.notAvailable')}</span>;
+
+  return (
+    <span className="eta-value">
+      {hasApi && <span>{t('eta.api', { time: analyticsUtils.formatDuration(apiSeconds * 1000, format) })}</span>}
+      {estimate && (
+        <span className="eta-estimate">
+          {t(hasApi ? 'eta.estimate' : 'eta.estimateOnly', { time: analyticsUtils.formatDuration(estimate.minutes * 60000, format) })}
+          <span className={`eta-confidence eta-confidence--${estimate.confidence}`}>{t(`eta.confidence.${estimate.confidence}`)}</span>
+        </span>
+      )}
+    </span>
+  );
+};
+
 // Battery Status Component
-const BatteryStatus = ({ batteryData, onRetry }) => {
+const BatteryStatus = ({ batteryData, eta, onRetry }) => {
+  const { settings } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t, number } = format;
   const getBatteryColor = (level) => {
     if (level < 20) return 'var(--color-error)';
     if (level < 50) return 'var(--color-warning)';
     return 'var(--color-success)';
   };
 
-  const formatTime = (seconds) => {
-    if (seconds === Infinity || !seconds) return 'N/A';
-    const hours = Math.floor(seconds / 3600);
-    const minutes = Math.floor((seconds % 3600) / 60);
-    return `${hours}h ${minutes}m`;
-  };
-
   return (
     <div className="widget card battery-widget">
       <div className="widget-header">
-        <h3>Battery Status</h3>
+        <h3>{t('battery.title')}</h3>
         <div className="widget-status">
           <span className="widget-icon">🔋</span>
           <span className="update-indicator"></span>
@@ -459,22 +6434,30 @@ const BatteryStatus = ({ batteryData, onRetry }) => {
           </div>
           <div className="battery-info">
             <div className="battery-percentage">
-              <span>{batteryData.level}</span>
+              <span>{number(batteryData.level)}</span>
               <span className="unit">%</span>
             </div>
             <div className="battery-details">
-              <span>Status: {batteryData.charging ? 'Charging' : 'Discharging'}</span>
-              <span>Charging: {formatTime(batteryData.chargingTime)}</span>
-              <span>Remaining: {formatTime(batteryData.dischargingTime)}</span>
-              <span>Source: {batteryData.simulated ? 'Simulated' : 'Battery API'}</span>
+              <span>{t('battery.status', { status: batteryData.charging ? t('battery.charging') : t('battery.discharging') })}</span>
+              {batteryData.charging ? (
+                <span>{t('battery.timeToFull')} <EtaValue apiSeconds={batteryData.chargingTime} estimate={eta?.full} /></span>
+              ) : (
+                <span>{t('battery.timeToEmpty')} <EtaValue apiSeconds={batteryData.dischargingTime} estimate={eta?.empty} /></span>
+              )}
+              {eta?.low && (
+                <span>
+                  {t('battery.timeToLow', { level: format.percent(settings.batteryLow) })} <EtaValue estimate={eta.low} />
+                </span>
+              )}
+              <span>{t('battery.source', { source: batteryData.simulated ? t('provider.simulated') : t('battery.api') })}</span>
             </div>
           </div>
         </div>
       ) : (
         <div style={{ padding: '20px', textAlign: 'center' }}>
-          <p>Initializing battery monitoring...</p>
+          <p>{t('loading.battery')}</p>
           <button className="btn btn--sm btn--outline" onClick={onRetry}>
-            Retry Connection
+            {t('common.retryConnection')}
           </button>
         </div>
       )}
@@ -484,10 +6467,15 @@ const BatteryStatus = ({ batteryData, onRetry }) => {
 
 // Weather Widget Component
 const WeatherWidget = ({ weatherData, onRetry }) => {
+  const { settings } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
+  const forecast = weatherUtils.upcoming(weatherData?.forecast);
+
   return (
     <div className="widget card weather-widget">
       <div className="widget-header">
-        <h3>Live Weather</h3>
+        <h3>{t('weather.title')}</h3>
         <div className="widget-status">
           <span className="widget-icon">{weatherData ? weatherUtils.getWeatherIcon(weatherData.weatherCode) : '🌤️'}</span>
           <span className="update-indicator"></span>
@@ -496,36 +6484,62 @@ const WeatherWidget = ({ weatherData, onRetry }) => {
       {weatherData ? (
         <div className="weather-info">
           <div className="weather-main">
-            <span className="weather-temp">{Math.round(weatherData.temperature)}°C</span>
+            <span className="weather-temp">{format.temp(weatherData.temperature, 0)}</span>
             <div className="weather-details">
               <div className="weather-location">
-                {weatherData.fallback ? 'Default Location' : 'Current Location'}
+                {weatherData.fallback ? t('weather.defaultLocation') : t('weather.currentLocation')}
               </div>
               <div className="weather-condition">
-                {weatherUtils.getWeatherDescription(weatherData.weatherCode)}
+                {weatherUtils.getWeatherDescription(weatherData.weatherCode, format)}
               </div>
             </div>
           </div>
           <div className="weather-metrics">
             <div className="metric">
-              <span className="metric-label">Humidity</span>
-              <span className="metric-value">{weatherData.humidity}%</span>
+              <span className="metric-label">{t('weather.humidity')}</span>
+              <span className="metric-value">{format.percent(weatherData.humidity)}</span>
             </div>
             <div className="metric">
-              <span className="metric-label">Wind</span>
-              <span className="metric-value">{Math.round(weatherData.windSpeed)} km/h</span>
+              <span className="metric-label">{t('weather.wind')}</span>
+              <span className="metric-value">{format.speed(weatherData.windSpeed)}</span>
             </div>
             <div className="metric">
-              <span className="metric-label">UV Index</span>
-              <span className="metric-value">{weatherData.uvIndex}</span>
+              <span className="metric-label">{t('weather.uvIndex')}</span>
+              <span className="metric-value">{format.number(weatherData.uvIndex)}</span>
             </div>
           </div>
+          {forecast.length > 0 && (
+            <div className="forecast-strip" aria-label={t('weather.forecast', { count: forecast.length })}>
+              {forecast.map(hour => {
+                const risk = hour.temperature >= settings.ambientHigh ? 'hot' : hour.temperature <= settings.ambientLow ? 'cold' : null;
+                return (
+                  <div
+                    key={hour.time}
+                    className={`forecast-hour ${risk ? `forecast-hour--${risk}` : ''}`}
+                    title={t('weather.forecastHour', {
+                      description: weatherUtils.getWeatherDescription(hour.weatherCode, format),
+                      humidity: format.percent(hour.humidity),
+                      uvIndex: hour.uvIndex
+                    })}
+                  >
+                    <span className="forecast-time">
+                      {new Date(hour.time).getHours() === 0
+                        ? format.date(hour.time, { weekday: 'short' })
+                        : weatherUtils.formatHour(hour.time, format)}
+                    </span>
+                    <span className="forecast-icon">{weatherUtils.getWeatherIcon(hour.weatherCode)}</span>
+                    <span className="forecast-temp">{format.number(format.tempValue(hour.temperature))}°</span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
         </div>
       ) : (
         <div style={{ padding: '20px', textAlign: 'center' }}>
-          <p>Loading weather data...</p>
+          <p>{t('weather.loading')}</p>
           <button className="btn btn--sm btn--outline" onClick={onRetry}>
-            Retry Connection
+            {t('common.retryConnection')}
           </button>
         </div>
       )}
@@ -534,11 +6548,26 @@ const WeatherWidget = ({ weatherData, onRetry }) => {
 };
 
 // Device Info Component
+const CPU_LOAD_SOURCES = {
+  'compute-pressure': 'device.cpuSource.computePressure',
+  'event-loop': 'device.cpuSource.eventLoop'
+};
+
+const THROTTLING_STATES = {
+  learning: { label: 'throttling.learning', className: 'status--info' },
+  none: { label: 'throttling.none', className: 'status--success' },
+  possible: { label: 'throttling.possible', className: 'status--warning' },
+  likely: { label: 'throttling.likely', className: 'status--error' }
+};
+
 const DeviceInfo = ({ performanceData }) => {
+  const { t, number, percent } = useI18n();
+  const throttling = performanceData.throttling;
+
   return (
     <div className="widget card performance-widget">
       <div className="widget-header">
-        <h3>System Performance</h3>
+        <h3>{t('device.title')}</h3>
         <div className="widget-status">
           <span className="widget-icon">📊</span>
           <span className="update-indicator"></span>
@@ -546,7 +6575,7 @@ const DeviceInfo = ({ performanceData }) => {
       </div>
       <div className="performance-info">
         <div className="perf-metric">
-          <span className="perf-label">Memory Usage</span>
+          <span className="perf-label">{t('device.memory')}</span>
           <div className="perf-bar">
             <div
               className="perf-fill"
@@ -556,24 +6585,38 @@ const DeviceInfo = ({ performanceData }) => {
             ></div>
           </div>
           <span className="perf-value">
-            {performanceData.memory ? `${performanceData.memory.used} MB` : '-- MB'}
+            {t('device.megabytes', { value: performanceData.memory ? number(performanceData.memory.used) : '--' })}
           </span>
         </div>
         <div className="perf-metric">
-          <span className="perf-label">CPU Load Est.</span>
+          <span className="perf-label" title={t(CPU_LOAD_SOURCES[performanceData.cpuLoadSource] || 'device.cpuSource.provider')}>
+            {t('device.cpuLoad')}
+          </span>
           <div className="perf-bar">
             <div className="perf-fill" style={{ width: `${performanceData.cpuLoad || 0}%` }}></div>
           </div>
-          <span className="perf-value">{performanceData.cpuLoad || 0}%</span>
+          <span className="perf-value">{percent(performanceData.cpuLoad || 0)}</span>
         </div>
+        {throttling && (
+          <div className="perf-metric">
+            <span className="perf-label">{t('device.throttling')}</span>
+            <span
+              className={`status ${THROTTLING_STATES[throttling.state].className}`}
+              title={throttling.baselineMs ? t('device.benchmarkBaseline', { value: throttling.baselineMs }) : undefined}
+            >
+              {t(THROTTLING_STATES[throttling.state].label)}
+              {throttling.slowdown !== null && ` (${t('common.speed', { speed: throttling.slowdown })})`}
+            </span>
+          </div>
+        )}
         <div className="perf-metric">
-          <span className="perf-label">Network</span>
+          <span className="perf-label">{t('device.network')}</span>
           <span className="perf-value">
-            {performanceData.network?.effectiveType || 'Unknown'}
+            {performanceData.network?.effectiveType || t('common.unknown')}
           </span>
         </div>
         <div className="perf-metric">
-          <span className="perf-label">CPU Cores</span>
+          <span className="perf-label">{t('device.cores')}</span>
           <span className="perf-value">{performanceData.cores || 4}</span>
         </div>
       </div>
@@ -581,8 +6624,38 @@ const DeviceInfo = ({ performanceData }) => {
   );
 };
 
-// Health Analysis Component
-const HealthAnalysis = ({ healthData }) => {
+// Health Analysis Component
+const CapacityTrend = ({ daily, trend }) => {
+  const width = 200;
+  const height = 48;
+  const values = daily.map(point => point.capacity);
+  const trendValues = trend ? daily.map(point => trend.intercept + trend.slope * (point.day - daily[0].day) / DAY_MS) : [];
+  const min = Math.min(...values, ...trendValues) - 0.1;
+  const max = Math.max(...values, ...trendValues) + 0.1;
+  const toPoints = (series) => series.map((value, i) => {
+    const x = daily.length > 1 ? i / (daily.length - 1) * width : width / 2;
+    const y = height - (value - min) / (max - min) * height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg className="capacity-trend" viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none">
+      <polyline className="capacity-trend-line" points={toPoints(values)} />
+      {trend && <polyline className="capacity-trend-fit" points={toPoints(trendValues)} />}
+    </svg>
+  );
+};
+
+const HealthAnalysis = ({ healthData, capacity }) => {
+  const { t, percent, temp } = useI18n();
+  const formatValue = (value, unit) => unit === 'temperature' ? temp(value) : percent(value);
+
+  const factorImpact = (factor) => {
+    if (factor.status === 'noData') return t('health.input.noData');
+    if (factor.status === 'notApplicable') return t('health.notApplicable');
+    return factor.impact > 0 ? t('health.points', { points: factor.impact }) : t('health.noImpact');
+  };
+
   const getHealthColor = (score) => {
     if (score > 80) return 'var(--color-success)';
     if (score > 60) return 'var(--color-warning)';
@@ -595,7 +6668,7 @@ const HealthAnalysis = ({ healthData }) => {
   return (
     <div className="widget card health-widget">
       <div className="widget-header">
-        <h3>Battery Health Impact</h3>
+        <h3>{t('health.title')}</h3>
         <span className="widget-icon">❤️</span>
       </div>
       <div className="health-analysis">
@@ -614,38 +6687,176 @@ const HealthAnalysis = ({ healthData }) => {
                 }}
               ></circle>
             </svg>
-            <div className="health-percentage">{healthData.healthScore}%</div>
+            <div className="health-percentage">{percent(healthData.healthScore)}</div>
           </div>
+          <div className="health-caption">{t('health.caption')}</div>
         </div>
         <div className="health-factors">
-          <div className="factor">
-            <span className="factor-label">Temperature</span>
-            <span className="factor-impact">
-              {healthData.alertLevel === 'danger' ? 'High' : 
-               healthData.alertLevel === 'warning' ? 'Medium' : 'Low'}
-            </span>
-          </div>
-          <div className="factor">
-            <span className="factor-label">Usage Pattern</span>
-            <span className="factor-impact">Normal</span>
-          </div>
-          <div className="factor">
-            <span className="factor-label">Environment</span>
-            <span className="factor-impact">Good</span>
-          </div>
+          {healthData.factors.map(factor => (
+            <div key={factor.id} className="factor">
+              <span className="factor-label">{t(`health.factor.${factor.id}`)}</span>
+              <span className={`factor-impact factor-impact--${factor.alertLevel}`}>{factorImpact(factor)}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <details className="health-breakdown">
+        <summary>{t('health.why')}</summary>
+        <p className="health-breakdown-total">
+          {t('health.formula', {
+            score: percent(healthData.healthScore),
+            deductions: healthData.factors.reduce((sum, factor) => sum + factor.impact, 0)
+          })}
+        </p>
+        <ul>
+          {healthData.factors.map(factor => (
+            <li key={factor.id}>
+              <strong>{t(`health.factor.${factor.id}`)}</strong>
+              {' · '}
+              {factor.value === null ? t('health.input.noData') : t('health.input.value', { value: formatValue(factor.value, factor.unit) })}
+              {factor.requires && <span className="health-breakdown-note"> · {t(`health.requires.${factor.requires}`)}</span>}
+              <ul>
+                {factor.checks.map(check => (
+                  <li key={check.id} className={check.fired ? 'health-check health-check--fired' : 'health-check'}>
+                    {t(`health.check.${check.direction}`, { limit: formatValue(check.limit, factor.unit) })}
+                    {' → '}
+                    {t('health.points', { points: check.impact })}
+                    {check.fired && ` · ${t('health.fired')}`}
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      </details>
+      <div className="capacity-estimate">
+        <div className="factor">
+          <span className="factor-label">{t('health.capacity')}</span>
+          <span className="capacity-value">{capacity?.capacity !== null && capacity?.capacity !== undefined ? percent(capacity.capacity, 1) : '--'}</span>
         </div>
+        {capacity?.capacity === null || capacity?.capacity === undefined ? (
+          <p className="capacity-detail">
+            {t('health.learning', {
+              required: CAPACITY_MIN_MONITORED / 60000,
+              monitored: Math.round((capacity?.monitoredMs || 0) / 60000)
+            })}
+          </p>
+        ) : (
+          <>
+            {capacity.daily.length > 1 && <CapacityTrend daily={capacity.daily} trend={capacity.trend} />}
+            <p className="capacity-detail">
+              {t('health.aging', {
+                calendar: capacity.calendarLoss,
+                cycle: capacity.cycleLoss,
+                cycles: capacity.equivalentCycles
+              })}
+            </p>
+            {capacity.trend && (
+              <p className="capacity-detail">
+                {t('health.trend', { sign: capacity.trend.slopePerMonth > 0 ? '+' : '', slope: capacity.trend.slopePerMonth })}
+                {capacity.trend.daysToEndOfLife !== null && ` · ${t('health.endOfLife', {
+                  level: percent(CAPACITY_END_OF_LIFE),
+                  days: capacity.trend.daysToEndOfLife
+                })}`}
+              </p>
+            )}
+          </>
+        )}
       </div>
     </div>
   );
 };
 
+// Chart utilities
+const chartUtils = {
+  // Time axis labels in the preferred locale
+  formatLabel: (timestamp, format = i18n.create()) => format.time(timestamp),
+
+  // One point per device temperature sample, paired with the latest ambient and battery values
+  buildSeries: (samples, limit = 50) => {
+    let ambientTemp = 22;
+    let batteryLevel = 75;
+    const points = [];
+
+    samples.forEach(sample => {
+      if (sample.series === 'weather') ambientTemp = sample.value.temperature;
+      else if (sample.series === 'battery') batteryLevel = sample.value.level;
+      else if (sample.series === 'deviceTemp') points.push({ timestamp: sample.timestamp, deviceTemp: sample.value, ambientTemp, batteryLevel });
+    });
+
+    const recent = points.slice(-limit);
+    return {
+      timestamps: recent.map(point => point.timestamp),
+      deviceTemps: recent.map(point => point.deviceTemp),
+      ambientTemps: recent.map(point => point.ambientTemp),
+      batteryLevels: recent.map(point => point.batteryLevel)
+    };
+  },
+
+  // Values at the chart points nearest each anomaly of the given metrics, null elsewhere
+  markers: (timestamps, values, anomalies, metrics) => {
+    const marked = timestamps.map(() => null);
+    if (timestamps.length === 0) return marked;
+    const first = timestamps[0];
+    const last = timestamps[timestamps.length - 1];
+
+    anomalies
+      .filter(anomaly => metrics.includes(anomaly.metric) && anomaly.timestamp >= first && anomaly.timestamp <= last)
+      .forEach(anomaly => {
+        let nearest = 0;
+        timestamps.forEach((timestamp, index) => {
+          if (Math.abs(timestamp - anomaly.timestamp) < Math.abs(timestamps[nearest] - anomaly.timestamp)) nearest = index;
+        });
+        marked[nearest] = values[nearest];
+      });
+    return marked;
+  },
+
+  // Forecast timestamps past the last chart point, and the projection and its band as °C series
+  // aligned to the extended axis; the projection starts at the last measured value
+  projection: (timestamps, deviceTemps, forecast) => {
+    const empty = { timestamps: [], line: [], upper: [], lower: [] };
+    if (!forecast || deviceTemps.length === 0) return empty;
+    const last = deviceTemps[deviceTemps.length - 1];
+    const lastTimestamp = timestamps[timestamps.length - 1];
+    const points = forecast.points.filter(point => point.timestamp > lastTimestamp);
+    if (points.length === 0) return empty;
+    const gap = deviceTemps.slice(0, -1).map(() => null);
+
+    return {
+      timestamps: points.map(point => point.timestamp),
+      line: [...gap, last, ...points.map(point => point.value)],
+      upper: [...gap, last, ...points.map(point => point.upper)],
+      lower: [...gap, last, ...points.map(point => point.lower)]
+    };
+  },
+
+  // Evenly spaced subset of a built series, so long reviewed ranges stay readable
+  thin: (series, maxPoints) => {
+    const step = Math.ceil(series.timestamps.length / maxPoints);
+    if (step <= 1) return series;
+    return Object.fromEntries(Object.entries(series).map(([key, values]) => [
+      key,
+      values.filter((value, index) => index % step === 0)
+    ]));
+  }
+};
+
 // Chart Display Component
 const ChartDisplay = ({ isVisible }) => {
   const chartRef = useRef(null);
   const chartInstance = useRef(null);
-  const { batteryData, weatherData, deviceTemp } = useContext(ThermoSenseContext);
+  const { batteryData, weatherData, deviceTemp, settings, replay, review, anomalies, tempForecast } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
+  // Anomalies and the projection come from live data, so replayed and reviewed data are shown without them
+  const shownAnomalies = useMemo(() => (replay || review ? [] : anomalies), [Boolean(replay), review, anomalies]);
+  const shownForecast = replay || review ? null : tempForecast;
+  const latestReadings = useRef({});
+  latestReadings.current = { batteryData, weatherData, deviceTemp };
+  // Timestamps and °C values; labels and units are applied when drawing
   const [chartData, setChartData] = useState({
-    labels: [],
+    timestamps: [],
     deviceTemps: [],
     ambientTemps: [],
     batteryLevels: []
@@ -662,7 +6873,6 @@ const ChartDisplay = ({ isVisible }) => {
           labels: [],
           datasets: [
             {
-              label: 'Device Temperature',
               data: [],
               borderColor: '#1FB8CD',
               backgroundColor: 'rgba(31, 184, 205, 0.1)',
@@ -671,7 +6881,6 @@ const ChartDisplay = ({ isVisible }) => {
               yAxisID: 'y'
             },
             {
-              label: 'Ambient Temperature',
               data: [],
               borderColor: '#FFC185',
               backgroundColor: 'rgba(255, 193, 133, 0.1)',
@@ -680,13 +6889,53 @@ const ChartDisplay = ({ isVisible }) => {
               yAxisID: 'y'
             },
             {
-              label: 'Battery Level',
               data: [],
               borderColor: '#B4413C',
               backgroundColor: 'rgba(180, 65, 60, 0.1)',
               tension: 0.4,
               fill: false,
               yAxisID: 'y1'
+            },
+            {
+              data: [],
+              borderColor: '#DB4545',
+              backgroundColor: '#DB4545',
+              showLine: false,
+              pointStyle: 'triangle',
+              pointRadius: 7,
+              yAxisID: 'y'
+            },
+            {
+              data: [],
+              borderColor: '#DB4545',
+              backgroundColor: '#DB4545',
+              showLine: false,
+              pointStyle: 'triangle',
+              pointRadius: 7,
+              yAxisID: 'y1'
+            },
+            {
+              data: [],
+              borderColor: '#1FB8CD',
+              borderDash: [6, 4],
+              pointRadius: 0,
+              fill: false,
+              yAxisID: 'y'
+            },
+            {
+              data: [],
+              borderColor: 'transparent',
+              backgroundColor: 'rgba(31, 184, 205, 0.15)',
+              pointRadius: 0,
+              fill: '+1',
+              yAxisID: 'y'
+            },
+            {
+              data: [],
+              borderColor: 'transparent',
+              pointRadius: 0,
+              fill: false,
+              yAxisID: 'y'
             }
           ]
         },
@@ -700,9 +6949,7 @@ const ChartDisplay = ({ isVisible }) => {
               type: 'linear',
               display: true,
               position: 'left',
-              min: 15,
-              max: 55,
-              title: { display: true, text: 'Temperature (°C)' }
+              title: { display: true }
             },
             y1: {
               type: 'linear',
@@ -710,7 +6957,7 @@ const ChartDisplay = ({ isVisible }) => {
               position: 'right',
               min: 0,
               max: 100,
-              title: { display: true, text: 'Battery Level (%)' },
+              title: { display: true },
               grid: { drawOnChartArea: false }
             }
           }
@@ -726,77 +6973,120 @@ const ChartDisplay = ({ isVisible }) => {
     };
   }, [isVisible]);
 
+  // Draw the data in the preferred units and language
+  useEffect(() => {
+    const chart = chartInstance.current;
+    if (!chart) return;
+
+    const [device, ambient, battery, tempMarkers, drainMarkers, projection, upper, lower] = chart.data.datasets;
+    device.label = t('chart.deviceTemp');
+    ambient.label = t('chart.ambientTemp');
+    battery.label = t('chart.batteryLevel');
+    tempMarkers.label = t('chart.anomaly');
+    drainMarkers.label = t('chart.anomaly');
+    projection.label = t('chart.projection');
+    upper.label = t('chart.projectionBand');
+    lower.label = t('chart.projectionBand');
+    chart.options.scales.y.min = Math.round(format.tempValue(15));
+    chart.options.scales.y.max = Math.round(format.tempValue(55));
+    chart.options.scales.y.title.text = t('chart.temperatureAxis', { unit: format.tempUnit });
+    chart.options.scales.y1.title.text = t('chart.batteryAxis');
+
+    const future = chartUtils.projection(chartData.timestamps, chartData.deviceTemps, shownForecast);
+    const padding = future.timestamps.map(() => null);
+    const toUnit = (value) => (value === null ? null : format.tempValue(value));
+    chart.data.labels = [...chartData.timestamps, ...future.timestamps].map(timestamp => chartUtils.formatLabel(timestamp, format));
+    device.data = chartData.deviceTemps.map(format.tempValue);
+    ambient.data = chartData.ambientTemps.map(format.tempValue);
+    battery.data = [...chartData.batteryLevels];
+    tempMarkers.data = [...chartUtils.markers(chartData.timestamps, device.data, shownAnomalies, ['deviceTemp', 'tempRate']), ...padding];
+    drainMarkers.data = [...chartUtils.markers(chartData.timestamps, battery.data, shownAnomalies, ['drainRate']), ...padding];
+    device.data.push(...padding);
+    ambient.data.push(...padding);
+    battery.data.push(...padding);
+    projection.data = future.line.map(toUnit);
+    upper.data = future.upper.map(toUnit);
+    lower.data = future.lower.map(toUnit);
+    chart.update('none');
+  }, [isVisible, chartData, format, shownAnomalies, shownForecast]);
+
+  // Seed the chart from recorded history so it survives tab switches and reloads
+  useEffect(() => {
+    if (!isVisible || replay || review) return;
+    let cancelled = false;
+
+    historyStore.query({ series: ['deviceTemp', 'weather', 'battery'], from: Date.now() - 24 * 60 * 60 * 1000 }).then(samples => {
+      if (!cancelled && chartInstance.current) setChartData(chartUtils.buildSeries(samples));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isVisible, Boolean(replay), Boolean(review)]);
+
+  // An imported file is shown whole and does not move
+  useEffect(() => {
+    if (!isVisible || !review || !chartInstance.current) return;
+    setChartData(chartUtils.thin(chartUtils.buildSeries(review.samples, Infinity), REVIEW_CHART_POINTS));
+  }, [isVisible, review]);
+
+  // During replay the chart follows the session clock
   useEffect(() => {
-    if (!chartInstance.current || isPaused) return;
+    if (!isVisible || !replay || !chartInstance.current) return;
+    setChartData(chartUtils.buildSeries(sessionUtils.samplesUntil(replay.session, replay.position)));
+  }, [isVisible, replay?.session, replay?.position]);
+
+  useEffect(() => {
+    if (!chartInstance.current || isPaused || replay || review) return;
 
     const interval = setInterval(() => {
-      const timeLabel = new Date().toLocaleTimeString('en-US', {
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit'
-      });
+      const { batteryData, weatherData, deviceTemp } = latestReadings.current;
 
       setChartData(prev => {
         const newData = {
-          labels: [...prev.labels, timeLabel],
+          timestamps: [...prev.timestamps, Date.now()],
           deviceTemps: [...prev.deviceTemps, deviceTemp || 25],
           ambientTemps: [...prev.ambientTemps, weatherData?.temperature || 22],
           batteryLevels: [...prev.batteryLevels, batteryData?.level || 75]
         };
 
         // Keep only last 50 data points
-        if (newData.labels.length > 50) {
-          newData.labels.shift();
+        if (newData.timestamps.length > 50) {
+          newData.timestamps.shift();
           newData.deviceTemps.shift();
           newData.ambientTemps.shift();
           newData.batteryLevels.shift();
         }
 
-        // Update chart
-        if (chartInstance.current) {
-          chartInstance.current.data.labels = [...newData.labels];
-          chartInstance.current.data.datasets[0].data = [...newData.deviceTemps];
-          chartInstance.current.data.datasets[1].data = [...newData.ambientTemps];
-          chartInstance.current.data.datasets[2].data = [...newData.batteryLevels];
-          chartInstance.current.update('none');
-        }
-
         return newData;
       });
-    }, 30000);
+    }, settings.chartInterval);
 
     return () => clearInterval(interval);
-  }, [isPaused, deviceTemp, weatherData, batteryData]);
+  }, [isPaused, settings.chartInterval, Boolean(replay), Boolean(review)]);
 
   if (!isVisible) return null;
 
   return (
     <div>
       <div className="monitoring-header">
-        <h1>Live Temperature & Performance Monitor</h1>
-        <div className="chart-controls">
-          <button
-            className="btn btn--sm"
-            onClick={() => {
-              setChartData({ labels: [], deviceTemps: [], ambientTemps: [], batteryLevels: [] });
-              if (chartInstance.current) {
-                chartInstance.current.data.labels = [];
-                chartInstance.current.data.datasets.forEach(dataset => {
-                  dataset.data = [];
-                });
-                chartInstance.current.update();
-              }
-            }}
-          >
-            Reset Chart
-          </button>
-          <button
-            className={`btn btn--sm ${isPaused ? '' : 'btn--primary'}`}
-            onClick={() => setIsPaused(!isPaused)}
-          >
-            {isPaused ? 'Resume' : 'Pause'}
-          </button>
-        </div>
+        <h1>{t('chart.title')}</h1>
+        {!review && (
+          <div className="chart-controls">
+            <button
+              className="btn btn--sm"
+              onClick={() => setChartData({ timestamps: [], deviceTemps: [], ambientTemps: [], batteryLevels: [] })}
+            >
+              {t('chart.reset')}
+            </button>
+            <button
+              className={`btn btn--sm ${isPaused ? '' : 'btn--primary'}`}
+              onClick={() => setIsPaused(!isPaused)}
+            >
+              {isPaused ? t('chart.resume') : t('chart.pause')}
+            </button>
+          </div>
+        )}
       </div>
       <div className="chart-container" style={{ height: '400px', position: 'relative' }}>
         <canvas ref={chartRef}></canvas>
@@ -804,206 +7094,597 @@ const ChartDisplay = ({ isVisible }) => {
       <div className="chart-legend">
         <div className="legend-item">
           <span className="legend-color device"></span>
-          <span>Device Temperature (Estimated)</span>
+          <span>{t('chart.legendDevice')}</span>
         </div>
         <div className="legend-item">
           <span className="legend-color ambient"></span>
-          <span>Ambient Temperature (Weather)</span>
+          <span>{t('chart.legendAmbient')}</span>
         </div>
         <div className="legend-item">
           <span className="legend-color battery"></span>
-          <span>Battery Level</span>
+          <span>{t('chart.batteryLevel')}</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-color anomaly"></span>
+          <span>{t('chart.anomaly')}</span>
+        </div>
+        <div className="legend-item">
+          <span className="legend-color projection"></span>
+          <span>{t('chart.projection')}</span>
         </div>
       </div>
+      {shownForecast && <ForecastSummary forecast={shownForecast} settings={settings} />}
+      {shownAnomalies.length > 0 && (
+        <div className="anomaly-list card">
+          <h4>{t('chart.recentAnomalies')}</h4>
+          <ul>
+            {shownAnomalies.slice(-5).reverse().map(anomaly => (
+              <li key={anomaly.id}>
+                <span className="anomaly-time">{format.dateTime(anomaly.timestamp)}</span>
+                {anomalyDetector.describe(anomaly, format)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   );
 };
 
-// AI Advisory Component
-const AIAdvisory = ({ isVisible, healthData }) => {
+// Forecast Summary Component
+const ForecastSummary = ({ forecast, settings }) => {
+  const { t, temp, tempDelta } = useI18n();
+  const end = forecast.points[forecast.points.length - 1];
+  const { warning, critical } = forecast.crossings;
+  let outlook = t('chart.forecastSteady', { minutes: TEMP_FORECAST_HORIZON });
+  if (critical !== null) outlook = t('chart.forecastCrossing', { limit: temp(settings.tempCritical), minutes: critical });
+  else if (warning !== null) outlook = t('chart.forecastCrossing', { limit: temp(settings.tempWarning), minutes: warning });
+
+  return (
+    <div className={`forecast-summary${critical !== null || warning !== null ? ' forecast-summary--alert' : ''}`}>
+      <span>{t('chart.forecastEnd', { minutes: end.minutes, value: temp(end.value), band: tempDelta((end.upper - end.lower) / 2) })}</span>
+      <span>{outlook}</span>
+    </div>
+  );
+};
+
+// Recommendation Item Component
+const RecommendationItem = ({ recommendation }) => {
+  const { t } = useI18n();
+  const hasMore = recommendation.actions.length > 0 || recommendation.detail;
+
+  return (
+    <li className={`recommendation-item recommendation-item--${recommendation.severity}`}>
+      {recommendation.message}
+      {recommendation.reading && <span className="recommendation-reading"> · {recommendation.reading}</span>}
+      {hasMore && (
+        <details className="recommendation-detail">
+          <summary>{t('recommendation.learnMore')}</summary>
+          {recommendation.detail && <p>{recommendation.detail}</p>}
+          {recommendation.actions.length > 0 && (
+            <ul>
+              {recommendation.actions.map(action => <li key={action}>{action}</li>)}
+            </ul>
+          )}
+        </details>
+      )}
+    </li>
+  );
+};
+
+// Risk Curve Chart Component
+const RISK_CURVE_COLORS = { safe: '#1FB8CD', warning: '#FFC185', danger: '#B4413C' };
+
+const RiskCurveChart = ({ points, variable }) => {
+  const chartRef = useRef(null);
+  const chartInstance = useRef(null);
+  const format = useI18n();
+  const { t } = format;
+
+  useEffect(() => {
+    chartInstance.current = new Chart(chartRef.current.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: [],
+        datasets: [
+          {
+            data: [],
+            borderColor: '#B4413C',
+            backgroundColor: 'rgba(180, 65, 60, 0.1)',
+            stepped: true,
+            fill: true,
+            pointRadius: 3
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        plugins: { legend: { display: false } },
+        scales: {
+          x: { title: { display: true } },
+          y: { min: 0, max: 100, title: { display: true } }
+        }
+      }
+    });
+
+    return () => {
+      chartInstance.current.destroy();
+      chartInstance.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const chart = chartInstance.current;
+    if (!chart) return;
+
+    const { label, unit } = WHAT_IF_SWEEP_VARIABLES[variable];
+    const [curve] = chart.data.datasets;
+    curve.label = t('whatIf.impactAxis');
+    curve.data = points.map(point => point.impact);
+    curve.pointBackgroundColor = points.map(point => RISK_CURVE_COLORS[point.alertLevel]);
+    chart.data.labels = points.map(point => unit === 'temperature'
+      ? format.number(format.tempValue(point.value), 1)
+      : format.number(point.value));
+    chart.options.scales.x.title.text = t(label, { unit: unit === 'temperature' ? format.tempUnit : '%' });
+    chart.options.scales.y.title.text = t('whatIf.impactAxis');
+    chart.update('none');
+  }, [points, variable, format]);
+
+  return (
+    <div className="chart-container risk-curve" style={{ height: '220px', position: 'relative' }}>
+      <canvas ref={chartRef}></canvas>
+    </div>
+  );
+};
+
+// Scenario Comparison Component
+const ScenarioComparison = ({ columns, onRemove }) => {
+  const format = useI18n();
+  const { t, percent, temp } = format;
+  const show = (value, formatter) => (value === null || value === undefined ? '--' : formatter(value));
+
+  return (
+    <div className="scenario-comparison">
+      {columns.map(column => (
+        <div key={column.id} className={`scenario-column${column.live ? ' scenario-column--live' : ''}`}>
+          <div className="scenario-column-header">
+            <strong>{column.name}</strong>
+            {!column.live && (
+              <button
+                className="btn btn--sm btn--outline"
+                onClick={() => onRemove(column.id)}
+                aria-label={t('whatIf.remove', { name: column.name })}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+          <div className={`risk-badge ${column.result.riskLevel}`}>
+            {t(`level.${column.result.riskLevel}`).toUpperCase()} · {percent(column.result.healthScore)}
+          </div>
+          <div className="factor">
+            <span className="factor-label">{t('whatIf.variable.deviceTemp', { unit: format.tempUnit })}</span>
+            <span>{show(column.readings.deviceTemp, temp)}</span>
+          </div>
+          <div className="factor">
+            <span className="factor-label">{t('whatIf.variable.ambientTemp', { unit: format.tempUnit })}</span>
+            <span>{show(column.readings.ambientTemp, temp)}</span>
+          </div>
+          <div className="factor">
+            <span className="factor-label">{t('whatIf.variable.batteryLevel', { unit: '%' })}</span>
+            <span>{show(column.readings.batteryLevel, percent)}</span>
+          </div>
+          <div className="factor">
+            <span className="factor-label">{t('whatIf.variable.cpuLoad', { unit: '%' })}</span>
+            <span>{show(column.readings.cpuLoad, percent)}</span>
+          </div>
+          <div className="factor">
+            <span className="factor-label">{t('custom.usage.charging')}</span>
+            <span>{show(column.readings.charging, charging => t(charging ? 'common.yes' : 'common.no'))}</span>
+          </div>
+          {column.result.factors.map(factor => (
+            <div key={factor.id} className="factor">
+              <span className="factor-label">{t(`health.factor.${factor.id}`)}</span>
+              <span className={`factor-impact factor-impact--${factor.alertLevel}`}>
+                {factor.impact > 0 ? t('health.points', { points: factor.impact }) : '0'}
+              </span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// What-If Analysis Component
+const WhatIfAnalysis = ({ healthData }) => {
+  const { settings, updateSettings, addNotification } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
   const [customAnalysis, setCustomAnalysis] = useState({
     deviceTemp: '',
     ambientTemp: '',
     batteryLevel: '',
     usage: ''
   });
-  const [customResult, setCustomResult] = useState(null);
+  // The analyzed scenario in °C; results follow the current thresholds
+  const [scenario, setScenario] = useState(null);
+  const [scenarioName, setScenarioName] = useState('');
+  const [sweep, setSweep] = useState({
+    variable: 'ambientTemp',
+    from: WHAT_IF_SWEEP_VARIABLES.ambientTemp.from,
+    to: WHAT_IF_SWEEP_VARIABLES.ambientTemp.to
+  });
+
+  const result = useMemo(() => (
+    scenario ? whatIfUtils.analyze(whatIfUtils.readings(scenario), settings) : null
+  ), [scenario, settings]);
+
+  const sweepPoints = useMemo(() => (
+    scenario && Number.isFinite(sweep.from) && Number.isFinite(sweep.to)
+      ? whatIfUtils.sweep(whatIfUtils.readings(scenario), sweep.variable, sweep.from, sweep.to, settings)
+      : []
+  ), [scenario, sweep, settings]);
+
+  const columns = useMemo(() => [
+    { id: 'live', name: t('whatIf.live'), live: true, readings: healthData.readings, result: { ...healthData, riskLevel: whatIfUtils.riskLevel(healthData.alertLevel) } },
+    ...settings.whatIfScenarios.map(saved => {
+      const readings = whatIfUtils.readings(saved);
+      return { id: saved.id, name: saved.name, readings, result: whatIfUtils.analyze(readings, settings) };
+    })
+  ], [healthData, settings, t]);
 
   const handleCustomAnalysis = (e) => {
     e.preventDefault();
-    
-    const deviceTemp = parseFloat(customAnalysis.deviceTemp);
-    const ambientTemp = parseFloat(customAnalysis.ambientTemp);
-    const batteryLevel = parseInt(customAnalysis.batteryLevel);
-    const usage = customAnalysis.usage;
-
-    let riskLevel = 'low';
-    let recommendation = '';
-    let actionItems = [];
-
-    if (deviceTemp > 40) {
-      riskLevel = 'high';
-      recommendation = '🚨 CRITICAL: This temperature level poses immediate risk!';
-      actionItems = [
-        'Stop all intensive tasks immediately',
-        'Power down device if possible',
-        'Move to cool, ventilated area'
-      ];
-    } else if (deviceTemp > 35) {
-      riskLevel = 'medium';
-      recommendation = '⚠️ WARNING: Device is running hot and needs attention.';
-      actionItems = [
-        'Reduce intensive applications',
-        'Improve ventilation',
-        'Avoid charging while hot'
-      ];
-    } else {
-      recommendation = '✅ Temperature levels are acceptable for normal use.';
-      actionItems = ['Continue normal usage', 'Monitor periodically'];
-    }
+    setScenario({
+      deviceTemp: format.tempInput(parseFloat(customAnalysis.deviceTemp)),
+      ambientTemp: format.tempInput(parseFloat(customAnalysis.ambientTemp)),
+      batteryLevel: parseInt(customAnalysis.batteryLevel),
+      usage: customAnalysis.usage
+    });
+  };
 
-    if (usage === 'gaming' && deviceTemp > 30) {
-      recommendation += ' Heavy usage increases thermal stress.';
-      actionItems.push('Consider reducing graphics settings');
-    }
+  const handleSweepVariable = (variable) => {
+    const { from, to } = WHAT_IF_SWEEP_VARIABLES[variable];
+    setSweep({ variable, from, to });
+  };
 
-    setCustomResult({
-      riskLevel,
-      recommendation,
-      actionItems,
-      impact: riskLevel === 'high' ? 'High risk of permanent damage' : 
-              riskLevel === 'medium' ? 'Moderate impact on battery health' : 
-              'Minimal impact on battery health'
-    });
+  // Sweep bounds are typed in the preferred unit and kept in °C
+  const sweepUnit = WHAT_IF_SWEEP_VARIABLES[sweep.variable].unit;
+  const toSweepField = (value) => {
+    if (!Number.isFinite(value)) return '';
+    return sweepUnit === 'temperature' ? Math.round(format.tempValue(value) * 10) / 10 : value;
+  };
+  const handleSweepBound = (key, value) => {
+    const parsed = parseFloat(value);
+    setSweep(prev => ({ ...prev, [key]: sweepUnit === 'temperature' ? format.tempInput(parsed) : parsed }));
   };
 
-  if (!isVisible) return null;
+  const handleSave = () => {
+    const name = scenarioName.trim() || t('whatIf.defaultName', { number: String(settings.whatIfScenarios.length + 1) });
+    const saved = { id: `what-if-${Date.now()}`, name, ...scenario };
+    const update = updateSettings({ whatIfScenarios: [...settings.whatIfScenarios, saved] });
+    if (update.success) {
+      setScenarioName('');
+      addNotification({ type: 'info', message: t('whatIf.saved', { name }) });
+    } else {
+      addNotification({ type: 'warning', message: `⚠️ ${update.errors.whatIfScenarios}` });
+    }
+  };
+
+  const handleRemove = (id) => {
+    updateSettings({ whatIfScenarios: settings.whatIfScenarios.filter(saved => saved.id !== id) });
+  };
 
   return (
-    <div>
-      <div className="advisory-header">
-        <h1>AI-Powered Battery Advisory</h1>
-        <p className="advisory-subtitle">Get personalized recommendations based on real-time data</p>
-      </div>
-      
-      <div className="advisory-content">
-        <div className="current-analysis card">
-          <h3>Current System Analysis</h3>
-          <div className="analysis-result">
-            <div className={`risk-level ${healthData.alertLevel}`}>
-              Risk Level: {healthData.alertLevel.toUpperCase()}
+    <div className="custom-analysis card">
+      <h3>{t('custom.title')}</h3>
+      <form onSubmit={handleCustomAnalysis}>
+        <div className="form-grid">
+          <div className="form-group">
+            <label className="form-label">{t('custom.deviceTemp', { unit: format.tempUnit })}</label>
+            <input
+              type="number"
+              className="form-control"
+              step="0.1"
+              min={Math.floor(format.tempValue(20))}
+              max={Math.ceil(format.tempValue(60))}
+              value={customAnalysis.deviceTemp}
+              onChange={(e) => setCustomAnalysis(prev => ({ ...prev, deviceTemp: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('custom.ambientTemp', { unit: format.tempUnit })}</label>
+            <input
+              type="number"
+              className="form-control"
+              step="0.1"
+              min={Math.floor(format.tempValue(5))}
+              max={Math.ceil(format.tempValue(50))}
+              value={customAnalysis.ambientTemp}
+              onChange={(e) => setCustomAnalysis(prev => ({ ...prev, ambientTemp: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('custom.batteryLevel')}</label>
+            <input
+              type="number"
+              className="form-control"
+              min="1"
+              max="100"
+              value={customAnalysis.batteryLevel}
+              onChange={(e) => setCustomAnalysis(prev => ({ ...prev, batteryLevel: e.target.value }))}
+              required
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('custom.usage')}</label>
+            <select
+              className="form-control"
+              value={customAnalysis.usage}
+              onChange={(e) => setCustomAnalysis(prev => ({ ...prev, usage: e.target.value }))}
+              required
+            >
+              <option value="">{t('custom.usage.select')}</option>
+              {Object.keys(WHAT_IF_USAGE_LOAD).map(usage => (
+                <option key={usage} value={usage}>{t(`custom.usage.${usage}`)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <button type="submit" className="btn btn--primary btn--full-width">
+          {t('custom.analyze')}
+        </button>
+      </form>
+
+      {result && (
+        <div className="custom-result">
+          <div className="result-header">
+            <h4>{t('custom.result')}</h4>
+            <div className={`risk-badge ${result.riskLevel}`}>
+              {t(`level.${result.riskLevel}`).toUpperCase()}
             </div>
-            <div className="analysis-text">
-              Current health score: {healthData.healthScore}%<br />
-              System Status: {healthData.alertLevel === 'danger' ? 'Immediate attention required' : 
-                            healthData.alertLevel === 'warning' ? 'Monitor closely' : 'Operating normally'}
+          </div>
+          <div className="result-content">
+            <div className="recommendation">
+              {recommendationUtils.sortBySeverity(result.recommendations)
+                .map(recommendation => recommendationUtils.render(recommendation, format).message)
+                .join(' ')}
             </div>
-            <div className="recommendations">
-              <strong>Real-time Recommendations:</strong>
+            <div className="action-items">
+              <strong>{t('custom.actionItems')}</strong>
               <ul>
-                {healthData.recommendations.map((rec, index) => (
-                  <li key={index}>{rec}</li>
+                {recommendationUtils.actions(result.recommendations, format).map(item => (
+                  <li key={item}>{item}</li>
                 ))}
               </ul>
             </div>
+            <div className="impact-forecast">
+              {t(`custom.impact.${result.riskLevel}`)} · {t('analysis.healthScore', { score: format.percent(result.healthScore) })}
+            </div>
+            <div className="what-if-save">
+              <input
+                type="text"
+                className="form-control"
+                placeholder={t('whatIf.namePlaceholder')}
+                value={scenarioName}
+                onChange={(e) => setScenarioName(e.target.value)}
+              />
+              <button
+                className="btn btn--sm btn--secondary"
+                onClick={handleSave}
+                disabled={settings.whatIfScenarios.length >= WHAT_IF_MAX_SAVED}
+              >
+                {t('whatIf.save')}
+              </button>
+            </div>
           </div>
-        </div>
 
-        <div className="custom-analysis card">
-          <h3>Custom Scenario Analysis</h3>
-          <form onSubmit={handleCustomAnalysis}>
+          <div className="what-if-sweep">
+            <h4>{t('whatIf.sweepTitle')}</h4>
             <div className="form-grid">
               <div className="form-group">
-                <label className="form-label">Device Temperature (°C)</label>
-                <input
-                  type="number"
+                <label className="form-label">{t('whatIf.sweepVariable')}</label>
+                <select
                   className="form-control"
-                  step="0.1"
-                  min="20"
-                  max="60"
-                  value={customAnalysis.deviceTemp}
-                  onChange={(e) => setCustomAnalysis(prev => ({ ...prev, deviceTemp: e.target.value }))}
-                  required
-                />
+                  value={sweep.variable}
+                  onChange={(e) => handleSweepVariable(e.target.value)}
+                >
+                  {Object.entries(WHAT_IF_SWEEP_VARIABLES).map(([id, variable]) => (
+                    <option key={id} value={id}>
+                      {t(variable.label, { unit: variable.unit === 'temperature' ? format.tempUnit : '%' })}
+                    </option>
+                  ))}
+                </select>
               </div>
               <div className="form-group">
-                <label className="form-label">Ambient Temperature (°C)</label>
+                <label className="form-label">{t('whatIf.sweepFrom')}</label>
                 <input
                   type="number"
                   className="form-control"
-                  step="0.1"
-                  min="5"
-                  max="50"
-                  value={customAnalysis.ambientTemp}
-                  onChange={(e) => setCustomAnalysis(prev => ({ ...prev, ambientTemp: e.target.value }))}
-                  required
+                  step="any"
+                  value={toSweepField(sweep.from)}
+                  onChange={(e) => handleSweepBound('from', e.target.value)}
                 />
               </div>
               <div className="form-group">
-                <label className="form-label">Battery Level (%)</label>
+                <label className="form-label">{t('whatIf.sweepTo')}</label>
                 <input
                   type="number"
                   className="form-control"
-                  min="1"
-                  max="100"
-                  value={customAnalysis.batteryLevel}
-                  onChange={(e) => setCustomAnalysis(prev => ({ ...prev, batteryLevel: e.target.value }))}
-                  required
+                  step="any"
+                  value={toSweepField(sweep.to)}
+                  onChange={(e) => handleSweepBound('to', e.target.value)}
                 />
               </div>
-              <div className="form-group">
-                <label className="form-label">Usage Scenario</label>
+            </div>
+            <RiskCurveChart points={sweepPoints} variable={sweep.variable} />
+            <p className="what-if-hint">{t('whatIf.sweepHint')}</p>
+          </div>
+        </div>
+      )}
+
+      <div className="what-if-compare">
+        <h4>{t('whatIf.compareTitle')}</h4>
+        <ScenarioComparison columns={columns} onRemove={handleRemove} />
+        {settings.whatIfScenarios.length === 0 && <p className="what-if-hint">{t('whatIf.compareEmpty')}</p>}
+      </div>
+    </div>
+  );
+};
+
+// AI Advisory Component
+const AIAdvisory = ({ isVisible, healthData }) => {
+  const { settings, updateSettings, chargingPlan } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t, percent } = format;
+  const { advice, status: advisoryStatus, error: advisoryError, refresh: refreshAdvice } = useAdvisory({ isActive: isVisible });
+  const [recommendationFilter, setRecommendationFilter] = useState('all');
+
+  const recommendations = recommendationUtils.sortBySeverity(healthData.recommendations)
+    .filter(recommendation => recommendationFilter === 'all' || recommendation.category === recommendationFilter)
+    .map(recommendation => recommendationUtils.render(recommendation, format));
+
+  if (!isVisible) return null;
+
+  return (
+    <div>
+      <div className="advisory-header">
+        <h1>{t('advisory.title')}</h1>
+        <p className="advisory-subtitle">{t('advisory.subtitle')}</p>
+      </div>
+      
+      <div className="advisory-content">
+        <div className="remote-advisory card">
+          <div className="widget-header">
+            <h3>{t('advisory.service')}</h3>
+            <button
+              className="btn btn--sm btn--outline"
+              onClick={refreshAdvice}
+              disabled={advisoryStatus === 'loading'}
+            >
+              {advisoryStatus === 'loading' ? t('advisory.requesting') : t('advisory.refresh')}
+            </button>
+          </div>
+          <div className="analysis-result">
+            <div className={`risk-level ${advice.alertLevel}`}>
+              {t('advisory.alertLevel', { level: t(`alertLevel.${advice.alertLevel}`).toUpperCase() })}
+            </div>
+            <div className="analysis-text">
+              {t('advisory.impact', {
+                impact: typeof advice.predictedHealthImpact === 'number'
+                  ? percent(advice.predictedHealthImpact)
+                  : advice.predictedHealthImpact ?? t('common.notAvailable')
+              })}<br />
+              {t('advisory.action', { action: advice.optionalAction || t('advisory.noAction') })}
+            </div>
+            <div className="last-updated">
+              {t('advisory.source', { source: advice.source === 'remote' ? t('advisory.sourceRemote') : t('advisory.sourceLocal') })}
+              {advisoryStatus === 'fallback' && ` ${t('advisory.unavailable', { error: advisoryError })}`}
+              {advisoryStatus === 'disabled' && ` ${t('advisory.disabled')}`}
+            </div>
+          </div>
+        </div>
+
+        <div className="charging-plan card">
+          <div className="widget-header">
+            <h3>{t('plan.title')}</h3>
+            <label className="checkbox-label">
+              <input 
+                type="checkbox" 
+                checked={settings.enableChargingReminders}
+                onChange={(e) => updateSettings({ enableChargingReminders: e.target.checked })}
+              />
+              {t('plan.remind')}
+            </label>
+          </div>
+          {!chargingPlan ? (
+            <div className="analysis-text">{t('plan.waiting')}</div>
+          ) : (
+            <div className="analysis-result">
+              <div className="analysis-text">
+                {t('plan.target')} <strong>{percent(chargingPlan.targetLevel)}</strong>
+                {chargingPlan.needsCharge ? '' : ` - ${t('plan.covered')}`}<br />
+                {t('plan.chargeRate', { rate: chargingPlan.chargeRate })}
+              </div>
+              {chargingPlan.windows.length === 0 && (
+                <div className="analysis-text">{t('plan.noneNeeded', { hours: CHARGING_PLAN_HORIZON })}</div>
+              )}
+              <ul className="charging-windows">
+                {chargingPlan.windows.map(window => (
+                  <li key={window.start} className={window === chargingPlan.best ? 'charging-window charging-window--best' : 'charging-window'}>
+                    <div className="charging-window-time">
+                      {window.start === chargingPlan.generatedAt
+                        ? t('plan.startNow')
+                        : t('plan.start', { when: weatherUtils.formatForecastTime(window.start, format, chargingPlan.generatedAt) })}
+                      {' · '}{t('plan.doneBy', { time: weatherUtils.formatHour(window.end, format) })}
+                      {window === chargingPlan.best && <span className="status status--success">{t('plan.best')}</span>}
+                    </div>
+                    <div className="charging-window-detail">
+                      {percent(window.levelAtStart)} → {percent(window.targetLevel)} · {t('plan.avgAmbient', { temperature: format.temp(window.avgAmbient, 0) })}
+                      {window.reasons.length > 0 && ` · ${window.reasons.join(' · ')}`}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="current-analysis card">
+          <h3>{t('analysis.title')}</h3>
+          <div className="analysis-result">
+            <div className={`risk-level ${healthData.alertLevel}`}>
+              {t('analysis.riskLevel', { level: t(`alertLevel.${healthData.alertLevel}`).toUpperCase() })}
+            </div>
+            <div className="analysis-text">
+              {t('analysis.healthScore', { score: percent(healthData.healthScore) })}<br />
+              {t('analysis.status', {
+                status: healthData.alertLevel === 'danger' ? t('analysis.status.danger') :
+                  healthData.alertLevel === 'warning' ? t('analysis.status.warning') : t('analysis.status.safe')
+              })}
+            </div>
+            <div className="recommendations">
+              <div className="recommendations-header">
+                <strong>{t('analysis.recommendations')}</strong>
                 <select
-                  className="form-control"
-                  value={customAnalysis.usage}
-                  onChange={(e) => setCustomAnalysis(prev => ({ ...prev, usage: e.target.value }))}
-                  required
+                  className="form-control recommendations-filter"
+                  value={recommendationFilter}
+                  onChange={(e) => setRecommendationFilter(e.target.value)}
+                  aria-label={t('recommendation.filter')}
                 >
-                  <option value="">Select scenario...</option>
-                  <option value="idle">Idle</option>
-                  <option value="light">Light Usage</option>
-                  <option value="moderate">Moderate Usage</option>
-                  <option value="heavy">Heavy Usage</option>
-                  <option value="gaming">Gaming/Intensive</option>
-                  <option value="charging">Charging</option>
+                  <option value="all">{t('recommendation.category.all')}</option>
+                  {RECOMMENDATION_CATEGORIES.map(category => (
+                    <option key={category} value={category}>{t(`recommendation.category.${category}`)}</option>
+                  ))}
                 </select>
               </div>
+              {recommendations.length === 0 ? (
+                <p className="recommendation-reading">{t('recommendation.none')}</p>
+              ) : (
+                <ul>
+                  {recommendations.map(recommendation => (
+                    <RecommendationItem key={recommendation.id} recommendation={recommendation} />
+                  ))}
+                </ul>
+              )}
             </div>
-            <button type="submit" className="btn btn--primary btn--full-width">
-              🤖 Analyze Scenario
-            </button>
-          </form>
-          
-          {customResult && (
-            <div className="custom-result">
-              <div className="result-header">
-                <h4>Analysis Result</h4>
-                <div className={`risk-badge ${customResult.riskLevel}`}>
-                  {customResult.riskLevel.toUpperCase()}
-                </div>
-              </div>
-              <div className="result-content">
-                <div className="recommendation">{customResult.recommendation}</div>
-                <div className="action-items">
-                  <strong>Action Items:</strong>
-                  <ul>
-                    {customResult.actionItems.map((item, index) => (
-                      <li key={index}>{item}</li>
-                    ))}
-                  </ul>
-                </div>
-                <div className="impact-forecast">{customResult.impact}</div>
-              </div>
-            </div>
-          )}
+          </div>
         </div>
+
+        <WhatIfAnalysis healthData={healthData} />
       </div>
     </div>
   );
 };
 
 // Notification Center Component
-const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotification }) => {
+const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotification, readOnly = false }) => {
+  const { t, dateTime } = useI18n();
   const [filter, setFilter] = useState('all');
 
   const filteredNotifications = useMemo(() => {
@@ -1016,15 +7697,17 @@ const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotifi
   return (
     <div>
       <div className="notifications-header">
-        <h1>Alert & Notification Center</h1>
-        <div className="notifications-controls">
-          <button className="btn btn--sm btn--outline" onClick={onClearAll}>
-            Clear All
-          </button>
-          <button className="btn btn--sm btn--primary" onClick={onTestNotification}>
-            Test Alert
-          </button>
-        </div>
+        <h1>{t('notifications.title')}</h1>
+        {!readOnly && (
+          <div className="notifications-controls">
+            <button className="btn btn--sm btn--outline" onClick={onClearAll}>
+              {t('notifications.clearAll')}
+            </button>
+            <button className="btn btn--sm btn--primary" onClick={onTestNotification}>
+              {t('notifications.test')}
+            </button>
+          </div>
+        )}
       </div>
       
       <div className="notifications-filters">
@@ -1034,7 +7717,7 @@ const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotifi
             className={`filter-btn ${filter === filterType ? 'active' : ''}`}
             onClick={() => setFilter(filterType)}
           >
-            {filterType.charAt(0).toUpperCase() + filterType.slice(1)}
+            {t(`notifications.filter.${filterType}`)}
           </button>
         ))}
       </div>
@@ -1042,13 +7725,13 @@ const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotifi
       <div className="notifications-container">
         {filteredNotifications.length === 0 ? (
           <div className="no-notifications">
-            {filter === 'all' ? 'No notifications yet' : `No ${filter} notifications`}
+            {filter === 'all' ? t('notifications.empty') : t(`notifications.empty.${filter}`)}
           </div>
         ) : (
           filteredNotifications.map((notif, index) => (
             <div key={index} className={`notification-full ${notif.type}`}>
               <div className="notification-timestamp">
-                {notif.timestamp.toLocaleString()}
+                {dateTime(notif.timestamp)}
               </div>
               <div className="notification-message">
                 {notif.message}
@@ -1063,162 +7746,815 @@ const NotificationCenter = ({ isVisible, notifications, onClearAll, onTestNotifi
 
 // Settings Component
 const Settings = ({ isVisible }) => {
-  const [settings, setSettings] = useState({
-    batteryInterval: 5000,
-    weatherInterval: 120000,
-    chartInterval: 30000,
-    tempWarning: 35,
-    tempCritical: 40,
-    batteryLow: 15,
-    enableTempAlerts: true,
-    enableBatteryAlerts: true,
-    enableWeatherAlerts: true,
-    enableSoundAlerts: false
+  const {
+    settings,
+    updateSettings,
+    resetSettings,
+    importSettings,
+    exportSettings,
+    simulator,
+    thermalEstimate,
+    calibration,
+    addNotification
+  } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
+  const [draft, setDraft] = useState(settings);
+  const [errors, setErrors] = useState({});
+  const [notificationPermission, setNotificationPermission] = useState(alertDelivery.getPermission());
+  const [manualInputs, setManualInputs] = useState({
+    battery: { level: '', charging: false },
+    weather: { temperature: '', humidity: '' },
+    performance: { cpuLoad: '' }
   });
+  const [referenceTemp, setReferenceTemp] = useState('');
+  const [isFitting, setIsFitting] = useState(false);
+  const [scenarioText, setScenarioText] = useState('');
+  const [scenarioError, setScenarioError] = useState(null);
+  const fileInputRef = useRef(null);
 
-  const handleSettingChange = (key, value) => {
-    setSettings(prev => ({
-      ...prev,
-      [key]: value
-    }));
+  // Keep the form in sync when settings change elsewhere (reset, import)
+  useEffect(() => {
+    setDraft(settings);
+    setErrors({});
+  }, [settings]);
+
+  // Load the selected scenario script into the editor
+  const selectedScenario = scenarioUtils.find(draft, draft.simulatorScenario);
+  useEffect(() => {
+    setScenarioText(selectedScenario ? JSON.stringify(scenarioUtils.localize(selectedScenario, t), null, 2) : '');
+    setScenarioError(null);
+  }, [selectedScenario, t]);
+
+  const handleSettingsChange = (changes) => {
+    const next = { ...draft, ...changes };
+    setDraft(next);
+    const result = updateSettings(next);
+    setErrors(result.errors);
+    return result;
+  };
+
+  const handleSettingChange = (key, value) => handleSettingsChange({ [key]: value });
+
+  // Thresholds are stored in °C and shown in the preferred unit, to one decimal
+  const toTempField = (celsius) => Number.isFinite(celsius) ? Math.round(format.tempValue(celsius) * 10) / 10 : '';
+  const handleTempChange = (key, value) => handleSettingChange(key, format.tempInput(parseFloat(value)));
+
+  const intervalLabel = (ms) => ms < 60000
+    ? t('common.seconds', { count: ms / 1000 })
+    : t('common.minutes', { count: ms / 60000 });
+
+  const handleCalibrationAdd = () => {
+    const result = calibration.addPoint(format.tempInput(parseFloat(referenceTemp)), thermalEstimate);
+    if (!result.success) {
+      addNotification({ type: 'warning', message: `⚠️ ${result.error}` });
+      return;
+    }
+    setReferenceTemp('');
+  };
+
+  const handleCalibrationFit = async () => {
+    setIsFitting(true);
+    const result = await calibration.fitCalibration();
+    setIsFitting(false);
+    addNotification(result.success
+      ? { type: 'info', message: t('calibration.fitted', { before: format.tempDelta(result.fit.rmseBefore, 2), after: format.tempDelta(result.fit.rmseAfter, 2) }) }
+      : { type: 'warning', message: t('calibration.fitFailed', { error: result.error }) });
+  };
+
+  const isBuiltInScenario = (id) => SIMULATOR_SCENARIOS.some(scenario => scenario.id === id);
+
+  const handleScenarioSave = () => {
+    const result = scenarioUtils.parse(scenarioText, t);
+    if (!result.success) {
+      setScenarioError(result.error);
+      return;
+    }
+    if (isBuiltInScenario(result.scenario.id)) {
+      setScenarioError(t('scenario.error.builtIn'));
+      return;
+    }
+
+    const saved = handleSettingsChange({
+      customScenarios: [...draft.customScenarios.filter(scenario => scenario.id !== result.scenario.id), result.scenario],
+      simulatorScenario: result.scenario.id
+    });
+    if (saved.success) {
+      addNotification({ type: 'info', message: t('scenario.saved', { name: result.scenario.name }) });
+    }
+  };
+
+  const handleScenarioDelete = () => {
+    handleSettingsChange({
+      customScenarios: draft.customScenarios.filter(scenario => scenario.id !== draft.simulatorScenario),
+      simulatorScenario: DEFAULT_SETTINGS.simulatorScenario
+    });
+  };
+
+  const handleSimulatorToggle = () => {
+    if (simulator.isActive) {
+      simulator.stop();
+      addNotification({ type: 'info', message: t('simulator.stopped') });
+      return;
+    }
+    simulator.start(selectedScenario, settings.simulatorSeed);
+    addNotification({ type: 'info', message: t('simulator.started', { name: t(selectedScenario.name), seed: String(settings.simulatorSeed) }) });
+  };
+
+  const handleSystemNotificationsChange = async (enabled) => {
+    if (enabled) {
+      const permission = await alertDelivery.requestPermission();
+      setNotificationPermission(permission);
+      if (permission !== 'granted') {
+        addNotification({
+          type: 'warning',
+          message: permission === 'unsupported'
+            ? t('settings.notificationsUnsupported')
+            : t('settings.notificationsDenied')
+        });
+        return;
+      }
+    }
+    handleSettingChange('enableSystemNotifications', enabled);
+  };
+
+  const handleManualChange = (metric, key, value) => {
+    setManualInputs(prev => ({ ...prev, [metric]: { ...prev[metric], [key]: value } }));
+  };
+
+  const handleManualApply = (metric) => {
+    const values = Object.entries(manualInputs[metric]).reduce((result, [key, value]) => {
+      result[key] = typeof value === 'boolean' ? value : parseFloat(value);
+      return result;
+    }, {});
+    // Manual temperatures are typed in the preferred unit
+    if (metric === 'weather') values.temperature = format.tempInput(values.temperature);
+
+    if (!SENSOR_METRICS[metric].isValid(values) || Object.values(values).some(Number.isNaN)) {
+      addNotification({ type: 'warning', message: t(`settings.manualInvalid.${metric}`) });
+      return;
+    }
+    manualReadings.set(metric, values);
+  };
+
+  const handleReset = () => {
+    resetSettings();
+    addNotification({
+      type: 'info',
+      message: t('settings.restored')
+    });
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let result;
+    try {
+      result = importSettings(JSON.parse(await file.text()));
+    } catch (error) {
+      result = { success: false, error: t('session.error.json') };
+    }
+
+    addNotification(result.success
+      ? { type: 'info', message: t('settings.imported', { name: file.name }) }
+      : { type: 'warning', message: t('settings.importFailed', { error: result.error }) });
   };
 
+  const renderError = (key) => errors[key] && (
+    <div className="form-error">{errors[key]}</div>
+  );
+
   if (!isVisible) return null;
 
   return (
     <div>
       <div className="settings-header">
-        <h1>Settings & Configuration</h1>
-        <button className="btn btn--sm btn--outline">Reset to Defaults</button>
+        <h1>{t('settings.title')}</h1>
+        <div className="settings-actions">
+          <button className="btn btn--sm btn--outline" onClick={() => fileInputRef.current?.click()}>
+            {t('settings.importProfile')}
+          </button>
+          <button className="btn btn--sm btn--outline" onClick={exportSettings}>
+            {t('settings.exportProfile')}
+          </button>
+          <button className="btn btn--sm btn--outline" onClick={handleReset}>{t('settings.reset')}</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={handleImport}
+          />
+        </div>
       </div>
       
       <div className="settings-grid">
         <div className="settings-section card">
-          <h3>Monitoring Settings</h3>
+          <h3>{t('settings.regional')}</h3>
+          <div className="form-group">
+            <label className="form-label">{t('settings.language')}</label>
+            <select 
+              className="form-control"
+              value={draft.language}
+              onChange={(e) => handleSettingChange('language', e.target.value)}
+            >
+              {Object.entries(LANGUAGES).map(([id, language]) => (
+                <option key={id} value={id}>{language.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.temperatureUnit')}</label>
+            <select 
+              className="form-control"
+              value={draft.temperatureUnit}
+              onChange={(e) => handleSettingChange('temperatureUnit', e.target.value)}
+            >
+              {Object.entries(TEMPERATURE_UNITS).map(([id, unit]) => (
+                <option key={id} value={id}>{t(`unit.${id}`)} ({unit.symbol})</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.speedUnit')}</label>
+            <select 
+              className="form-control"
+              value={draft.speedUnit}
+              onChange={(e) => handleSettingChange('speedUnit', e.target.value)}
+            >
+              {Object.entries(SPEED_UNITS).map(([id, unit]) => (
+                <option key={id} value={id}>{unit.symbol}</option>
+              ))}
+            </select>
+          </div>
+          <p className="form-hint">{t('settings.regionalHint', { example: `${format.number(1234.5, 1)} · ${format.dateTime(Date.now())}` })}</p>
+        </div>
+
+        <div className="settings-section card">
+          <h3>{t('settings.monitoring')}</h3>
           <div className="form-group">
-            <label className="form-label">Battery Update Interval</label>
+            <label className="form-label">{t('settings.batteryInterval')}</label>
             <select 
               className="form-control" 
-              value={settings.batteryInterval}
+              value={draft.batteryInterval}
               onChange={(e) => handleSettingChange('batteryInterval', parseInt(e.target.value))}
             >
-              <option value="5000">5 seconds</option>
-              <option value="10000">10 seconds</option>
-              <option value="15000">15 seconds</option>
-              <option value="30000">30 seconds</option>
+              <option value="5000">{intervalLabel(5000)}</option>
+              <option value="10000">{intervalLabel(10000)}</option>
+              <option value="15000">{intervalLabel(15000)}</option>
+              <option value="30000">{intervalLabel(30000)}</option>
             </select>
           </div>
           <div className="form-group">
-            <label className="form-label">Weather Update Interval</label>
+            <label className="form-label">{t('settings.weatherInterval')}</label>
             <select 
               className="form-control"
-              value={settings.weatherInterval}
+              value={draft.weatherInterval}
               onChange={(e) => handleSettingChange('weatherInterval', parseInt(e.target.value))}
             >
-              <option value="60000">1 minute</option>
-              <option value="120000">2 minutes</option>
-              <option value="300000">5 minutes</option>
-              <option value="600000">10 minutes</option>
+              <option value="60000">{intervalLabel(60000)}</option>
+              <option value="120000">{intervalLabel(120000)}</option>
+              <option value="300000">{intervalLabel(300000)}</option>
+              <option value="600000">{intervalLabel(600000)}</option>
             </select>
           </div>
           <div className="form-group">
-            <label className="form-label">Chart Update Interval</label>
+            <label className="form-label">{t('settings.performanceInterval')}</label>
             <select 
               className="form-control"
-              value={settings.chartInterval}
+              value={draft.performanceInterval}
+              onChange={(e) => handleSettingChange('performanceInterval', parseInt(e.target.value))}
+            >
+              <option value="5000">{intervalLabel(5000)}</option>
+              <option value="10000">{intervalLabel(10000)}</option>
+              <option value="30000">{intervalLabel(30000)}</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.temperatureInterval')}</label>
+            <select 
+              className="form-control"
+              value={draft.temperatureInterval}
+              onChange={(e) => handleSettingChange('temperatureInterval', parseInt(e.target.value))}
+            >
+              <option value="5000">{intervalLabel(5000)}</option>
+              <option value="15000">{intervalLabel(15000)}</option>
+              <option value="30000">{intervalLabel(30000)}</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.deviceProfile')}</label>
+            <select 
+              className="form-control"
+              value={draft.deviceProfile}
+              onChange={(e) => handleSettingChange('deviceProfile', e.target.value)}
+            >
+              {Object.entries(THERMAL_PROFILES).map(([id, profile]) => (
+                <option key={id} value={id}>{t(profile.label)}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.chartInterval')}</label>
+            <select 
+              className="form-control"
+              value={draft.chartInterval}
               onChange={(e) => handleSettingChange('chartInterval', parseInt(e.target.value))}
             >
-              <option value="15000">15 seconds</option>
-              <option value="30000">30 seconds</option>
-              <option value="60000">1 minute</option>
+              <option value="15000">{intervalLabel(15000)}</option>
+              <option value="30000">{intervalLabel(30000)}</option>
+              <option value="60000">{intervalLabel(60000)}</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="settings-section card">
+          <h3>{t('calibration.title')}</h3>
+          <p className="form-hint">
+            {t('calibration.hint', { profile: t(THERMAL_PROFILES[draft.deviceProfile].label) })}
+          </p>
+          {calibration.isOverdue && (
+            <div className="form-error">{t('calibration.overdue', { days: CALIBRATION_MAX_AGE / DAY_MS })}</div>
+          )}
+          <div className="form-group">
+            <label className="form-label">
+              {t('calibration.reference', {
+                unit: format.tempUnit,
+                estimate: typeof thermalEstimate?.temperature === 'number' ? format.temp(thermalEstimate.temperature) : '--'
+              })}
+            </label>
+            <div className="form-grid">
+              <input 
+                type="number" 
+                className="form-control" 
+                step="0.1"
+                value={referenceTemp}
+                onChange={(e) => setReferenceTemp(e.target.value)}
+              />
+              <button className="btn btn--sm btn--outline" onClick={handleCalibrationAdd} disabled={!thermalEstimate}>
+                {t('calibration.add')}
+              </button>
+            </div>
+            {!thermalEstimate && <p className="form-hint">{t('calibration.liveOnly')}</p>}
+          </div>
+          {calibration.points.length > 0 && (
+            <ul className="calibration-points">
+              {calibration.points.map(point => (
+                <li key={point.timestamp}>
+                  <span>{format.dateTime(point.timestamp)}</span>
+                  <span>{t('calibration.point', { reference: format.temp(point.reference), estimate: format.temp(point.estimate) })}</span>
+                  <button className="btn btn--sm btn--outline" onClick={() => calibration.removePoint(point.timestamp)}>{t('common.remove')}</button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {calibration.fit && (
+            <div className="calibration-result">
+              <p>
+                {t('calibration.error', {
+                  before: format.tempDelta(calibration.fit.rmseBefore, 2),
+                  after: format.tempDelta(calibration.fit.rmseAfter, 2),
+                  count: calibration.fit.pointCount
+                })}
+              </p>
+              <p>
+                {t('calibration.parameters', {
+                  offset: format.tempDelta(calibration.fit.offset, 2),
+                  gain: format.number(calibration.fit.gain, 3),
+                  timeConstant: calibration.fit.timeConstant
+                })}
+              </p>
+              <p>{t('calibration.calibratedAt', { date: format.date(calibration.fit.calibratedAt) })}</p>
+            </div>
+          )}
+          <div className="settings-actions">
+            <button 
+              className="btn btn--sm btn--primary" 
+              onClick={handleCalibrationFit}
+              disabled={isFitting || calibration.points.length === 0}
+            >
+              {isFitting ? t('calibration.fitting') : t('calibration.fit')}
+            </button>
+            <button className="btn btn--sm btn--outline" onClick={calibration.clearCalibration}>{t('calibration.clear')}</button>
+          </div>
+        </div>
+
+        <div className="settings-section card">
+          <h3>{t('settings.dataSources')}</h3>
+          {Object.entries(SENSOR_METRICS).map(([metric, definition]) => (
+            <div className="form-group" key={metric}>
+              <label className="form-label">{t('settings.provider', { metric: t(definition.label) })}</label>
+              <select 
+                className="form-control"
+                value={draft[`${metric}Provider`]}
+                onChange={(e) => handleSettingChange(`${metric}Provider`, e.target.value)}
+              >
+                {sensorRegistry.list(metric).map(provider => (
+                  <option key={provider.id} value={provider.id}>{t(provider.label)}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+          <div className="form-group">
+            <label className="form-label">{t('settings.remoteAgentUrl')}</label>
+            <input 
+              type="url" 
+              className="form-control" 
+              value={draft.remoteAgentUrl}
+              onChange={(e) => handleSettingChange('remoteAgentUrl', e.target.value.trim())}
+            />
+            {renderError('remoteAgentUrl')}
+          </div>
+          {draft.batteryProvider === 'manual' && (
+            <div className="form-group">
+              <label className="form-label">{t('settings.manualBattery')}</label>
+              <div className="form-grid">
+                <input 
+                  type="number" 
+                  className="form-control" 
+                  placeholder={t('settings.manualLevel')}
+                  min="0" 
+                  max="100"
+                  value={manualInputs.battery.level}
+                  onChange={(e) => handleManualChange('battery', 'level', e.target.value)}
+                />
+                <label className="checkbox-label">
+                  <input 
+                    type="checkbox" 
+                    checked={manualInputs.battery.charging}
+                    onChange={(e) => handleManualChange('battery', 'charging', e.target.checked)}
+                  />
+                  {t('battery.charging')}
+                </label>
+              </div>
+              <button className="btn btn--sm btn--outline" onClick={() => handleManualApply('battery')}>{t('common.apply')}</button>
+            </div>
+          )}
+          {draft.weatherProvider === 'manual' && (
+            <div className="form-group">
+              <label className="form-label">{t('settings.manualWeather')}</label>
+              <div className="form-grid">
+                <input 
+                  type="number" 
+                  className="form-control" 
+                  placeholder={t('settings.manualTemperature', { unit: format.tempUnit })}
+                  step="0.1"
+                  value={manualInputs.weather.temperature}
+                  onChange={(e) => handleManualChange('weather', 'temperature', e.target.value)}
+                />
+                <input 
+                  type="number" 
+                  className="form-control" 
+                  placeholder={t('settings.manualHumidity')}
+                  min="0" 
+                  max="100"
+                  value={manualInputs.weather.humidity}
+                  onChange={(e) => handleManualChange('weather', 'humidity', e.target.value)}
+                />
+              </div>
+              <button className="btn btn--sm btn--outline" onClick={() => handleManualApply('weather')}>{t('common.apply')}</button>
+            </div>
+          )}
+          {draft.performanceProvider === 'manual' && (
+            <div className="form-group">
+              <label className="form-label">{t('settings.manualCpu')}</label>
+              <input 
+                type="number" 
+                className="form-control" 
+                min="0" 
+                max="100"
+                value={manualInputs.performance.cpuLoad}
+                onChange={(e) => handleManualChange('performance', 'cpuLoad', e.target.value)}
+              />
+              <button className="btn btn--sm btn--outline" onClick={() => handleManualApply('performance')}>{t('common.apply')}</button>
+            </div>
+          )}
+        </div>
+
+        <div className="settings-section card">
+          <h3>{t('simulator.section')}</h3>
+          <div className="form-group">
+            <label className="form-label">{t('simulator.scenario')}</label>
+            <select 
+              className="form-control"
+              value={draft.simulatorScenario}
+              onChange={(e) => handleSettingChange('simulatorScenario', e.target.value)}
+            >
+              {scenarioUtils.list(draft).map(scenario => (
+                <option key={scenario.id} value={scenario.id}>{t(scenario.name)}</option>
+              ))}
             </select>
+            {selectedScenario?.description && <p className="form-hint">{t(selectedScenario.description)}</p>}
+            {renderError('simulatorScenario')}
+          </div>
+          <div className="form-grid">
+            <div className="form-group">
+              <label className="form-label">{t('simulator.seed')}</label>
+              <input 
+                type="number" 
+                className="form-control" 
+                min="0"
+                step="1"
+                value={draft.simulatorSeed}
+                onChange={(e) => handleSettingChange('simulatorSeed', parseInt(e.target.value))}
+              />
+              {renderError('simulatorSeed')}
+            </div>
+            <div className="form-group">
+              <label className="form-label">{t('simulator.speed')}</label>
+              <select 
+                className="form-control"
+                value={draft.simulatorSpeed}
+                onChange={(e) => handleSettingChange('simulatorSpeed', parseInt(e.target.value))}
+              >
+                {SIMULATOR_SPEEDS.map(speed => (
+                  <option key={speed} value={speed}>{speed === 1 ? t('simulator.realTime') : t('common.speed', { speed })}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <button 
+            className={`btn btn--sm ${simulator.isActive ? 'btn--outline' : 'btn--primary'}`}
+            onClick={handleSimulatorToggle}
+            disabled={!simulator.isActive && !selectedScenario}
+          >
+            {simulator.isActive ? t('simulator.stop') : t('simulator.run')}
+          </button>
+          <div className="form-group">
+            <label className="form-label">{t('simulator.script')}</label>
+            <textarea 
+              className="form-control scenario-editor"
+              rows="10"
+              spellCheck="false"
+              value={scenarioText}
+              onChange={(e) => setScenarioText(e.target.value)}
+            />
+            {scenarioError && <div className="form-error">{scenarioError}</div>}
+            {renderError('customScenarios')}
+          </div>
+          <div className="settings-actions">
+            <button className="btn btn--sm btn--outline" onClick={handleScenarioSave}>{t('simulator.save')}</button>
+            {!isBuiltInScenario(draft.simulatorScenario) && (
+              <button className="btn btn--sm btn--outline" onClick={handleScenarioDelete}>{t('simulator.delete')}</button>
+            )}
           </div>
         </div>
 
         <div className="settings-section card">
-          <h3>Alert Thresholds</h3>
+          <h3>{t('settings.thresholds')}</h3>
           <div className="form-group">
-            <label className="form-label">Temperature Warning (°C)</label>
+            <label className="form-label">{t('settings.tempWarning', { unit: format.tempUnit })}</label>
             <input 
               type="number" 
               className="form-control" 
-              value={settings.tempWarning}
-              onChange={(e) => handleSettingChange('tempWarning', parseFloat(e.target.value))}
-              min="30" 
-              max="45" 
+              value={toTempField(draft.tempWarning)}
+              onChange={(e) => handleTempChange('tempWarning', e.target.value)}
+              min={toTempField(30)} 
+              max={toTempField(45)} 
               step="0.5"
             />
+            {renderError('tempWarning')}
           </div>
           <div className="form-group">
-            <label className="form-label">Temperature Critical (°C)</label>
+            <label className="form-label">{t('settings.tempCritical', { unit: format.tempUnit })}</label>
             <input 
               type="number" 
               className="form-control" 
-              value={settings.tempCritical}
-              onChange={(e) => handleSettingChange('tempCritical', parseFloat(e.target.value))}
-              min="35" 
-              max="50" 
+              value={toTempField(draft.tempCritical)}
+              onChange={(e) => handleTempChange('tempCritical', e.target.value)}
+              min={toTempField(35)} 
+              max={toTempField(50)} 
               step="0.5"
             />
+            {renderError('tempCritical')}
           </div>
           <div className="form-group">
-            <label className="form-label">Battery Low (%)</label>
+            <label className="form-label">{t('settings.batteryLow')}</label>
             <input 
               type="number" 
               className="form-control" 
-              value={settings.batteryLow}
+              value={draft.batteryLow}
               onChange={(e) => handleSettingChange('batteryLow', parseInt(e.target.value))}
               min="5" 
               max="30"
             />
+            {renderError('batteryLow')}
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.ambientHigh', { unit: format.tempUnit })}</label>
+            <input 
+              type="number" 
+              className="form-control" 
+              value={toTempField(draft.ambientHigh)}
+              onChange={(e) => handleTempChange('ambientHigh', e.target.value)}
+              min={toTempField(20)} 
+              max={toTempField(45)} 
+              step="0.5"
+            />
+            {renderError('ambientHigh')}
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.ambientLow', { unit: format.tempUnit })}</label>
+            <input 
+              type="number" 
+              className="form-control" 
+              value={toTempField(draft.ambientLow)}
+              onChange={(e) => handleTempChange('ambientLow', e.target.value)}
+              min={toTempField(-10)} 
+              max={toTempField(20)} 
+              step="0.5"
+            />
+            {renderError('ambientLow')}
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.cpuHigh')}</label>
+            <input 
+              type="number" 
+              className="form-control" 
+              value={draft.cpuHigh}
+              onChange={(e) => handleSettingChange('cpuHigh', parseInt(e.target.value))}
+              min="50" 
+              max="100"
+            />
+            {renderError('cpuHigh')}
           </div>
         </div>
 
         <div className="settings-section card">
-          <h3>Notification Preferences</h3>
+          <h3>{t('settings.notifications')}</h3>
           <div className="checkbox-group">
             <label className="checkbox-label">
               <input 
                 type="checkbox" 
-                checked={settings.enableTempAlerts}
+                checked={draft.enableTempAlerts}
                 onChange={(e) => handleSettingChange('enableTempAlerts', e.target.checked)}
               />
-              Temperature alerts
+              {t('settings.tempAlerts')}
+            </label>
+            <label className="checkbox-label">
+              <input 
+                type="checkbox" 
+                checked={draft.enableBatteryAlerts}
+                onChange={(e) => handleSettingChange('enableBatteryAlerts', e.target.checked)}
+              />
+              {t('settings.batteryAlerts')}
+            </label>
+            <label className="checkbox-label">
+              <input 
+                type="checkbox" 
+                checked={draft.enableWeatherAlerts}
+                onChange={(e) => handleSettingChange('enableWeatherAlerts', e.target.checked)}
+              />
+              {t('settings.weatherAlerts')}
+            </label>
+            <label className="checkbox-label">
+              <input 
+                type="checkbox" 
+                checked={draft.enableAnomalyAlerts}
+                onChange={(e) => handleSettingChange('enableAnomalyAlerts', e.target.checked)}
+              />
+              {t('settings.anomalyAlerts')}
+            </label>
+            <label className="checkbox-label">
+              <input 
+                type="checkbox" 
+                checked={draft.enableSoundAlerts}
+                onChange={(e) => handleSettingChange('enableSoundAlerts', e.target.checked)}
+              />
+              {t('settings.soundAlerts')}
             </label>
             <label className="checkbox-label">
               <input 
                 type="checkbox" 
-                checked={settings.enableBatteryAlerts}
-                onChange={(e) => handleSettingChange('enableBatteryAlerts', e.target.checked)}
+                checked={draft.enableSystemNotifications}
+                onChange={(e) => handleSystemNotificationsChange(e.target.checked)}
               />
-              Battery level alerts
+              {t('settings.systemNotifications')}
             </label>
+          </div>
+          <div className="form-group">
+            <span className="form-label">
+              {t('settings.permission', { permission: t(`settings.permission.${notificationPermission}`) })}
+            </span>
+          </div>
+          <div className="form-group">
             <label className="checkbox-label">
               <input 
                 type="checkbox" 
-                checked={settings.enableWeatherAlerts}
-                onChange={(e) => handleSettingChange('enableWeatherAlerts', e.target.checked)}
+                checked={draft.quietHoursEnabled}
+                onChange={(e) => handleSettingChange('quietHoursEnabled', e.target.checked)}
               />
-              Weather-based alerts
+              {t('settings.quietHours')}
             </label>
+          </div>
+          <div className="form-grid">
+            <div className="form-group">
+              <label className="form-label">{t('settings.quietFrom')}</label>
+              <input 
+                type="time" 
+                className="form-control" 
+                value={draft.quietHoursStart}
+                onChange={(e) => handleSettingChange('quietHoursStart', e.target.value)}
+                disabled={!draft.quietHoursEnabled}
+              />
+              {renderError('quietHoursStart')}
+            </div>
+            <div className="form-group">
+              <label className="form-label">{t('settings.quietUntil')}</label>
+              <input 
+                type="time" 
+                className="form-control" 
+                value={draft.quietHoursEnd}
+                onChange={(e) => handleSettingChange('quietHoursEnd', e.target.value)}
+                disabled={!draft.quietHoursEnabled}
+              />
+              {renderError('quietHoursEnd')}
+            </div>
+          </div>
+          <div className="settings-actions">
+            <button className="btn btn--sm btn--outline" onClick={() => alertDelivery.playTone('warning')}>
+              {t('settings.previewWarning')}
+            </button>
+            <button className="btn btn--sm btn--outline" onClick={() => alertDelivery.playTone('critical')}>
+              {t('settings.previewCritical')}
+            </button>
+          </div>
+        </div>
+
+        <div className="settings-section card">
+          <h3>{t('settings.advisory')}</h3>
+          <div className="checkbox-group">
             <label className="checkbox-label">
               <input 
                 type="checkbox" 
-                checked={settings.enableSoundAlerts}
-                onChange={(e) => handleSettingChange('enableSoundAlerts', e.target.checked)}
+                checked={draft.enableRemoteAdvisory}
+                onChange={(e) => handleSettingChange('enableRemoteAdvisory', e.target.checked)}
               />
-              Sound notifications
+              {t('settings.remoteAdvisory')}
             </label>
           </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.baseUrl')}</label>
+            <input 
+              type="url" 
+              className="form-control" 
+              value={draft.advisoryApiUrl}
+              onChange={(e) => handleSettingChange('advisoryApiUrl', e.target.value.trim())}
+              placeholder="http://localhost:8787"
+            />
+            {renderError('advisoryApiUrl')}
+          </div>
+          <div className="form-grid">
+            <div className="form-group">
+              <label className="form-label">{t('settings.timeout')}</label>
+              <select 
+                className="form-control"
+                value={draft.advisoryTimeout}
+                onChange={(e) => handleSettingChange('advisoryTimeout', parseInt(e.target.value))}
+              >
+                <option value="3000">{intervalLabel(3000)}</option>
+                <option value="8000">{intervalLabel(8000)}</option>
+                <option value="15000">{intervalLabel(15000)}</option>
+                <option value="30000">{intervalLabel(30000)}</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">{t('settings.retries')}</label>
+              <input 
+                type="number" 
+                className="form-control" 
+                value={draft.advisoryRetries}
+                onChange={(e) => handleSettingChange('advisoryRetries', parseInt(e.target.value))}
+                min="0" 
+                max="5"
+              />
+              {renderError('advisoryRetries')}
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('settings.refreshInterval')}</label>
+            <select 
+              className="form-control"
+              value={draft.advisoryInterval}
+              onChange={(e) => handleSettingChange('advisoryInterval', parseInt(e.target.value))}
+            >
+              <option value="30000">{intervalLabel(30000)}</option>
+              <option value="60000">{intervalLabel(60000)}</option>
+              <option value="300000">{intervalLabel(300000)}</option>
+            </select>
+          </div>
         </div>
 
         <div className="settings-section card">
-          <h3>Data & Privacy</h3>
+          <h3>{t('privacy.title')}</h3>
           <div className="privacy-info">
-            <p>✅ All data is processed locally on your device</p>
-            <p>✅ Weather data from Open-Meteo (anonymous)</p>
-            <p>✅ No personal data is transmitted or stored</p>
-            <p>✅ Location used only for weather (not stored)</p>
+            <p>{t('privacy.local')}</p>
+            <p>{t('privacy.weather')}</p>
+            <p>{t('privacy.personal')}</p>
+            <p>{t('privacy.location')}</p>
+            <p>{t('privacy.advisory')}</p>
           </div>
         </div>
       </div>
@@ -1226,83 +8562,222 @@ const Settings = ({ isVisible }) => {
   );
 };
 
-// // Analytics Component
-// const Analytics = ({ isVisible }) => {
-//   if (!isVisible) return null;
-
-//   return (
-//     <div>
-//       <div className="analytics-header">
-//         <h1>Historical Analytics</h1>
-//         <div className="analytics-controls">
-//           <select className="form-control">
-//             <option value="1h">Last Hour</option>
-//             <option value="6h">Last 6 Hours</option>
-//             <option value="24h" selected>Last 24 Hours</option>
-//             <option value="7d">Last 7 Days</option>
-//           </select>
-//           <button className="btn btn--sm btn--primary">Refresh</button>
-//         </div>
-//       </div>
-      
-//       <div className="analytics-grid">
-//         <div className="analytics-card card">
-//           <h3>Temperature Trends</h3>
-//           <div className="trend-summary">
-//             <div className="trend-stat">
-//               <span className="trend-label">Avg Device Temp</span>
-//               <span className="trend-value">28.5°C</span>
-//             </div>
-//             <div className="trend-stat">
-//               <span className="trend-label">Peak Temperature</span>
-//               <span className="trend-value">35.2°C</span>
-//             </div>
-//             <div className="trend-stat">
-//               <span className="trend-label">Thermal Events</span>
-//               <span className="trend-value">2</span>
-//             </div>
-//           </div>
-//         </div>
-
-//         <div className="analytics-card card">
-//           <h3>Battery Performance</h3>
-//           <div className="battery-analytics">
-//             <div className="battery-stat">
-//               <span className="battery-label">Charge Cycles</span>
-//               <span className="battery-value">127</span>
-//             </div>
-//             <div className="battery-stat">
-//               <span className="battery-label">Health Score</span>
-//               <span className="battery-value">87%</span>
-//             </div>
-//             <div className="battery-stat">
-//               <span className="battery-label">Efficiency</span>
-//               <span className="battery-value">94%</span>
-//             </div>
-//           </div>
-//         </div>
-
-//         <div className="analytics-card card">
-//           <h3>Environmental Impact</h3>
-//           <div className="environmental-factors">
-//             <div className="env-factor">
-//               <span className="env-label">Weather Correlation</span>
-//               <span className="env-value">Moderate</span>
-//             </div>
-//             <div className="env-factor">
-//               <span className="env-label">Optimal Temp Range</span>
-//               <span className="env-value">20-30°C</span>
-//             </div>
-//             <div className="env-factor">
-//               <span className="env-label">Risk Level</span>
-//               <span className="env-value">Low</span>
-//             </div>
-//           </div>
-//         </div>
-//       </div>
-//     </div>
-//   );
-// };
+// Analytics Component
+const SESSION_IMPACT_STATUS = {
+  low: 'status--success',
+  medium: 'status--warning',
+  high: 'status--error'
+};
+
+const Analytics = ({ isVisible }) => {
+  const { settings, chargingSessions, capacity, review } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
+  const [range, setRange] = useState('24h');
+  const [stats, setStats] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [lastRefreshed, setLastRefreshed] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      // Under review, ranges end at the last reading in the imported file
+      const to = review ? review.to : Date.now();
+      const from = range === 'all' ? 0 : to - ANALYTICS_RANGES[range].duration;
+      const series = ['deviceTemp', 'weather', 'battery'];
+      let statistics = analyticsUtils.createStatistics(settings);
+      if (review) {
+        statistics = analyticsUtils.accumulate(statistics, review.samples.filter(sample => series.includes(sample.series) && sample.timestamp >= from && sample.timestamp <= to));
+      } else {
+        // Streamed in batches, since the full history can be far too large to load at once
+        await historyStore.iterate({ series, from, to }, samples => {
+          statistics = analyticsUtils.accumulate(statistics, samples);
+        });
+      }
+      setStats(analyticsUtils.summarize(statistics));
+      setLastRefreshed(new Date());
+    } catch (error) {
+      console.error('Analytics refresh error:', error);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [range, settings, review]);
+
+  useEffect(() => {
+    if (isVisible) refresh();
+  }, [isVisible, refresh]);
+
+  if (!isVisible) return null;
+
+  const formatTemp = (value) => value === null ? '--' : format.temp(value);
+  const formatRate = (value) => value === null ? '--' : t('analytics.rate', { rate: format.number(value, 1) });
+  const formatDelta = (value) => value === null ? '--' : `${value >= 0 ? '+' : ''}${format.tempDelta(value)}`;
+  const formatShare = (duration) => stats.totalDuration > 0
+    ? `${analyticsUtils.formatDuration(duration, format)} (${format.percent(duration / stats.totalDuration * 100)})`
+    : '--';
+
+  return (
+    <div>
+      <div className="analytics-header">
+        <h1>{t('analytics.title')}</h1>
+        <div className="analytics-controls">
+          <select className="form-control" value={range} onChange={(e) => setRange(e.target.value)}>
+            {Object.entries(ANALYTICS_RANGES).map(([key, option]) => (
+              <option key={key} value={key}>{t(option.label)}</option>
+            ))}
+            <option value="all">{t('analytics.range.all')}</option>
+          </select>
+          <button className="btn btn--sm btn--primary" onClick={refresh} disabled={isRefreshing}>
+            {isRefreshing ? t('analytics.refreshing') : t('analytics.refresh')}
+          </button>
+        </div>
+      </div>
+
+      {lastRefreshed && (
+        <div className="last-updated">
+          {t('analytics.lastRefreshed', { time: format.time(lastRefreshed), count: stats ? stats.sampleCount : 0 })}
+        </div>
+      )}
+
+      {stats && stats.sampleCount === 0 ? (
+        <div className="no-notifications">{t('analytics.noData')}</div>
+      ) : stats && (
+        <div className="analytics-grid">
+          <div className="analytics-card card">
+            <h3>{t('analytics.temperatureTrends')}</h3>
+            <div className="trend-summary">
+              <div className="trend-stat">
+                <span className="trend-label">{t('analytics.avgDeviceTemp')}</span>
+                <span className="trend-value">{formatTemp(stats.avgDeviceTemp)}</span>
+              </div>
+              <div className="trend-stat">
+                <span className="trend-label">{t('analytics.peakTemp')}</span>
+                <span className="trend-value">{formatTemp(stats.peakDeviceTemp)}</span>
+              </div>
+              <div className="trend-stat">
+                <span className="trend-label">{t('analytics.warningEvents')}</span>
+                <span className="trend-value">{stats.thermalEvents.warning}</span>
+              </div>
+              <div className="trend-stat">
+                <span className="trend-label">{t('analytics.criticalEvents')}</span>
+                <span className="trend-value">{stats.thermalEvents.danger}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="analytics-card card">
+            <h3>{t('analytics.timeByLevel')}</h3>
+            <div className="trend-summary">
+              <div className="trend-stat">
+                <span className="trend-label">{t('alertLevel.safe')}</span>
+                <span className="trend-value">{formatShare(stats.timeInLevel.safe)}</span>
+              </div>
+              <div className="trend-stat">
+                <span className="trend-label">{t('alertLevel.warning')}</span>
+                <span className="trend-value">{formatShare(stats.timeInLevel.warning)}</span>
+              </div>
+              <div className="trend-stat">
+                <span className="trend-label">{t('alertLevel.critical')}</span>
+                <span className="trend-value">{formatShare(stats.timeInLevel.danger)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="analytics-card card">
+            <h3>{t('analytics.batteryPerformance')}</h3>
+            <div className="battery-analytics">
+              <div className="battery-stat">
+                <span className="battery-label">{t('analytics.drainRate')}</span>
+                <span className="battery-value">{formatRate(stats.drainRate)}</span>
+              </div>
+              <div className="battery-stat">
+                <span className="battery-label">{t('analytics.chargeRate')}</span>
+                <span className="battery-value">{formatRate(stats.chargeRate)}</span>
+              </div>
+            </div>
+          </div>
+
+          <div className="analytics-card card">
+            <h3>{t('analytics.environmentalImpact')}</h3>
+            <div className="environmental-factors">
+              <div className="env-factor">
+                <span className="env-label">{t('analytics.avgAmbientTemp')}</span>
+                <span className="env-value">{formatTemp(stats.avgAmbientTemp)}</span>
+              </div>
+              <div className="env-factor">
+                <span className="env-label">{t('analytics.avgAmbientDelta')}</span>
+                <span className="env-value">{formatDelta(stats.avgAmbientDelta)}</span>
+              </div>
+              <div className="env-factor">
+                <span className="env-label">{t('analytics.maxAmbientDelta')}</span>
+                <span className="env-value">{formatDelta(stats.maxAmbientDelta)}</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {!review && (
+        <div className="analytics-card card charging-sessions">
+          <div className="charging-sessions-header">
+            <h3>{t('analytics.chargingSessions')}</h3>
+            {chargingSessions.sessions.length > 0 && (
+              <button className="btn btn--sm btn--outline" onClick={chargingSessions.clearSessions}>{t('common.clear')}</button>
+            )}
+          </div>
+          <div className="trend-summary">
+            <div className="trend-stat">
+              <span className="trend-label">{t('analytics.chargeCycles')}</span>
+              <span className="trend-value">{capacity.equivalentCycles}</span>
+            </div>
+            <div className="trend-stat">
+              <span className="trend-label">{t('analytics.sessions')}</span>
+              <span className="trend-value">{chargingSessions.sessions.length}</span>
+            </div>
+            <div className="trend-stat">
+              <span className="trend-label">{t('analytics.chargingNow')}</span>
+              <span className="trend-value">
+                {chargingSessions.activeSession
+                  ? `${chargingSessions.activeSession.startLevel}% → ${chargingSessions.activeSession.endLevel}%`
+                  : t('common.no')}
+              </span>
+            </div>
+          </div>
+          {chargingSessions.sessions.length === 0 ? (
+            <div className="no-notifications">{t('analytics.noSessions')}</div>
+          ) : (
+            <ul className="session-list">
+              {chargingSessions.sessions.slice(0, 20).map(session => (
+                <li key={session.id} className="session-item">
+                  <div className="session-main">
+                    <span>{format.dateTime(session.startedAt)}</span>
+                    <span>
+                      {t('analytics.sessionRange', {
+                        from: format.percent(session.startLevel),
+                        to: format.percent(session.endLevel),
+                        duration: analyticsUtils.formatDuration(session.duration, format)
+                      })}
+                      {session.chargeRate !== null && ` · ${formatRate(session.chargeRate)}`}
+                    </span>
+                    <span className="session-conditions">
+                      {t('analytics.sessionConditions', { peak: formatTemp(session.peakTemp), ambient: formatTemp(session.ambientTemp) })}
+                    </span>
+                  </div>
+                  <span
+                    className={`status ${SESSION_IMPACT_STATUS[session.impactLevel]}`}
+                    title={chargingSessionUtils.scoreImpact(session, settings).impactFactors.join('\n') || t('analytics.noStressFactors')}
+                  >
+                    {t('analytics.impact', { level: t(`level.${session.impactLevel}`), score: session.impactScore })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
 
 // Main Dashboard Component
 const Dashboard = () => {
@@ -1311,33 +8786,41 @@ const Dashboard = () => {
     weatherData,
     performanceData,
     deviceTemp,
+    thermalEstimate,
+    calibration,
     healthData,
+    capacity,
+    eta,
+    settings,
     onRetryBattery,
     onRetryWeather
   } = useContext(ThermoSenseContext);
+  const format = useI18n();
+  const { t } = format;
+  const showTemp = (celsius) => typeof celsius === 'number' ? format.number(format.tempValue(celsius), 1) : '--';
 
   return (
     <div>
       <div className="dashboard-header">
-        <h1>Real-Time Battery Health Dashboard</h1>
+        <h1>{t('dashboard.title')}</h1>
         <div className="status-badges">
           <div className={`status status--${healthData.alertLevel === 'safe' ? 'success' : healthData.alertLevel === 'warning' ? 'warning' : 'error'}`}>
-            {healthData.alertLevel === 'safe' ? 'System Operational' : 
-             healthData.alertLevel === 'warning' ? 'Monitor Required' : 'Immediate Action Required'}
+            {healthData.alertLevel === 'safe' ? t('dashboard.operational') : 
+             healthData.alertLevel === 'warning' ? t('dashboard.monitor') : t('dashboard.actionRequired')}
           </div>
           <div className="last-updated">
-            Last updated: {new Date().toLocaleTimeString()}
+            {t('dashboard.lastUpdated', { time: format.time(new Date(), { second: '2-digit' }) })}
           </div>
-          <div className="data-source">Source: React Hooks & APIs</div>
+          <div className="data-source">{t('dashboard.source')}</div>
         </div>
       </div>
 
       <div className="dashboard-grid">
-        <BatteryStatus batteryData={batteryData} onRetry={onRetryBattery} />
+        <BatteryStatus batteryData={batteryData} eta={eta?.battery} onRetry={onRetryBattery} />
         
         <div className="widget card temperature-widget">
           <div className="widget-header">
-            <h3>Temperature Status</h3>
+            <h3>{t('dashboard.temperature')}</h3>
             <div className="widget-status">
               <span className="widget-icon">🌡️</span>
               <span className="update-indicator"></span>
@@ -1345,42 +8828,62 @@ const Dashboard = () => {
           </div>
           <div className="temperature-display">
             <div className="temp-reading">
-              <span className="temp-label">Estimated Device</span>
-              <span className="temp-value">{deviceTemp?.toFixed(1) || '--'}</span>
-              <span className="temp-unit">°C</span>
+              <span className="temp-label">{t('dashboard.estimatedDevice')}</span>
+              <span className="temp-value">{showTemp(deviceTemp)}</span>
+              <span className="temp-unit">{format.tempUnit}</span>
             </div>
             <div className="temp-reading">
-              <span className="temp-label">Ambient Weather</span>
-              <span className="temp-value">{weatherData?.temperature?.toFixed(1) || '--'}</span>
-              <span className="temp-unit">°C</span>
+              <span className="temp-label">{t('dashboard.ambient')}</span>
+              <span className="temp-value">{showTemp(weatherData?.temperature)}</span>
+              <span className="temp-unit">{format.tempUnit}</span>
             </div>
             <div className="temp-status">
-              {deviceTemp > 40 ? 'Critical temperature' :
-               deviceTemp > 35 ? 'Elevated temperature' : 'Normal range'}
+              {deviceTemp > settings.tempCritical ? t('dashboard.tempCritical') :
+               deviceTemp > settings.tempWarning ? t('dashboard.tempElevated') : t('dashboard.tempNormal')}
             </div>
+            {(eta?.temperature.warning || eta?.temperature.critical) && (
+              <div className="temp-eta">
+                {eta.temperature.warning && (
+                  <span>{t('dashboard.tempEta', { limit: format.temp(settings.tempWarning) })} <EtaValue estimate={eta.temperature.warning} /></span>
+                )}
+                {eta.temperature.critical && (
+                  <span>{t('dashboard.tempEta', { limit: format.temp(settings.tempCritical) })} <EtaValue estimate={eta.temperature.critical} /></span>
+                )}
+              </div>
+            )}
+            {thermalEstimate?.temperature !== null && thermalEstimate?.temperature !== undefined && (
+              <div className="temp-model" title={t('dashboard.thermalModel', { profile: t(THERMAL_PROFILES[settings.deviceProfile].label) })}>
+                {t('dashboard.modelSummary', {
+                  confidence: format.percent(thermalEstimate.confidence * 100),
+                  steadyState: format.temp(thermalEstimate.steadyState)
+                })}
+                {calibration.fit ? t('dashboard.calibrated') : t('dashboard.uncalibrated')}
+                {calibration.isOverdue && <span className="status status--warning">{t('dashboard.recalibrate')}</span>}
+              </div>
+            )}
           </div>
         </div>
 
         <WeatherWidget weatherData={weatherData} onRetry={onRetryWeather} />
         <DeviceInfo performanceData={performanceData} />
-        <HealthAnalysis healthData={healthData} />
+        <HealthAnalysis healthData={healthData} capacity={capacity} />
         
         <div className="widget card alerts-widget">
           <div className="widget-header">
-            <h3>Active Alerts</h3>
+            <h3>{t('dashboard.activeAlerts')}</h3>
             <span className="widget-icon">🚨</span>
           </div>
           <div className="alerts-list">
             {healthData.alertLevel === 'danger' ? (
               <div className="alert-item critical">
-                🚨 Critical temperature detected - immediate action required!
+                {t('dashboard.alertCritical')}
               </div>
             ) : healthData.alertLevel === 'warning' ? (
               <div className="alert-item warning">
-                ⚠️ Device temperature elevated - monitor closely
+                {t('dashboard.alertWarning')}
               </div>
             ) : (
-              <div className="no-alerts">No active alerts</div>
+              <div className="no-alerts">{t('dashboard.noAlerts')}</div>
             )}
           </div>
         </div>
@@ -1391,22 +8894,24 @@ const Dashboard = () => {
 
 // Permission Modal Component
 const PermissionModal = ({ isVisible, onAllow, onDeny }) => {
+  const { t } = useI18n();
+
   if (!isVisible) return null;
 
   return (
     <div className="modal">
       <div className="modal-content">
         <div className="modal-header">
-          <h3>Enable Real-Time Monitoring</h3>
+          <h3>{t('permission.title')}</h3>
         </div>
         <div className="modal-body">
-          <p>ThermoSense needs access to:</p>
+          <p>{t('permission.intro')}</p>
           <ul>
-            <li>📍 Your location for weather data</li>
-            <li>🔋 Battery information (if supported)</li>
-            <li>📊 System performance metrics</li>
+            <li>{t('permission.location')}</li>
+            <li>{t('permission.battery')}</li>
+            <li>{t('permission.performance')}</li>
           </ul>
-          <p>All data stays on your device and is used only for monitoring.</p>
+          <p>{t('permission.privacy')}</p>
         </div>
         <div className="modal-footer">
           <button 
@@ -1417,7 +8922,7 @@ const PermissionModal = ({ isVisible, onAllow, onDeny }) => {
               onDeny();
             }}
           >
-            Use Without
+            {t('permission.deny')}
           </button>
           <button 
             className="btn btn--primary" 
@@ -1427,7 +8932,130 @@ const PermissionModal = ({ isVisible, onAllow, onDeny }) => {
               onAllow();
             }}
           >
-            Enable Monitoring
+            {t('permission.allow')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Export Dialog Component
+const ExportDialog = ({ isVisible, isExporting, progress, onExport, onClose }) => {
+  const { t } = useI18n();
+  const [range, setRange] = useState('24h');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [selectedSeries, setSelectedSeries] = useState(Object.keys(EXPORT_SERIES));
+  const [fileFormat, setFileFormat] = useState('csv');
+  const [error, setError] = useState(null);
+
+  if (!isVisible) return null;
+
+  // Custom bounds are local date-times; an empty end means now
+  const resolveRange = () => {
+    const to = Date.now();
+    if (range === 'all') return { from: 0, to };
+    if (range === 'custom') {
+      return { from: new Date(customFrom).getTime(), to: customTo ? new Date(customTo).getTime() : to };
+    }
+    return { from: to - ANALYTICS_RANGES[range].duration, to };
+  };
+
+  const toggleSeries = (id) => {
+    setSelectedSeries(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
+
+  const handleExport = async () => {
+    setError(null);
+    const result = await onExport({
+      format: fileFormat,
+      series: Object.keys(EXPORT_SERIES).filter(id => selectedSeries.includes(id)),
+      ...resolveRange()
+    });
+    if (result.success) {
+      onClose();
+    } else if (!result.cancelled) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="modal">
+      <div className="modal-content">
+        <div className="modal-header">
+          <h3>{t('export.title')}</h3>
+        </div>
+        <div className="modal-body">
+          <div className="form-group">
+            <label className="form-label">{t('export.range')}</label>
+            <select className="form-control" value={range} onChange={(e) => setRange(e.target.value)}>
+              {Object.entries(ANALYTICS_RANGES).map(([key, option]) => (
+                <option key={key} value={key}>{t(option.label)}</option>
+              ))}
+              <option value="all">{t('export.range.all')}</option>
+              <option value="custom">{t('export.range.custom')}</option>
+            </select>
+          </div>
+          {range === 'custom' && (
+            <div className="form-grid">
+              <div className="form-group">
+                <label className="form-label">{t('export.from')}</label>
+                <input
+                  type="datetime-local"
+                  className="form-control"
+                  value={customFrom}
+                  onChange={(e) => setCustomFrom(e.target.value)}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">{t('export.to')}</label>
+                <input
+                  type="datetime-local"
+                  className="form-control"
+                  value={customTo}
+                  onChange={(e) => setCustomTo(e.target.value)}
+                />
+              </div>
+            </div>
+          )}
+          <div className="form-group">
+            <span className="form-label">{t('export.series')}</span>
+            <div className="checkbox-group">
+              {Object.entries(EXPORT_SERIES).map(([id, definition]) => (
+                <label key={id} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={selectedSeries.includes(id)}
+                    onChange={() => toggleSeries(id)}
+                  />
+                  {t(definition.label)}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">{t('export.format')}</label>
+            <select className="form-control" value={fileFormat} onChange={(e) => setFileFormat(e.target.value)}>
+              {Object.entries(exportUtils.formats).map(([id, writer]) => (
+                <option key={id} value={id}>{writer.label}</option>
+              ))}
+            </select>
+            <p className="form-hint">{t(`export.formatHint.${fileFormat}`)}</p>
+          </div>
+          {isExporting && <p className="form-hint">{t('export.progress', { count: progress })}</p>}
+          {error && <div className="form-error">{error}</div>}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn--outline" onClick={onClose} disabled={isExporting}>
+            {t('common.cancel')}
+          </button>
+          <button
+            className="btn btn--primary"
+            onClick={handleExport}
+            disabled={isExporting || selectedSeries.length === 0}
+          >
+            {isExporting ? t('export.exporting') : t('export.start')}
           </button>
         </div>
       </div>
@@ -1440,38 +9068,119 @@ const ThermoSenseApp = () => {
   // Core state
   const [isLoading, setIsLoading] = useState(true);
   const [showPermissionModal, setShowPermissionModal] = useState(false);
+  const [showExportDialog, setShowExportDialog] = useState(false);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [notifications, setNotifications] = useState([]);
   
-  // Device temperature simulation
-  const [deviceTemp, setDeviceTemp] = useState(27.5);
+  // Persisted settings
+  const { settings, updateSettings, resetSettings, importSettings, exportSettings } = useSettings();
+  const format = useMemo(() => i18n.create(settings), [settings.language, settings.temperatureUnit, settings.speedUnit]);
+  const { t } = format;
+  
+  // Sensor providers selected in Settings
+  const batterySensor = useSensorProvider('battery', settings.batteryProvider, settings);
+  const weatherSensor = useSensorProvider('weather', settings.weatherProvider, settings);
+  const performanceSensor = useSensorProvider('performance', settings.performanceProvider, settings);
   
-  // API hooks
-  const { batteryData, batteryStatus, initializeBattery, retryBattery } = useBattery();
-  const { weatherData, weatherStatus, getLocationAndWeather, retryWeather } = useWeather();
-  const { performanceData, updatePerformance } = useDevicePerformance();
-  const { generateRecommendations } = useMLModel();
+  // A running scenario script feeds the app in place of the sensors
+  const simulator = useScenarioSimulator(settings);
+  const simulatedValues = simulator.values;
+  const liveBatteryData = simulatedValues ? simulatedValues.batteryData : batterySensor.data;
+  const liveWeatherData = simulatedValues ? simulatedValues.weatherData : weatherSensor.data;
+  const livePerformanceData = useMemo(
+    () => (simulatedValues ? simulatedValues.performanceData : performanceSensor.data) || {},
+    [simulatedValues, performanceSensor.data]
+  );
+  
+  // Device temperature from the thermal model, unless a scenario supplies it
+  const calibration = useCalibration(settings);
+  const thermalEstimate = useThermalModel({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    performanceData: livePerformanceData,
+    settings,
+    calibration: calibration.fit,
+    enabled: !simulator.isActive
+  });
+  const liveDeviceTemp = simulatedValues ? simulatedValues.deviceTemp : thermalEstimate.temperature;
+  const { generateRecommendations, capacity } = useMLModel(settings);
+  
+  // Persist every live reading to the history store
+  const deviceTempProvenance = simulator.isActive ? 'simulated' : 'estimated';
+  useHistoryRecorder({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    performanceData: livePerformanceData,
+    deviceTemp: liveDeviceTemp,
+    deviceTempProvenance
+  });
+  
+  // Charging sessions from real battery readings
+  const chargingSessions = useChargingSessions({
+    batteryData: liveBatteryData,
+    deviceTemp: liveDeviceTemp,
+    weatherData: liveWeatherData,
+    settings
+  });
+  
+  // Add notification helper
+  const addNotification = useCallback((notification) => {
+    const notificationWithId = {
+      ...notification,
+      id: Date.now() + Math.random(),
+      timestamp: new Date()
+    };
+    
+    setNotifications(prev => [notificationWithId, ...prev.slice(0, 99)]);
+  }, []);
+
+  // Session replay replaces live readings everywhere downstream while a session is loaded;
+  // live alerting carries on, and the session's own alerts are raised as replay passes them
+  const sessionPlayer = useSessionPlayer({
+    format,
+    onAlert: (alert) => addNotification({
+      type: alert.type,
+      message: alert.message,
+      source: 'alert-engine',
+      ruleId: alert.ruleId,
+      replay: true
+    })
+  });
+  const replayValues = sessionPlayer.values;
+  const isReplaying = replayValues !== null;
+  const batteryData = isReplaying ? replayValues.batteryData : liveBatteryData;
+  const weatherData = isReplaying ? replayValues.weatherData : liveWeatherData;
+  const performanceData = isReplaying ? replayValues.performanceData : livePerformanceData;
+  const deviceTemp = isReplaying ? replayValues.deviceTemp : liveDeviceTemp;
   
   // Loading state
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [currentStep, setCurrentStep] = useState('');
   const [loadingSteps, setLoadingSteps] = useState([
-    { text: 'Starting ThermoSense...', status: 'pending' },
-    { text: 'Checking browser compatibility...', status: 'pending' },
-    { text: 'Requesting location access...', status: 'pending' },
-    { text: 'Connecting to weather service...', status: 'pending' },
-    { text: 'Initializing battery monitoring...', status: 'pending' },
-    { text: 'Setting up real-time updates...', status: 'pending' }
+    { text: 'loading.starting', status: 'pending' },
+    { text: 'loading.compatibility', status: 'pending' },
+    { text: 'loading.location', status: 'pending' },
+    { text: 'loading.weather', status: 'pending' },
+    { text: 'loading.battery', status: 'pending' },
+    { text: 'loading.updates', status: 'pending' }
   ]);
 
-  // API status
-  const apiStatus = useMemo(() => ({
-    battery: batteryStatus === 'connected' ? 'connected' : 
-             batteryStatus === 'retrying' ? 'retrying' : 'disconnected',
-    weather: weatherStatus === 'connected' ? 'connected' : 
-             weatherStatus === 'retrying' ? 'retrying' : 'disconnected',
-    performance: 'connected'
-  }), [batteryStatus, weatherStatus]);
+  // API status, one indicator per sensor provider
+  const apiStatus = useMemo(() => Object.entries({
+    battery: batterySensor,
+    weather: weatherSensor,
+    performance: performanceSensor
+  }).map(([metric, sensor]) => ({
+    metric,
+    label: SENSOR_METRICS[metric].label,
+    status: sensor.status,
+    providerLabel: sensor.providerLabel,
+    error: sensor.error
+  })), [
+    batterySensor.status, batterySensor.providerLabel, batterySensor.error,
+    weatherSensor.status, weatherSensor.providerLabel, weatherSensor.error,
+    performanceSensor.status, performanceSensor.providerLabel, performanceSensor.error
+  ]);
 
   // Health data calculation
   const healthData = useMemo(() => {
@@ -1483,16 +9192,74 @@ const ThermoSenseApp = () => {
     return notifications.filter(n => n.type === 'critical' || n.type === 'warning').length;
   }, [notifications]);
 
-  // Add notification helper
-  const addNotification = useCallback((notification) => {
-    const notificationWithId = {
-      ...notification,
-      id: Date.now() + Math.random(),
-      timestamp: new Date()
-    };
-    
-    setNotifications(prev => [notificationWithId, ...prev.slice(0, 99)]);
-  }, []);
+  // Charging windows for the real device, with optional reminders
+  const chargingPlan = useChargingPlan({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    chargingSessions,
+    settings,
+    addNotification
+  });
+
+  // Device temperature projected a few minutes ahead, for the chart and pre-emptive alerts.
+  // The projection is fitted on wall-clock time, which simulated readings do not follow.
+  const tempForecast = useTemperatureForecast({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    deviceTemp: liveDeviceTemp,
+    settings,
+    paused: simulator.isActive
+  });
+
+  // Time to empty, full and the temperature limits from the recent trends
+  const eta = useEtaEstimates({ batteryData: liveBatteryData, tempForecast, settings, paused: simulator.isActive });
+
+  // Unusual behaviour in the recorded temperature and battery streams
+  const anomalies = useAnomalyDetection({ settings, addNotification });
+
+  // Automatic alerts from the rule engine
+  const sessionRecorder = useSessionRecorder({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    performanceData: livePerformanceData,
+    deviceTemp: liveDeviceTemp,
+    notifications,
+    settings
+  });
+
+  useAlertEngine({
+    batteryData: liveBatteryData,
+    weatherData: liveWeatherData,
+    deviceTemp: liveDeviceTemp,
+    tempForecast,
+    settings,
+    addNotification,
+    onTransition: (transition) => {
+      sessionRecorder.recordEvent('alert', transition);
+      historyStore.record('alert', transition, deviceTempProvenance);
+    },
+    // Rate and duration rules run on simulated time, starting afresh with each run
+    clock: simulator.isActive ? simulator.clock : null,
+    resetKey: simulator.startedAt ?? 'live'
+  });
+  useAlertDelivery({ notifications, settings });
+
+  // Remind once per profile when its calibration has aged out
+  useEffect(() => {
+    if (!calibration.isOverdue) return;
+    addNotification({
+      type: 'warning',
+      message: t('calibration.overdueNotice', {
+        profile: t(THERMAL_PROFILES[settings.deviceProfile].label),
+        days: CALIBRATION_MAX_AGE / DAY_MS
+      })
+    });
+  }, [calibration.isOverdue, settings.deviceProfile, addNotification]);
+
+  // Keep the document language in step with the message catalogue
+  useEffect(() => {
+    document.documentElement.lang = format.language;
+  }, [format.language]);
 
   // Loading sequence
   useEffect(() => {
@@ -1532,39 +9299,10 @@ const ThermoSenseApp = () => {
     runLoadingSequence();
   }, []);
 
-  // Device temperature simulation
+  // Performance monitoring needs no permissions, so it starts right away
   useEffect(() => {
-    const interval = setInterval(() => {
-      let baseTemp = 25;
-      
-      if (weatherData) {
-        baseTemp += (weatherData.temperature - 20) * 0.3;
-      }
-      
-      if (batteryData?.charging) {
-        baseTemp += 3;
-      }
-      
-      if (performanceData.cpuLoad) {
-        baseTemp += (performanceData.cpuLoad / 100) * 8;
-      }
-      
-      baseTemp += (Math.random() - 0.5) * 2;
-      
-      setDeviceTemp(Math.max(20, Math.min(50, baseTemp)));
-    }, 15000);
-
-    return () => clearInterval(interval);
-  }, [weatherData, batteryData, performanceData]);
-
-  // Performance monitoring
-  useEffect(() => {
-    const interval = setInterval(() => {
-      updatePerformance();
-    }, 10000);
-
-    return () => clearInterval(interval);
-  }, [updatePerformance]);
+    performanceSensor.start();
+  }, []);
 
   // Handle permissions
   const handleAllowPermissions = async () => {
@@ -1573,19 +9311,19 @@ const ThermoSenseApp = () => {
     
     try {
       await Promise.all([
-        initializeBattery(),
-        getLocationAndWeather()
+        batterySensor.start(),
+        weatherSensor.start()
       ]);
       
       addNotification({
         type: 'info',
-        message: '✅ Monitoring permissions enabled successfully'
+        message: t('permission.enabled')
       });
     } catch (error) {
       console.error('Permission error:', error);
       addNotification({
         type: 'warning',
-        message: '⚠️ Some permissions could not be enabled - running in limited mode'
+        message: t('permission.partial')
       });
     }
   };
@@ -1595,12 +9333,12 @@ const ThermoSenseApp = () => {
     setShowPermissionModal(false);
     
     // Initialize with fallback data
-    initializeBattery();
-    getLocationAndWeather();
+    batterySensor.start();
+    weatherSensor.start();
     
     addNotification({
       type: 'info',
-      message: '⚠️ Running in limited mode - Enable permissions for full functionality'
+      message: t('permission.limited')
     });
   };
 
@@ -1614,41 +9352,66 @@ const ThermoSenseApp = () => {
   }, []);
 
   // Export data
-  const handleExport = useCallback(() => {
-    const data = {
-      timestamp: new Date().toISOString(),
-      batteryData,
-      weatherData,
-      performanceData,
-      deviceTemp,
-      healthData,
-      notifications,
-      apiStatus
-    };
-    
-    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `thermosense-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    addNotification({
-      type: 'info',
-      message: '📊 Data exported successfully'
-    });
-  }, [batteryData, weatherData, performanceData, deviceTemp, healthData, notifications, apiStatus, addNotification]);
+  const dataExport = useDataExport({
+    settings,
+    notifications,
+    calibrated: Boolean(calibration.fit),
+    simulated: simulator.isActive,
+    replaying: isReplaying
+  });
+
+  const handleExport = useCallback(async (options) => {
+    const result = await dataExport.exportData(options);
+    if (result.success) {
+      addNotification({
+        type: 'info',
+        message: t('export.done', { count: result.count, filename: result.filename })
+      });
+    }
+    return result;
+  }, [dataExport.exportData, addNotification, t]);
+
+  // Session recording and replay
+  const handleToggleRecording = useCallback(() => {
+    if (sessionRecorder.isRecording) {
+      const file = sessionRecorder.stop();
+      addNotification({
+        type: 'info',
+        message: t('session.saved', { count: file.events.length, duration: sessionUtils.formatClock(file.duration) })
+      });
+    } else {
+      sessionRecorder.start();
+      addNotification({
+        type: 'info',
+        message: t('session.recordingStarted')
+      });
+    }
+  }, [sessionRecorder, addNotification, t]);
+
+  // Exported files opened for offline review
+  const reviewSession = useReviewSession();
+
+  const handleImport = useCallback(async (file) => {
+    const result = reviewSession.load(await file.text(), file.name, t);
+    addNotification(result.success
+      ? { type: 'info', message: t('review.loaded', { name: file.name }) }
+      : { type: 'warning', message: t('review.loadFailed', { error: result.error }) });
+  }, [reviewSession.load, addNotification, t]);
+
+  const handleLoadSession = useCallback(async (file) => {
+    const result = sessionPlayer.load(await file.text(), t);
+    addNotification(result.success
+      ? { type: 'info', message: t('session.replaying', { name: file.name }) }
+      : { type: 'warning', message: t('session.loadFailed', { error: result.error }) });
+  }, [sessionPlayer, addNotification, t]);
 
   // Test notification
   const handleTestNotification = useCallback(() => {
     addNotification({
       type: 'info',
-      message: '🧪 Test notification - System is working correctly!'
+      message: t('notifications.test')
     });
-  }, [addNotification]);
+  }, [addNotification, t]);
 
   // Context value
   const contextValue = {
@@ -1656,10 +9419,28 @@ const ThermoSenseApp = () => {
     weatherData,
     performanceData,
     deviceTemp,
+    // Model details only describe live estimates, not replayed or scripted temperatures
+    thermalEstimate: isReplaying || simulator.isActive ? null : thermalEstimate,
+    calibration,
     healthData,
+    capacity,
+    chargingSessions,
+    chargingPlan,
+    anomalies,
+    tempForecast,
+    // Trend estimates describe the live device, not a replayed session
+    eta: isReplaying ? null : eta,
     notifications,
-    onRetryBattery: retryBattery,
-    onRetryWeather: retryWeather,
+    settings,
+    updateSettings,
+    resetSettings,
+    importSettings,
+    exportSettings,
+    replay: isReplaying ? { session: sessionPlayer.session, position: sessionPlayer.position } : null,
+    review: reviewSession.review,
+    simulator,
+    onRetryBattery: batterySensor.retry,
+    onRetryWeather: weatherSensor.retry,
     addNotification
   };
 
@@ -1678,11 +9459,24 @@ const ThermoSenseApp = () => {
           onAllow={handleAllowPermissions}
           onDeny={handleDenyPermissions}
         />
+
+        <ExportDialog
+          isVisible={showExportDialog}
+          isExporting={dataExport.isExporting}
+          progress={dataExport.progress}
+          onExport={handleExport}
+          onClose={() => setShowExportDialog(false)}
+        />
         
         <Navigation
           apiStatus={apiStatus}
           onThemeToggle={handleThemeToggle}
-          onExport={handleExport}
+          onExport={() => setShowExportDialog(true)}
+          onImport={handleImport}
+          isRecording={sessionRecorder.isRecording}
+          isReplaying={isReplaying}
+          onToggleRecording={handleToggleRecording}
+          onLoadSession={handleLoadSession}
         />
         
         <div className="app-container">
@@ -1693,6 +9487,10 @@ const ThermoSenseApp = () => {
           />
           
           <main className="main-content">
+            {reviewSession.review && <ReviewBar review={reviewSession.review} onClose={reviewSession.close} />}
+            {isReplaying && <SessionReplayBar player={sessionPlayer} />}
+            {!isReplaying && simulator.isActive && <SimulatorBar simulator={simulator} settings={settings} />}
+            
             <div className={`tab-content ${activeTab === 'dashboard' ? 'active' : ''}`}>
               {activeTab === 'dashboard' && <Dashboard />}
             </div>
@@ -1713,9 +9511,10 @@ const ThermoSenseApp = () => {
               {activeTab === 'notifications' && (
                 <NotificationCenter
                   isVisible={true}
-                  notifications={notifications}
+                  notifications={reviewSession.review ? reviewSession.review.notifications : notifications}
                   onClearAll={() => setNotifications([])}
                   onTestNotification={handleTestNotification}
+                  readOnly={Boolean(reviewSession.review)}
                 />
               )}
             </div>
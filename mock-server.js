@@ -0,0 +1,156 @@
+// ThermoSense advisory API mock server - lets the AI Advisory tab be developed offline
+// Usage: node mock-server.js, then set the Advisory API base URL in Settings to http://localhost:8787
+// It also acts as a remote sensor agent (GET /api/sensors/<battery|weather|performance>)
+// Environment: PORT (default 8787), MOCK_LATENCY in ms (default 300), MOCK_FAILURE_RATE 0-1 (default 0)
+const http = require('http');
+
+const PORT = parseInt(process.env.PORT || '8787', 10);
+const LATENCY = parseInt(process.env.MOCK_LATENCY || '300', 10);
+const FAILURE_RATE = parseFloat(process.env.MOCK_FAILURE_RATE || '0');
+
+const DEVICE_STATE_LOAD = {
+  idle: 0,
+  light: 1,
+  moderate: 2,
+  heavy: 4,
+  gaming: 5,
+  charging: 3
+};
+
+// Mirrors the response schema of /api/advice
+const buildAdvice = ({ battery_temp: batteryTemp, ambient_temp: ambientTemp, device_state: deviceState }) => {
+  const load = DEVICE_STATE_LOAD[deviceState] ?? 2;
+  const ambientPenalty = typeof ambientTemp === 'number' ? Math.max(0, ambientTemp - 25) * 0.5 : 0;
+  const impact = Math.max(0, Math.min(100, (batteryTemp - 25) * 3 + load * 2 + ambientPenalty));
+
+  let alertLevel = 'safe';
+  let action = null;
+  if (batteryTemp > 40) {
+    alertLevel = 'danger';
+    action = deviceState === 'charging' ? 'Unplug the charger and let the device cool down' : 'Close demanding apps and move to a cooler place';
+  } else if (batteryTemp > 35) {
+    alertLevel = 'warning';
+    action = deviceState === 'charging' ? 'Avoid fast charging until the device cools' : 'Reduce screen brightness and background activity';
+  }
+
+  return {
+    predicted_health_impact: Math.round(impact * 10) / 10,
+    alert_level: alertLevel,
+    optional_action: action
+  };
+};
+
+// Hourly forecast with a daily cycle peaking at 35°C around 14:00
+const buildForecast = () => {
+  const start = new Date();
+  start.setMinutes(0, 0, 0);
+  return Array.from({ length: 48 }, (_, i) => {
+    const time = start.getTime() + i * 60 * 60 * 1000;
+    const hour = new Date(time).getHours();
+    const daylight = Math.sin((hour - 8) / 24 * 2 * Math.PI);
+    return {
+      time,
+      temperature: Math.round((26 + 9 * daylight) * 10) / 10,
+      humidity: Math.round(55 - 15 * daylight),
+      uvIndex: Math.max(0, Math.round(9 * Math.sin((hour - 6) / 14 * Math.PI))),
+      weatherCode: 1
+    };
+  });
+};
+
+// Slowly varying synthetic readings for the remote agent provider
+const buildSensorReading = (metric) => {
+  const minutes = Date.now() / 60000;
+  switch (metric) {
+    case 'battery':
+      return {
+        level: Math.round(60 + 30 * Math.sin(minutes / 30)),
+        charging: Math.cos(minutes / 30) > 0
+      };
+    case 'weather':
+      return {
+        temperature: Math.round((24 + 6 * Math.sin(minutes / 60)) * 10) / 10,
+        humidity: 55,
+        windSpeed: 8,
+        weatherCode: 1,
+        uvIndex: 4,
+        forecast: buildForecast()
+      };
+    case 'performance':
+      return {
+        cpuLoad: Math.round(35 + 25 * Math.sin(minutes / 5)),
+        memory: { used: 64, total: 128 },
+        network: { effectiveType: '4g', downlink: 10 },
+        cores: 8
+      };
+    default:
+      return null;
+  }
+};
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+const sendJSON = (res, status, body) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const sensorMatch = req.url.match(/^\/api\/sensors\/(\w+)$/);
+  if (req.method === 'GET' && sensorMatch) {
+    const reading = buildSensorReading(sensorMatch[1]);
+    setTimeout(() => {
+      if (reading) sendJSON(res, 200, reading);
+      else sendJSON(res, 404, { error: `Unknown metric ${sensorMatch[1]}` });
+    }, LATENCY);
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/api/advice') {
+    sendJSON(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  let raw = '';
+  req.on('data', chunk => {
+    raw += chunk;
+  });
+  req.on('end', () => {
+    setTimeout(() => {
+      if (Math.random() < FAILURE_RATE) {
+        sendJSON(res, 503, { error: 'Simulated outage' });
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(raw);
+      } catch (error) {
+        sendJSON(res, 400, { error: 'Body must be JSON' });
+        return;
+      }
+
+      if (!payload || typeof payload !== 'object' ||
+        typeof payload.battery_temp !== 'number' || typeof payload.device_state !== 'string') {
+        sendJSON(res, 400, { error: 'battery_temp (number) and device_state (string) are required' });
+        return;
+      }
+
+      sendJSON(res, 200, buildAdvice(payload));
+    }, LATENCY);
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`ThermoSense mock advisory API listening on http://localhost:${PORT}/api/advice`);
+});